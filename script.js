@@ -2,21 +2,59 @@
 // Simulador de Movimiento Armónico Simple
 // ===========================================
 
-// Modo de simulación: 'spring' o 'pendulum'
+// Modo de simulación: 'spring', 'pendulum', 'coupled' o 'superposition'
 let simulationMode = 'spring';
+const SIMULATION_MODES = ['spring', 'pendulum', 'coupled', 'superposition'];
+const MODE_NAMES = {
+    spring: 'Resorte',
+    pendulum: 'Péndulo',
+    coupled: 'Osciladores acoplados',
+    superposition: 'Superposición de MAS'
+};
 
 // Parámetros de la simulación
 const params = {
     // Resorte
     mass: 1.0,           // kg
-    springConstant: 40,  // N/m
+    springConstant: 40,  // N/m (k₁ cuando hay una red de resortes)
+    springCount: 1,      // Resortes de la red (1 a 4)
+    springArrangement: 'series', // 'series' o 'parallel'
+    springConstant2: 40, // N/m
+    springConstant3: 40, // N/m
+    springConstant4: 40, // N/m
     amplitude: 0.15,     // metros
+    drivingForce: 0,     // N
+    drivingFrequency: 5, // rad/s
+    springVertical: false,          // Resorte vertical bajo la gravedad
+    springReference: 'equilibrium', // Referencia del gráfico de posición: 'equilibrium' o 'natural'
     // Péndulo
     pendulumLength: 1.5, // metros
     pendulumAngle: 10,   // grados
+    pendulumMass: 1.0,   // kg
     gravity: 9.8,        // m/s²
+    pendulumNonlinear: false, // Integrar θ'' = −(g/L)·sin θ en lugar del MAS
+    pendulumType: 'simple', // 'simple' (masa puntual) o 'physical' (cuerpo rígido)
+    bodyShape: 'rod',       // 'rod', 'disc', 'ring' o 'custom'
+    rodLength: 1.0,         // metros
+    bodyRadius: 0.3,        // metros
+    customInertia: 0.1,     // kg·m² (I_cm)
+    pivotDistance: 0.3,     // metros (del pivote al centro de masa)
+    showEquivalentPendulum: false,
+    // Osciladores acoplados (usan mass y springConstant del resorte)
+    couplingConstant: 5, // N/m
+    coupledX1: 0.10,     // metros
+    coupledX2: 0,        // metros
+    // Superposición de dos MAS: xᵢ = Aᵢ·cos(ωᵢt + φᵢ)
+    superpositionAxes: 'same', // 'same' (mismo eje) o 'perpendicular' (figura de Lissajous)
+    componentAmplitude1: 0.10, // metros
+    componentFrequency1: 6,    // rad/s
+    componentPhase1: 0,        // radianes
+    componentAmplitude2: 0.10, // metros
+    componentFrequency2: 7,    // rad/s
+    componentPhase2: 0,        // radianes
     // Común
-    phase: 0             // radianes
+    phase: 0,            // radianes
+    damping: 0           // kg/s
 };
 //escala de visualización
 // Ajustado para que la amplitud máxima (0.5m) entre en el canvas
@@ -28,18 +66,46 @@ let simulation = {
     isRunning: false,
     animationId: null,
     lastTimestamp: 0,
-    timeScale: 1
+    timeScale: 1,
+    minTime: 0,     // Instante del último cambio de parámetros (inicio de la línea de tiempo)
+    maxTime: 0,     // Instante más avanzado ya simulado (límite de la línea de tiempo)
+    parameterSnapshot: null // Parámetros con los que se simuló desde minTime
 };
 
+// Velocidades de reproducción disponibles (factor sobre el tiempo real)
+const SIMULATION_SPEEDS = [0.1, 0.25, 0.5, 1, 2, 4];
+// Un cuadro de avance/retroceso: 1/60 s de tiempo real a la velocidad elegida
+const FRAME_STEP = 1 / 60;
+
 // Estado de validación de inputs
 let validationState = {
     mass: true,
     springConstant: true,
+    springConstant2: true,
+    springConstant3: true,
+    springConstant4: true,
     amplitude: true,
+    drivingForce: true,
+    drivingFrequency: true,
     pendulumLength: true,
     pendulumAngle: true,
+    pendulumMass: true,
+    rodLength: true,
+    bodyRadius: true,
+    customInertia: true,
+    pivotDistance: true,
     gravity: true,
-    phase: true
+    couplingConstant: true,
+    coupledX1: true,
+    coupledX2: true,
+    componentAmplitude1: true,
+    componentFrequency1: true,
+    componentPhase1: true,
+    componentAmplitude2: true,
+    componentFrequency2: true,
+    componentPhase2: true,
+    phase: true,
+    damping: true
 };
 
 // Estado de arrastre (drag)
@@ -47,29 +113,365 @@ let dragState = {
     isDragging: false,
     wasRunning: false,
     massPosition: { x: 0, y: 0 },
-    massRadius: 25
+    massRadius: 25,
+    samples: [], // Posiciones recientes { time, position } para estimar la velocidad al soltar
+    coupledMasses: [{ x: 0, y: 0 }, { x: 0, y: 0 }], // Centros de las dos masas acopladas
+    activeMass: 0, // Índice de la masa acoplada que se arrastra
+    pointerId: null // Puntero que arrastra la masa; los demás dedos se ignoran
+};
+
+// Ventana de tiempo para estimar la velocidad de lanzamiento al soltar la masa (segundos)
+const FLING_WINDOW = 0.1;
+
+// Margen extra alrededor de la masa para tomarla con el dedo o el lápiz (píxeles del canvas)
+const TOUCH_HIT_MARGIN = 20;
+
+// Paso de las flechas del teclado: metros para el resorte y las masas acopladas, grados para
+// el péndulo. Con Shift el paso se multiplica por KEYBOARD_LARGE_STEP
+const KEYBOARD_STEP = { spring: 0.01, coupled: 0.01, pendulum: 1 };
+const KEYBOARD_LARGE_STEP = 5;
+
+// Región viva para lectores de pantalla: los valores actuales se anuncian como mucho una vez
+// cada LIVE_VALUES_INTERVAL milisegundos, siempre con los últimos que se mostraron
+const LIVE_VALUES_INTERVAL = 3000;
+let liveValues = {
+    lastTime: -Infinity,
+    timeoutId: null
 };
 
+// Puntos por serie como máximo en las tablas alternativas de los gráficos
+const CHART_TABLE_ROWS = 25;
+
 // Datos para los gráficos
 const graphData = {
     position: [],
     velocity: [],
     acceleration: [],
+    kineticEnergy: [],
+    potentialEnergy: [],
+    totalEnergy: [],
+    elasticEnergy: [],       // Resorte vertical
+    gravitationalEnergy: [],
+    position2: [],     // Segunda masa de los osciladores acoplados, x₂ o y en la superposición
+    velocity2: [],
+    acceleration2: [],
+    massEnergy1: [],   // Energía de cada masa acoplada
+    massEnergy2: [],
+    componentPosition1: [], // Componente x₁ de la superposición en el mismo eje
     maxPoints: 500,
     timeWindow: 5 // segundos visibles en el gráfico
 };
 
+// Historial que se conserva detrás del instante actual para acercar y desplazar los gráficos (s).
+// Cubre la ventana más larga que se puede elegir
+const GRAPH_HISTORY = 60;
+
+// Vista de los gráficos temporales: rango de tiempo fijado por zoom/desplazamiento (null = sigue
+// la simulación), rango congelado y zoom vertical de cada gráfico
+let chartView = {
+    range: null,        // { minTime, maxTime }
+    frozen: false,
+    frozenRange: null,
+    yZoom: { position: 1, velocity: 1, acceleration: 1, energy: 1 },
+    pan: null           // Arrastre en curso: { chart, pointerId, startX, range }
+};
+
+// Cursores de medición A y B: instantes compartidos por los gráficos de x, v y a.
+// Los valores se leen del último gráfico en el que se hizo clic
+let measurement = {
+    enabled: false,
+    type: 'position',   // 'position', 'velocity' o 'acceleration'
+    cursors: [],        // Instantes de A y B (s)
+    dragIndex: null,    // Cursor que se está arrastrando
+    dragChart: null,    // Gráfico sobre el que se arrastra
+    pointerId: null     // Puntero que arrastra el cursor
+};
+
+// Registro completo de la simulación para exportar. A diferencia de graphData no descarta
+// las muestras viejas y se muestrea cada interval segundos de simulación, no en cada frame.
+let recording = {
+    interval: 0.01,   // segundos entre muestras
+    maxSamples: 0,    // 0 = sin límite
+    format: 'csv',    // 'csv' o 'json'
+    nextTime: 0,      // Próximo instante a registrar
+    columns: [],      // [{ name, unit }]
+    parameters: null, // Copia de params al registrar la primera muestra
+    samples: []       // Filas de valores, en el orden de columns
+};
+
+// Unidades de los parámetros exportados (los que no figuran son adimensionales)
+const PARAMETER_UNITS = {
+    mass: 'kg',
+    springConstant: 'N/m',
+    springConstant2: 'N/m',
+    springConstant3: 'N/m',
+    springConstant4: 'N/m',
+    amplitude: 'm',
+    drivingForce: 'N',
+    drivingFrequency: 'rad/s',
+    pendulumLength: 'm',
+    pendulumAngle: '°',
+    pendulumMass: 'kg',
+    gravity: 'm/s²',
+    rodLength: 'm',
+    bodyRadius: 'm',
+    customInertia: 'kg·m²',
+    pivotDistance: 'm',
+    couplingConstant: 'N/m',
+    coupledX1: 'm',
+    coupledX2: 'm',
+    componentAmplitude1: 'm',
+    componentFrequency1: 'rad/s',
+    componentPhase1: 'rad',
+    componentAmplitude2: 'm',
+    componentFrequency2: 'rad/s',
+    componentPhase2: 'rad',
+    phase: 'rad',
+    damping: 'kg/s'
+};
+
+// Parámetros que intervienen en cada modo
+const MODE_PARAMETERS = {
+    spring: ['mass', 'springCount', 'springArrangement', 'springConstant', 'springConstant2', 'springConstant3', 'springConstant4',
+        'amplitude', 'phase', 'damping', 'drivingForce', 'drivingFrequency', 'springVertical', 'springReference', 'gravity'],
+    pendulum: ['pendulumType', 'pendulumLength', 'bodyShape', 'rodLength', 'bodyRadius', 'customInertia', 'pivotDistance',
+        'pendulumMass', 'pendulumAngle', 'pendulumNonlinear', 'gravity', 'phase', 'damping', 'showEquivalentPendulum'],
+    coupled: ['mass', 'springConstant', 'couplingConstant', 'coupledX1', 'coupledX2', 'damping'],
+    superposition: ['superpositionAxes', 'componentAmplitude1', 'componentFrequency1', 'componentPhase1',
+        'componentAmplitude2', 'componentFrequency2', 'componentPhase2']
+};
+
+// Controles numéricos: parámetro, clave en la URL, id del slider (el input manual es `${id}-value`),
+// rango y decimales. max es una función de los parámetros si depende de otros
+const PARAMETER_CONTROLS = [
+    { param: 'mass', key: 'm', id: 'mass', min: 0.5, max: 5, decimals: 1 },
+    { param: 'springConstant', key: 'k', id: 'spring-constant', min: 10, max: 100, decimals: 0 },
+    { param: 'springConstant2', key: 'k2', id: 'spring-constant-2', min: 10, max: 100, decimals: 0 },
+    { param: 'springConstant3', key: 'k3', id: 'spring-constant-3', min: 10, max: 100, decimals: 0 },
+    { param: 'springConstant4', key: 'k4', id: 'spring-constant-4', min: 10, max: 100, decimals: 0 },
+    { param: 'amplitude', key: 'A', id: 'amplitude', min: 0.01, max: 0.5, decimals: 2 },
+    { param: 'drivingForce', key: 'F0', id: 'driving-force', min: 0, max: 5, decimals: 1 },
+    { param: 'drivingFrequency', key: 'wd', id: 'driving-frequency', min: 0.1, max: 20, decimals: 1 },
+    { param: 'pendulumLength', key: 'L', id: 'pendulum-length', min: 0.5, max: 3, decimals: 1 },
+    { param: 'pendulumAngle', key: 'theta', id: 'pendulum-angle', min: 1, max: getMaxPendulumAngle, decimals: 0 },
+    { param: 'pendulumMass', key: 'mp', id: 'pendulum-mass', min: 0.1, max: 5, decimals: 1 },
+    { param: 'rodLength', key: 'Lrod', id: 'rod-length', min: 0.2, max: 2, decimals: 1 },
+    { param: 'bodyRadius', key: 'R', id: 'body-radius', min: 0.05, max: 1, decimals: 2 },
+    { param: 'customInertia', key: 'Icm', id: 'custom-inertia', min: 0.01, max: 5, decimals: 2 },
+    { param: 'pivotDistance', key: 'd', id: 'pivot-distance', min: 0.05, max: 2, decimals: 2 },
+    { param: 'gravity', key: 'g', id: 'gravity', min: 1, max: 20, decimals: 1 },
+    { param: 'couplingConstant', key: 'kc', id: 'coupling-constant', min: 1, max: 50, decimals: 0 },
+    { param: 'coupledX1', key: 'x1', id: 'coupled-x1', min: -0.2, max: 0.2, decimals: 2 },
+    { param: 'coupledX2', key: 'x2', id: 'coupled-x2', min: -0.2, max: 0.2, decimals: 2 },
+    { param: 'componentAmplitude1', key: 'A1', id: 'component-amplitude-1', min: 0.01, max: 0.2, decimals: 2 },
+    { param: 'componentFrequency1', key: 'w1', id: 'component-frequency-1', min: 1, max: 20, decimals: 1 },
+    { param: 'componentPhase1', key: 'phi1', id: 'component-phase-1', min: 0, max: 6.28, decimals: 1 },
+    { param: 'componentAmplitude2', key: 'A2', id: 'component-amplitude-2', min: 0.01, max: 0.2, decimals: 2 },
+    { param: 'componentFrequency2', key: 'w2', id: 'component-frequency-2', min: 1, max: 20, decimals: 1 },
+    { param: 'componentPhase2', key: 'phi2', id: 'component-phase-2', min: 0, max: 6.28, decimals: 1 },
+    // 2π redondeado hacia arriba: admite cualquier fase obtenida al soltar la masa
+    { param: 'phase', key: 'phi', id: 'phase', min: 0, max: 6.2832, decimals: 1 },
+    { param: 'damping', key: 'b', id: 'damping', min: 0, max: 50, decimals: 1 }
+];
+
+// Opciones (botones y casillas) con su clave en la URL y sus valores posibles
+const PARAMETER_CHOICES = [
+    { param: 'springCount', key: 'n', values: [1, 2, 3, 4] },
+    { param: 'springArrangement', key: 'arr', values: ['series', 'parallel'] },
+    { param: 'springVertical', key: 'vertical', values: [false, true] },
+    { param: 'springReference', key: 'ref', values: ['equilibrium', 'natural'] },
+    { param: 'pendulumNonlinear', key: 'nl', values: [false, true] },
+    { param: 'pendulumType', key: 'type', values: ['simple', 'physical'] },
+    { param: 'bodyShape', key: 'body', values: ['rod', 'disc', 'ring', 'custom'] },
+    { param: 'showEquivalentPendulum', key: 'eq', values: [false, true] },
+    { param: 'superpositionAxes', key: 'axes', values: ['same', 'perpendicular'] }
+];
+
+// Grabación de video o GIF con paso de simulación fijo (1/VIDEO_FPS s por cuadro)
+const VIDEO_FPS = 25;               // 4 centésimas por cuadro en el GIF
+const VIDEO_CHART_WIDTH = 400;      // Ancho de la columna de gráficos junto al canvas (px)
+const VIDEO_KEYFRAME_INTERVAL = 50; // Cuadros entre cuadros clave del WebM
+let videoRecording = {
+    isActive: false,
+    cancelled: false,
+    format: 'webm',     // 'webm' o 'gif'
+    duration: 5,        // segundos de simulación
+    includeCharts: true,
+    lockedControls: []  // Controles del panel deshabilitados durante la grabación
+};
+
+// Experimento: la variable que se cambia entre mediciones y la constante que se obtiene de
+// la pendiente de T² = (4π²/constante)·variable
+const LAB_EXPERIMENTS = {
+    spring: {
+        param: 'mass', symbol: 'm', unit: 'kg', constant: 'k', constantUnit: 'N/m',
+        hint: 'Cambia la masa, cronometra N oscilaciones y repite. El cronómetro simula el tiempo de reacción de una persona al iniciarlo y al detenerlo'
+    },
+    pendulum: {
+        param: 'pendulumLength', symbol: 'L', unit: 'm', constant: 'g', constantUnit: 'm/s²',
+        hint: 'Cambia la longitud, cronometra N oscilaciones y repite. El cronómetro simula el tiempo de reacción de una persona al iniciarlo y al detenerlo'
+    }
+};
+// Tiempo de reacción simulado al iniciar y al detener el cronómetro (s)
+const REACTION_TIME_MEAN = 0.2;
+const REACTION_TIME_SD = 0.06;
+let lab = {
+    rows: { spring: [], pendulum: [] }, // Mediciones { value, oscillations, time } de cada modo
+    stopwatch: null                     // Cronometraje en curso: { start, stop, oscillations, value }
+};
+
+// Barrido: parámetros que se pueden recorrer en cada modo y magnitudes derivadas que se grafican
+const SWEEP_PARAMETERS = {
+    spring: [
+        { param: 'mass', symbol: 'm', unit: 'kg' },
+        { param: 'springConstant', symbol: 'k', unit: 'N/m' },
+        { param: 'amplitude', symbol: 'A', unit: 'm' },
+        { param: 'gravity', symbol: 'g', unit: 'm/s²' }
+    ],
+    pendulum: [
+        { param: 'pendulumMass', symbol: 'm', unit: 'kg' },
+        { param: 'pendulumLength', symbol: 'L', unit: 'm' },
+        { param: 'pendulumAngle', symbol: 'θ₀', unit: '°' },
+        { param: 'gravity', symbol: 'g', unit: 'm/s²' }
+    ]
+};
+// En el péndulo la velocidad y la aceleración máximas son angulares. colorKey es la clave en colors
+const SWEEP_OUTPUTS = [
+    { key: 'period', symbol: 'T', unit: 's', colorKey: 'position' },
+    { key: 'frequency', symbol: 'f', unit: 'Hz', colorKey: 'velocity' },
+    { key: 'omega', symbol: 'ω', unit: 'rad/s', colorKey: 'acceleration' },
+    { key: 'vMax', symbol: 'v_max', unit: 'm/s', pendulumUnit: 'rad/s', colorKey: 'phaseSpace' },
+    { key: 'aMax', symbol: 'a_max', unit: 'm/s²', pendulumUnit: 'rad/s²', colorKey: 'kinetic' },
+    { key: 'energy', symbol: 'E', unit: 'J', colorKey: 'resonance' }
+];
+// Parámetro elegido en cada modo
+let sweepParameter = { spring: 'mass', pendulum: 'pendulumLength' };
+
+// Práctica: tipos de problema y tolerancia relativa de las respuestas
+const PRACTICE_TYPES = ['period', 'vMax', 'position', 'zeroCrossing'];
+const PRACTICE_TOLERANCE = 0.02;
+let practice = {
+    seed: '',
+    random: null,       // Generador con semilla (mulberry32)
+    problem: null,      // { mode, type, time, overrides, unit, answer, tolerance, pauseAt }
+    answered: false,
+    score: { correct: 0, total: 0 },
+    pauseAt: null       // Instante en el que se detiene la animación de comprobación
+};
+
+// Lecciones guiadas: archivos JSON en lessons/ (lessons/index.json los enumera)
+const LESSONS_PATH = 'lessons/';
+const LESSON_QUANTITIES = { position: 0, velocity: 1, acceleration: 2 };
+const LESSON_EVENTS = ['zero', 'max', 'min', 'extremum'];
+let lesson = {
+    index: [],          // Lecciones disponibles [{ file, title }] de lessons/index.json
+    current: null,      // Lección cargada { title, mode, steps }
+    stepIndex: 0,
+    waitFor: null,      // Condición que espera el paso actual
+    waitStart: 0,       // Instante en el que empezó la espera
+    highlighted: null   // Elemento resaltado
+};
+
+// Clave de localStorage con la lista de presets [{ name, mode, params }]
+const PRESETS_STORAGE_KEY = 'mas-presets';
+
+// Idiomas de la interfaz. Los textos de index.html y de este archivo están en español y se
+// traducen con los catálogos de translations.js (TRANSLATIONS), cuyas claves son esos textos
+const LANGUAGES = {
+    es: { name: 'Español', locale: 'es-AR' },
+    en: { name: 'English', locale: 'en-US' },
+    pt: { name: 'Português', locale: 'pt-BR' }
+};
+const LANGUAGE_STORAGE_KEY = 'mas-language';
+let language = getInitialLanguage();
+let decimalSeparator = getDecimalSeparator(LANGUAGES[language].locale);
+
+// Trayectoria integrada del péndulo no lineal, muestreada cada NONLINEAR_STEP.
+// Se recalcula desde t = 0 cuando cambian los parámetros (key). Solo se guarda una ventana
+// de pasos a partir de start; los puntos de control permiten volver a integrar los
+// instantes anteriores a la ventana
+let nonlinearTrajectory = {
+    key: '',
+    start: 0,         // Índice del paso de theta[0] y omega[0]
+    theta: [],
+    omega: [],
+    checkpoints: []   // Estado { theta, omega } cada NONLINEAR_CHECKPOINT_STEPS pasos desde t = 0
+};
+
 // Canvas y contextos
 let springCanvas, springCtx;
 
+// Tolerancia relativa para considerar que ζ = 1 (amortiguamiento crítico)
+const CRITICAL_DAMPING_TOLERANCE = 1e-3;
+
+// Tolerancia relativa para considerar que ω_d = ω sin amortiguamiento (resonancia pura)
+const RESONANCE_TOLERANCE = 1e-6;
+
+// Amplitud máxima mostrada en el gráfico de resonancia (metros)
+const MAX_RESONANCE_AMPLITUDE = 1.0;
+
+// Ángulo inicial máximo del péndulo (grados) según el modelo
+const MAX_LINEAR_PENDULUM_ANGLE = 15;
+const MAX_NONLINEAR_PENDULUM_ANGLE = 179;
+
+// Paso de integración (RK4) del péndulo no lineal (segundos)
+const NONLINEAR_STEP = 0.002;
+
+// Pasos que conserva la ventana de la trayectoria no lineal (el historial de los gráficos)
+// y separación entre sus puntos de control (1 s)
+const NONLINEAR_CACHE_STEPS = GRAPH_HISTORY / NONLINEAR_STEP;
+const NONLINEAR_CHECKPOINT_STEPS = 500;
+
+// Escala máxima del péndulo físico; se reduce si el cuerpo no entra en el canvas
+const PHYSICAL_MAX_PIXELS_PER_METER = 150;
+
+// Escala de visualización de los osciladores acoplados (comparten el canvas en vertical)
+const COUPLED_PIXELS_PER_METER = 150;
+
+// Radio en píxeles del máximo desplazamiento dibujado en la superposición (fasores o Lissajous)
+const SUPERPOSITION_DRAW_RADIUS = 120;
+
+// Razón ω₁ : ω₂ = p : q aceptada como racional para cerrar la figura de Lissajous
+const MAX_LISSAJOUS_DENOMINATOR = 12;
+const FREQUENCY_RATIO_TOLERANCE = 1e-3;
+
+// Duración de la estela de la figura de Lissajous (segundos)
+const LISSAJOUS_TRAIL_TIME = 10;
+
+// Nombres de los regímenes de amortiguamiento
+const DAMPING_REGIME_NAMES = {
+    undamped: 'Sin amortiguamiento',
+    underdamped: 'Subamortiguado',
+    critical: 'Crítico',
+    overdamped: 'Sobreamortiguado'
+};
+
 // Charts de Chart.js
 let positionChart, velocityChart, accelerationChart;
+let energyChart;    // Energías cinética, potencial y total en función del tiempo
+let phaseSpaceChart; // Retrato de fase: velocidad en función de la posición
+let resonanceChart; // Amplitud y desfase estacionarios en función de ω_d
+let labChart;       // Experimento: T² en función de m o de L con la recta ajustada
+let sweepChart;     // Magnitudes derivadas en función del parámetro barrido
 
-// Colores para los gráficos
+// Colores para los gráficos. Paleta de Okabe-Ito, distinguible con daltonismo: ninguna
+// pareja de series depende de diferenciar rojo y verde. Las series que pueden aparecer en un
+// mismo gráfico (también las del barrido) tienen colores distintos
 const colors = {
-    position: '#3b82f6',      // Azul
-    velocity: '#10b981',       // Verde
-    acceleration: '#ef4444',   // Rojo
+    position: '#56b4e9',      // Celeste
+    velocity: '#e69f00',       // Naranja
+    acceleration: '#cc79a7',   // Púrpura rojizo
+    resonance: '#f0e442',      // Amarillo
+    phaseLag: '#0072b2',       // Azul
+    kinetic: '#d55e00',        // Bermellón
+    potential: '#56b4e9',      // Celeste
+    totalEnergy: '#e5e7eb',    // Gris claro
+    gravitational: '#f0e442',  // Amarillo
+    phaseSpace: '#009e73',     // Verde azulado
+    secondMass: '#f0e442',     // Amarillo
+    coupling: '#e69f00',       // Naranja
+    firstComponent: '#0072b2', // Azul
+    cursor: '#f8fafc',         // Cursores de medición
     grid: '#334155',
     axis: '#475569',
     text: '#94a3b8'
@@ -79,26 +481,41 @@ const colors = {
 // Inicialización
 // =====================
 document.addEventListener('DOMContentLoaded', () => {
+    initializeLanguage();
     initializeCanvases();
+    const initialMode = readStateFromUrl();
     initializeInputValues();
     setupEventListeners();
+    initializePractice();
+    loadLessonIndex();
     updateCalculatedValues();
     updateStartButtonState();
     updateChartAxisLabels();
     updatePendulumWarning();
-    drawSpring(0);
+    // Modo inicial: el resorte o el indicado en la URL
+    switchMode(initialMode);
     // Los gráficos de Chart.js se inicializan vacíos
 });
 
 function initializeInputValues() {
-    // Inicializar valores de los inputs con los valores de params
-    document.getElementById('mass-value').value = params.mass.toFixed(1);
-    document.getElementById('spring-constant-value').value = params.springConstant;
-    document.getElementById('amplitude-value').value = params.amplitude.toFixed(2);
-    document.getElementById('pendulum-length-value').value = params.pendulumLength.toFixed(1);
-    document.getElementById('pendulum-angle-value').value = params.pendulumAngle;
-    document.getElementById('gravity-value').value = params.gravity.toFixed(1);
-    document.getElementById('phase-value').value = params.phase.toFixed(1);
+    // Inicializar sliders, inputs y casillas con los valores de params
+    PARAMETER_CONTROLS.forEach(({ param, id, decimals }) => {
+        document.getElementById(id).value = params[param];
+        document.getElementById(`${id}-value`).value = formatControlValue(params[param], decimals);
+        showError(`${id}-value`, `${id}-error`, false, param);
+    });
+    document.getElementById('spring-vertical').checked = params.springVertical;
+    document.getElementById('pendulum-nonlinear').checked = params.pendulumNonlinear;
+    document.getElementById('show-equivalent-pendulum').checked = params.showEquivalentPendulum;
+    updatePendulumAngleRange();
+    renderPresetList();
+}
+
+// Valor con los decimales del control, sin perder precisión si viene de la URL (p. ej. g = 1.62),
+// y con el separador decimal del idioma
+function formatControlValue(value, decimals) {
+    const text = value.toFixed(decimals);
+    return (Number(text) === value ? text : String(value)).replace('.', decimalSeparator);
 }
 
 // Función auxiliar para mostrar/ocultar mensajes de error
@@ -127,7 +544,7 @@ function updateStartButtonState() {
     if (hasErrors) {
         startBtn.disabled = true;
         startBtn.classList.add('disabled');
-        startBtn.title = 'Corrige los errores en los parámetros antes de iniciar';
+        startBtn.title = t('Corrige los errores en los parámetros antes de iniciar');
     } else {
         startBtn.disabled = false;
         startBtn.classList.remove('disabled');
@@ -140,8 +557,8 @@ function updatePendulumWarning() {
     const warning = document.getElementById('pendulum-angle-warning');
     if (!warning) return;
     
-    // Solo mostrar advertencia si estamos en modo péndulo y el ángulo es mayor a 10°
-    if (simulationMode === 'pendulum' && params.pendulumAngle > 10) {
+    // Solo mostrar advertencia si estamos en modo péndulo lineal y el ángulo es mayor a 10°
+    if (simulationMode === 'pendulum' && !params.pendulumNonlinear && params.pendulumAngle > 10) {
         warning.classList.add('show');
     } else {
         warning.classList.remove('show');
@@ -150,7 +567,7 @@ function updatePendulumWarning() {
 
 // Función auxiliar para validar y actualizar valores
 function validateAndUpdate(value, min, max, paramName, sliderId, inputId, errorId, validationKey, decimals = 1) {
-    const numValue = parseFloat(value);
+    const numValue = parseLocaleNumber(value);
     
     if (isNaN(numValue)) {
         showError(inputId, errorId, true, validationKey);
@@ -186,22 +603,26 @@ function initializeCanvases() {
     
     // Inicializar gráficos de Chart.js
     initializeCharts();
+    setupChartZoomListeners();
+    setupChartTables();
 }
 
+// Pointer Events: el mismo arrastre sirve para mouse, lápiz y pantallas táctiles. La captura
+// mantiene los eventos en el canvas aunque el puntero salga de él
 function setupCanvasDragListeners() {
-    springCanvas.addEventListener('mousedown', handleCanvasMouseDown);
-    springCanvas.addEventListener('mousemove', handleCanvasMouseMove);
-    springCanvas.addEventListener('mouseup', handleCanvasMouseUp);
-    springCanvas.addEventListener('mouseleave', handleCanvasMouseUp);
+    springCanvas.addEventListener('pointerdown', handleCanvasPointerDown);
+    springCanvas.addEventListener('pointermove', handleCanvasPointerMove);
+    springCanvas.addEventListener('pointerup', handleCanvasPointerUp);
+    springCanvas.addEventListener('pointercancel', handleCanvasPointerUp);
+    springCanvas.addEventListener('lostpointercapture', handleCanvasPointerUp);
+    springCanvas.addEventListener('keydown', handleCanvasKeyDown);
     
     // Cambiar cursor cuando está sobre la masa
-    springCanvas.addEventListener('mousemove', (e) => {
-        if (!dragState.isDragging) {
-            const rect = springCanvas.getBoundingClientRect();
-            const mouseX = e.clientX - rect.left;
-            const mouseY = e.clientY - rect.top;
+    springCanvas.addEventListener('pointermove', (e) => {
+        if (!dragState.isDragging && e.pointerType === 'mouse') {
+            const { x, y } = getCanvasPoint(e, springCanvas);
             
-            if (isMouseOverMass(mouseX, mouseY)) {
+            if (isPointerOverMass(x, y, 0)) {
                 springCanvas.style.cursor = 'grab';
             } else {
                 springCanvas.style.cursor = 'default';
@@ -210,83 +631,119 @@ function setupCanvasDragListeners() {
     });
 }
 
-function isMouseOverMass(mouseX, mouseY) {
+// Posición del puntero en las coordenadas de dibujo del canvas, aunque el CSS lo muestre
+// con otro tamaño. Para los gráficos se pasa el tamaño del área que usa Chart.js
+function getCanvasPoint(e, canvas, width = canvas.width, height = canvas.height) {
+    const rect = canvas.getBoundingClientRect();
+    return {
+        x: (e.clientX - rect.left) * width / rect.width,
+        y: (e.clientY - rect.top) * height / rect.height
+    };
+}
+
+// El mouse toma la masa solo sobre su dibujo; el dedo y el lápiz, con un margen extra
+function getHitMargin(e) {
+    return e.pointerType === 'mouse' ? 0 : TOUCH_HIT_MARGIN;
+}
+
+function isPointerOverMass(x, y, margin) {
+    // En la superposición no hay masa que arrastrar
+    if (simulationMode === 'superposition') return false;
+    if (simulationMode === 'coupled') {
+        return findCoupledMassAt(x, y, margin) !== -1;
+    }
     const distance = Math.sqrt(
-        Math.pow(mouseX - dragState.massPosition.x, 2) + 
-        Math.pow(mouseY - dragState.massPosition.y, 2)
+        Math.pow(x - dragState.massPosition.x, 2) + 
+        Math.pow(y - dragState.massPosition.y, 2)
     );
-    return distance <= dragState.massRadius;
+    return distance <= dragState.massRadius + margin;
 }
 
-function handleCanvasMouseDown(e) {
-    const rect = springCanvas.getBoundingClientRect();
-    const mouseX = e.clientX - rect.left;
-    const mouseY = e.clientY - rect.top;
+// Índice de la masa acoplada bajo el puntero (−1 si no hay ninguna). Si los márgenes de las
+// dos masas se superponen, se toma la más cercana
+function findCoupledMassAt(x, y, margin) {
+    const distances = dragState.coupledMasses.map(mass => Math.hypot(x - mass.x, y - mass.y));
+    const index = distances[0] <= distances[1] ? 0 : 1;
+    return distances[index] <= dragState.massRadius + margin ? index : -1;
+}
+
+function handleCanvasPointerDown(e) {
+    // Durante una grabación la simulación avanza sola, con paso fijo; un segundo dedo no
+    // interrumpe el arrastre en curso
+    if (videoRecording.isActive || dragState.isDragging) return;
+    if (e.pointerType === 'mouse' && e.button !== 0) return;
+    const { x, y } = getCanvasPoint(e, springCanvas);
+    const margin = getHitMargin(e);
     
-    if (isMouseOverMass(mouseX, mouseY)) {
+    if (isPointerOverMass(x, y, margin)) {
+        e.preventDefault();
+        springCanvas.setPointerCapture(e.pointerId);
+        dragState.pointerId = e.pointerId;
         dragState.isDragging = true;
         dragState.wasRunning = simulation.isRunning;
+        dragState.samples = [];
+        dragState.activeMass = simulationMode === 'coupled' ? findCoupledMassAt(x, y, margin) : 0;
         springCanvas.style.cursor = 'grabbing';
+        restartFromDraggedState();
         
-        // Pausar la simulación si estaba corriendo
-        if (simulation.isRunning) {
-            pauseSimulation();
-        }
-        
-        // Reiniciar el tiempo a 0
-        simulation.time = 0;
-        
-        // Limpiar los gráficos
-        graphData.position = [];
-        graphData.velocity = [];
-        graphData.acceleration = [];
-        resetCharts();
+        // Registrar la posición inicial del arrastre
+        handleCanvasPointerMove(e);
+    }
+}
+
+// Tomar la masa, con el puntero o el teclado, fija un nuevo estado inicial
+function restartFromDraggedState() {
+    // Pausar la simulación si estaba corriendo
+    if (simulation.isRunning) {
+        pauseSimulation();
     }
+    
+    // Reiniciar el tiempo a 0
+    simulation.time = 0;
+    simulation.minTime = 0;
+    simulation.maxTime = 0;
+    updateTimeline();
+    
+    // Limpiar los gráficos y el registro
+    clearGraphData();
+    clearRecording();
+    resetChartView();
+    clearCursors();
+    resetCharts();
 }
 
-function handleCanvasMouseMove(e) {
-    if (!dragState.isDragging) return;
+function handleCanvasPointerMove(e) {
+    if (!dragState.isDragging || e.pointerId !== dragState.pointerId) return;
     
-    const rect = springCanvas.getBoundingClientRect();
-    const mouseY = e.clientY - rect.top;
+    const { x, y } = getCanvasPoint(e, springCanvas);
     
     if (simulationMode === 'spring') {
-        handleSpringDrag(mouseY);
+        handleSpringDrag(y);
+    } else if (simulationMode === 'coupled') {
+        handleCoupledDrag(y);
     } else {
-        handlePendulumDrag(e.clientX - rect.left, mouseY);
+        handlePendulumDrag(x, y);
     }
 }
 
-function handleSpringDrag(mouseY) {
-    const width = springCanvas.width;
+function handleSpringDrag(pointerY) {
     const height = springCanvas.height;
     const equilibriumY = height / 2;
     
     // Calcular nuevo desplazamiento en píxeles
-    let newDisplacement = mouseY - equilibriumY;
+    let newDisplacement = pointerY - equilibriumY;
     
-    // Limitar el desplazamiento a la amplitud máxima
-    const maxDisplacementPixels = params.amplitude * PIXELS_PER_METER;
+    // Limitar el desplazamiento a la amplitud máxima del control
+    const maxDisplacementPixels = MAX_AMPLITUDE_SPRING * PIXELS_PER_METER;
     newDisplacement = Math.max(-maxDisplacementPixels, Math.min(maxDisplacementPixels, newDisplacement));
     
     // Convertir píxeles a metros
     const newPosition = newDisplacement / PIXELS_PER_METER;
     
-    // Durante el arrastre manual, calcular velocidad y aceleración basándose en la posición actual
-    // pero asumiendo que estamos en t=0 para que la simulación empiece desde aquí
-    const omega = calculateOmega();
-    const A = params.amplitude;
-    
-    // Calcular el tiempo interno correspondiente a esta posición para obtener v y a correctas
-    const ratio = Math.max(-1, Math.min(1, newPosition / A));
-    let internalTime = (Math.acos(ratio) - params.phase) / omega;
-    while (internalTime < 0) {
-        internalTime += calculatePeriod();
-    }
-    
-    // Calcular velocidad y aceleración usando el tiempo interno
-    const velocity = calculateVelocity(internalTime);
-    const acceleration = calculateAcceleration(internalTime);
+    // Velocidad estimada a partir del movimiento reciente del puntero
+    recordDragSample(newPosition);
+    const velocity = estimateDragVelocity();
+    const acceleration = calculateAccelerationAtState(newPosition, velocity);
     
     // Mantener el tiempo mostrado en 0 durante el arrastre
     simulation.time = 0;
@@ -296,36 +753,22 @@ function handleSpringDrag(mouseY) {
     updateCurrentValues(newPosition, velocity, acceleration, simulation.time);
 }
 
-function handlePendulumDrag(mouseX, mouseY) {
-    const width = springCanvas.width;
-    const pivotX = width / 2;
-    const pivotY = 50;
-    const ropeLength = 80 + (params.pendulumLength - 0.5) * 64;
+function handlePendulumDrag(pointerX, pointerY) {
+    const { pivotX, pivotY } = getPendulumGeometry();
     
-    // Calcular ángulo basado en la posición del mouse
-    const dx = mouseX - pivotX;
-    const dy = mouseY - pivotY;
+    // Calcular ángulo basado en la posición del puntero
+    const dx = pointerX - pivotX;
+    const dy = pointerY - pivotY;
     let newAngle = Math.atan2(dx, dy); // atan2(x, y) porque el eje Y está invertido
     
-    // Limitar el ángulo a la amplitud máxima (en radianes)
-    const maxAngle = params.pendulumAngle * Math.PI / 180;
+    // Limitar el ángulo al máximo del control (en radianes)
+    const maxAngle = getMaxPendulumAngle() * Math.PI / 180;
     newAngle = Math.max(-maxAngle, Math.min(maxAngle, newAngle));
     
-    // Durante el arrastre manual, calcular velocidad y aceleración basándose en el ángulo actual
-    // pero asumiendo que estamos en t=0 para que la simulación empiece desde aquí
-    const omega = calculateOmega();
-    const A = params.pendulumAngle * Math.PI / 180;
-    
-    // Calcular el tiempo interno correspondiente a este ángulo para obtener v y a correctas
-    const ratio = Math.max(-1, Math.min(1, newAngle / A));
-    let internalTime = (Math.acos(ratio) - params.phase) / omega;
-    while (internalTime < 0) {
-        internalTime += calculatePeriod();
-    }
-    
-    // Calcular velocidad y aceleración usando el tiempo interno
-    const velocity = calculateVelocity(internalTime);
-    const acceleration = calculateAcceleration(internalTime);
+    // Velocidad angular estimada a partir del movimiento reciente del puntero
+    recordDragSample(newAngle);
+    const velocity = estimateDragVelocity();
+    const acceleration = calculateAccelerationAtState(newAngle, velocity);
     
     // Mantener el tiempo mostrado en 0 durante el arrastre
     simulation.time = 0;
@@ -335,14 +778,220 @@ function handlePendulumDrag(mouseX, mouseY) {
     updateCurrentValues(newAngle, velocity, acceleration, simulation.time);
 }
 
-function handleCanvasMouseUp() {
-    if (dragState.isDragging) {
+// Cada masa acoplada se suelta en reposo: el arrastre solo fija su desplazamiento inicial
+function handleCoupledDrag(pointerY) {
+    const { equilibria } = getCoupledGeometry();
+    const index = dragState.activeMass;
+    const displacement = (pointerY - equilibria[index]) / COUPLED_PIXELS_PER_METER;
+    
+    setCoupledDisplacement(index, Math.max(-MAX_AMPLITUDE_COUPLED, Math.min(MAX_AMPLITUDE_COUPLED, displacement)));
+}
+
+// Actualizar el desplazamiento inicial de una masa acoplada (0 o 1) y sus controles
+function setCoupledDisplacement(index, value) {
+    const key = index === 0 ? 'coupledX1' : 'coupledX2';
+    const id = index === 0 ? 'coupled-x1' : 'coupled-x2';
+    params[key] = value;
+    document.getElementById(id).value = value;
+    document.getElementById(`${id}-value`).value = formatNumber(value, 2);
+    showError(`${id}-value`, `${id}-error`, false, key);
+    updateCalculatedValues();
+    drawCoupledInitialState();
+}
+
+// Mostrar las condiciones iniciales de los osciladores acoplados mientras la simulación no empezó
+function drawCoupledInitialState() {
+    if (simulation.isRunning || simulation.time !== 0) return;
+    drawCoupled(params.coupledX1, params.coupledX2);
+    updateCurrentValues(params.coupledX1, 0, calculateAcceleration(0), 0);
+}
+
+// Redibujar la superposición si la simulación está detenida
+function drawSuperpositionState() {
+    if (simulation.isRunning) return;
+    drawSuperposition(simulation.time);
+    updateCurrentValues(calculatePosition(simulation.time), calculateVelocity(simulation.time), calculateAcceleration(simulation.time), simulation.time);
+}
+
+// Iniciar el sistema en un modo normal puro: x₂ = x₁ (simétrico) o x₂ = −x₁ (antisimétrico)
+function startNormalMode(sign) {
+    const amplitude = Math.max(Math.abs(params.coupledX1), Math.abs(params.coupledX2)) || 0.1;
+    resetSimulation();
+    setCoupledDisplacement(0, amplitude);
+    setCoupledDisplacement(1, sign * amplitude);
+    startSimulation();
+}
+
+// Guardar la posición actual del arrastre, descartando las muestras más viejas que la ventana de lanzamiento
+function recordDragSample(position) {
+    const now = performance.now() / 1000;
+    dragState.samples.push({ time: now, position });
+    while (dragState.samples.length > 2 && now - dragState.samples[0].time > FLING_WINDOW) {
+        dragState.samples.shift();
+    }
+}
+
+// Velocidad de lanzamiento: pendiente entre la primera y la última muestra de la ventana.
+// Si el puntero quedó quieto más que la ventana, la masa se suelta en reposo.
+function estimateDragVelocity() {
+    const samples = dragState.samples;
+    if (samples.length < 2) return 0;
+    
+    const first = samples[0];
+    const last = samples[samples.length - 1];
+    const now = performance.now() / 1000;
+    if (now - last.time > FLING_WINDOW || last.time === first.time) return 0;
+    
+    return (last.position - first.position) / (last.time - first.time);
+}
+
+// Aceleración dada por la ecuación de movimiento en t = 0 para un estado (x, v)
+function calculateAccelerationAtState(position, velocity) {
+    if (isNonlinearPendulum()) {
+        return nonlinearAcceleration(position, velocity);
+    }
+    const omega = calculateOmega();
+    let acceleration = -omega * omega * position - 2 * calculateGamma() * velocity;
+    if (simulationMode === 'spring') {
+        acceleration += params.drivingForce / params.mass;
+    }
+    return acceleration;
+}
+
+// Soltar, cancelar (p. ej. el navegador toma el gesto) o perder la captura terminan el arrastre
+function handleCanvasPointerUp(e) {
+    if (dragState.isDragging && e.pointerId === dragState.pointerId) {
         dragState.isDragging = false;
+        dragState.pointerId = null;
         springCanvas.style.cursor = 'default';
         
-        // No reanudar automáticamente la simulación
-        // El usuario debe presionar "Iniciar" nuevamente si lo desea
+        // La posición y la velocidad al soltar pasan a ser las condiciones iniciales
+        const samples = dragState.samples;
+        if (samples.length > 0) {
+            setInitialConditions(samples[samples.length - 1].position, estimateDragVelocity());
+        }
+        
+        // Quitar el indicador de arrastre de la masa acoplada soltada
+        if (simulationMode === 'coupled') {
+            drawCoupledInitialState();
+        }
+        
+        // Continuar desde ese estado si la simulación estaba corriendo
+        if (dragState.wasRunning) {
+            startSimulation();
+        }
+    }
+}
+
+// Flechas con la simulación enfocada: mueven la masa y la dejan en reposo, en pausa hasta que
+// se inicia. Arriba/abajo para el resorte y las masas acopladas (1 y 2 eligen cuál),
+// izquierda/derecha para el péndulo
+function handleCanvasKeyDown(e) {
+    if (videoRecording.isActive || dragState.isDragging || simulationMode === 'superposition') return;
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+    
+    if (simulationMode === 'coupled' && (e.key === '1' || e.key === '2')) {
+        e.preventDefault();
+        dragState.activeMass = Number(e.key) - 1;
+        document.getElementById('live-values').textContent = t('Masa {index} seleccionada', { index: e.key });
+        return;
+    }
+    
+    const directions = simulationMode === 'pendulum'
+        ? { ArrowLeft: -1, ArrowRight: 1 }
+        : { ArrowUp: -1, ArrowDown: 1 };
+    const direction = directions[e.key];
+    if (!direction) return;
+    e.preventDefault();
+    moveMassByKeyboard(direction * KEYBOARD_STEP[simulationMode] * (e.shiftKey ? KEYBOARD_LARGE_STEP : 1));
+}
+
+// Desplazar la masa desde la posición que muestra la simulación en el instante actual
+function moveMassByKeyboard(step) {
+    const time = simulation.time;
+    
+    if (simulationMode === 'coupled') {
+        // La otra masa queda donde estaba
+        const positions = [evaluateCoupledMotion(0, time, 1), evaluateCoupledMotion(0, time, 2)];
+        const index = dragState.activeMass;
+        positions[index] = Math.max(-MAX_AMPLITUDE_COUPLED, Math.min(MAX_AMPLITUDE_COUPLED, positions[index] + step));
+        restartFromDraggedState();
+        setCoupledDisplacement(0, positions[0]);
+        setCoupledDisplacement(1, positions[1]);
+        return;
     }
+    
+    const isSpring = simulationMode === 'spring';
+    const limit = isSpring ? MAX_AMPLITUDE_SPRING : getMaxPendulumAngle() * Math.PI / 180;
+    const position = calculatePosition(time) + (isSpring ? step : step * Math.PI / 180);
+    restartFromDraggedState();
+    setInitialConditions(Math.max(-limit, Math.min(limit, position)), 0);
+}
+
+// Recalcular amplitud y fase a partir de (x₀, v₀): A = √(x₀² + (v₀/ω)²), φ = atan2(−v₀/ω, x₀)
+function setInitialConditions(x0, v0) {
+    const omega = calculateOmega();
+    const isSpring = simulationMode === 'spring';
+    const maxAmplitude = isSpring ? MAX_AMPLITUDE_SPRING : getMaxPendulumAngle() * Math.PI / 180;
+    const minAmplitude = isSpring ? 0.01 : Math.PI / 180;
+    
+    // Limitar la velocidad para que la amplitud no supere el máximo del control
+    const maxScaledVelocity = Math.sqrt(Math.max(0, maxAmplitude * maxAmplitude - x0 * x0));
+    const scaledVelocity = Math.max(-maxScaledVelocity, Math.min(maxScaledVelocity, v0 / omega));
+    
+    const releaseAmplitude = Math.sqrt(x0 * x0 + scaledVelocity * scaledVelocity);
+    const amplitude = Math.max(minAmplitude, releaseAmplitude);
+    let phase = Math.atan2(-scaledVelocity, x0);
+    if (phase < 0) {
+        phase += 2 * Math.PI;
+    }
+    
+    // Avisar cuando el estado resultante no es exactamente el del lanzamiento
+    const formatAmplitude = (value) => isSpring ? `${formatNumber(value, 2)} m` : `${formatNumber(value * 180 / Math.PI, 0)}°`;
+    const adjustments = [];
+    if (Math.abs(v0 / omega) > maxScaledVelocity) {
+        adjustments.push(t('velocidad limitada para no superar la amplitud máxima de {max}', { max: formatAmplitude(maxAmplitude) }));
+    }
+    if (releaseAmplitude < minAmplitude) {
+        adjustments.push(t('amplitud elevada al mínimo de {min}', { min: formatAmplitude(minAmplitude) }));
+    }
+    showReleaseNotice(adjustments);
+    
+    // Actualizar parámetros y controles; los valores calculados se muestran redondeados
+    if (isSpring) {
+        params.amplitude = amplitude;
+        document.getElementById('amplitude').value = amplitude;
+        document.getElementById('amplitude-value').value = formatNumber(amplitude, 2);
+        showError('amplitude-value', 'amplitude-error', false, 'amplitude');
+    } else {
+        params.pendulumAngle = amplitude * 180 / Math.PI;
+        document.getElementById('pendulum-angle').value = params.pendulumAngle;
+        document.getElementById('pendulum-angle-value').value = formatNumber(params.pendulumAngle, 1);
+        showError('pendulum-angle-value', 'pendulum-angle-error', false, 'pendulumAngle');
+        updatePendulumWarning();
+    }
+    params.phase = phase;
+    document.getElementById('phase').value = phase;
+    document.getElementById('phase-value').value = formatNumber(phase, 2);
+    showError('phase-value', 'phase-error', false, 'phase');
+    updateCalculatedValues();
+    
+    // Mostrar el estado inicial resultante
+    simulation.time = 0;
+    const position = calculatePosition(0);
+    if (isSpring) {
+        drawSpring(position * PIXELS_PER_METER);
+    } else {
+        drawPendulum(position, isNonlinearPendulum() ? evaluateLinearMotion(0, 0) : null);
+    }
+    updateCurrentValues(position, calculateVelocity(0), calculateAcceleration(0), 0);
+}
+
+// Aviso bajo la simulación con los ajustes aplicados al soltar la masa
+function showReleaseNotice(adjustments) {
+    const notice = document.getElementById('release-notice');
+    notice.textContent = t('⚠️ Estado inicial ajustado: {adjustments}', { adjustments: adjustments.join('; ') });
+    notice.classList.toggle('show', adjustments.length > 0);
 }
 
 function initializeCharts() {
@@ -353,6 +1002,8 @@ function initializeCharts() {
         animation: {
             duration: 0 // Desactivar animaciones para mejor rendimiento en tiempo real
         },
+        // Pointer Events: el tooltip también aparece al tocar o arrastrar el dedo sobre el gráfico
+        events: ['pointermove', 'pointerdown', 'pointerleave', 'click'],
         interaction: {
             mode: 'nearest',
             intersect: false,
@@ -373,9 +1024,12 @@ function initializeCharts() {
                     },
                     color: '#9ca3af',
                     usePointStyle: true,
-                    filter: function(item) {
-                        // Ocultar la línea principal de la leyenda
-                        return item.datasetIndex !== 0;
+                    filter: function(item, data) {
+                        // Ocultar la línea principal y las series opcionales sin datos
+                        const dataset = data.datasets[item.datasetIndex];
+                        // Con dos masas acopladas o dos componentes la línea principal se muestra
+                        const showMain = simulationMode === 'coupled' || simulationMode === 'superposition';
+                        return (item.datasetIndex !== 0 || showMain) && !(dataset.optional && dataset.data.length === 0);
                     }
                 }
             },
@@ -399,7 +1053,7 @@ function initializeCharts() {
                 type: 'linear',
                 title: {
                     display: true,
-                    text: 'Tiempo (s)',
+                    text: t('Tiempo (s)'),
                     color: '#9ca3af',
                     font: {
                         family: 'JetBrains Mono',
@@ -417,7 +1071,7 @@ function initializeCharts() {
                         size: 9
                     },
                     callback: function(value) {
-                        return value.toFixed(1) + 's';
+                        return formatNumber(value, 1) + 's';
                     }
                 }
             },
@@ -440,7 +1094,7 @@ function initializeCharts() {
     // Configuración común para puntos clave (máximos, mínimos, ceros)
     const keyPointsConfig = {
         maximos: {
-            label: 'Máximos',
+            label: t('Máximos'),
             data: [],
             borderColor: '#ffd93d',
             backgroundColor: '#ffd93d',
@@ -452,7 +1106,7 @@ function initializeCharts() {
             order: 0
         },
         minimos: {
-            label: 'Mínimos',
+            label: t('Mínimos'),
             data: [],
             borderColor: '#ff6b6b',
             backgroundColor: '#ff6b6b',
@@ -465,7 +1119,7 @@ function initializeCharts() {
             order: 0
         },
         ceros: {
-            label: 'Ceros',
+            label: t('Ceros'),
             data: [],
             borderColor: '#ffffff',
             backgroundColor: '#ffffff',
@@ -478,14 +1132,45 @@ function initializeCharts() {
         }
     };
 
+    // Predicción del MAS superpuesta al modelo no lineal
+    const linearGhostConfig = {
+        label: t('MAS (lineal)'),
+        data: [],
+        borderColor: 'rgba(229, 231, 235, 0.55)',
+        borderWidth: 1.5,
+        borderDash: [6, 4],
+        fill: false,
+        tension: 0.4,
+        pointRadius: 0,
+        pointHitRadius: 0,
+        optional: true,
+        order: 2
+    };
+
+    // Segunda masa de los osciladores acoplados
+    const secondMassConfig = {
+        label: t('Masa 2'),
+        data: [],
+        borderColor: colors.secondMass,
+        borderWidth: 2,
+        fill: false,
+        tension: 0.4,
+        pointRadius: 0,
+        pointHoverRadius: 4,
+        pointHitRadius: 5,
+        optional: true,
+        order: 1
+    };
+
     // Gráfico de Posición
     const posCtx = document.getElementById('position-graph').getContext('2d');
     positionChart = new Chart(posCtx, {
         type: 'line',
+        plugins: [measurementCursorPlugin],
         data: {
             datasets: [
                 {
-                    label: 'Posición',
+                    label: t('Posición'),
                     data: [],
                     borderColor: colors.position,
                     backgroundColor: colors.position + '20',
@@ -502,7 +1187,30 @@ function initializeCharts() {
                 },
                 { ...keyPointsConfig.maximos },
                 { ...keyPointsConfig.minimos },
-                { ...keyPointsConfig.ceros }
+                { ...keyPointsConfig.ceros },
+                { ...linearGhostConfig },
+                { ...secondMassConfig },
+                {
+                    // Envolvente ±A·e^(−γt) o de batido; los dos tramos se separan con un punto nulo
+                    label: t('Envolvente'),
+                    data: [],
+                    borderColor: '#9ca3af',
+                    borderWidth: 1.5,
+                    borderDash: [6, 4],
+                    fill: false,
+                    tension: 0,
+                    spanGaps: false,
+                    pointRadius: 0,
+                    pointHitRadius: 0,
+                    optional: true,
+                    order: 2
+                },
+                {
+                    // Componente x₁ de la superposición en el mismo eje
+                    ...secondMassConfig,
+                    label: 'x₁',
+                    borderColor: colors.firstComponent
+                }
             ]
         },
         options: {
@@ -511,7 +1219,7 @@ function initializeCharts() {
                 ...commonOptions.plugins,
                 title: {
                     display: true,
-                    text: 'Posición x(t)',
+                    text: t('Posición x(t)'),
                     color: colors.position,
                     font: {
                         family: 'JetBrains Mono',
@@ -523,13 +1231,13 @@ function initializeCharts() {
                 tooltip: {
                     ...commonOptions.plugins.tooltip,
                     callbacks: {
-                        title: (items) => `t = ${items[0].parsed.x.toFixed(3)} s`,
+                        title: (items) => `t = ${formatNumber(items[0].parsed.x, 3)} s`,
                         label: (item) => {
-                            if (simulationMode === 'spring') {
-                                return `x = ${item.parsed.y.toFixed(4)} m`;
+                            if (simulationMode !== 'pendulum') {
+                                return `x = ${formatNumber(item.parsed.y, 4)} m`;
                             } else {
                                 const angleDeg = item.parsed.y * 180 / Math.PI;
-                                return `θ = ${angleDeg.toFixed(2)}°`;
+                                return `θ = ${formatNumber(angleDeg, 2)}°`;
                             }
                         }
                     }
@@ -557,10 +1265,11 @@ function initializeCharts() {
     const velCtx = document.getElementById('velocity-graph').getContext('2d');
     velocityChart = new Chart(velCtx, {
         type: 'line',
+        plugins: [measurementCursorPlugin],
         data: {
             datasets: [
                 {
-                    label: 'Velocidad',
+                    label: t('Velocidad'),
                     data: [],
                     borderColor: colors.velocity,
                     backgroundColor: colors.velocity + '20',
@@ -577,7 +1286,9 @@ function initializeCharts() {
                 },
                 { ...keyPointsConfig.maximos },
                 { ...keyPointsConfig.minimos },
-                { ...keyPointsConfig.ceros }
+                { ...keyPointsConfig.ceros },
+                { ...linearGhostConfig },
+                { ...secondMassConfig }
             ]
         },
         options: {
@@ -586,7 +1297,7 @@ function initializeCharts() {
                 ...commonOptions.plugins,
                 title: {
                     display: true,
-                    text: 'Velocidad v(t)',
+                    text: t('Velocidad v(t)'),
                     color: colors.velocity,
                     font: {
                         family: 'JetBrains Mono',
@@ -598,12 +1309,12 @@ function initializeCharts() {
                 tooltip: {
                     ...commonOptions.plugins.tooltip,
                     callbacks: {
-                        title: (items) => `t = ${items[0].parsed.x.toFixed(3)} s`,
+                        title: (items) => `t = ${formatNumber(items[0].parsed.x, 3)} s`,
                         label: (item) => {
-                            if (simulationMode === 'spring') {
-                                return `v = ${item.parsed.y.toFixed(4)} m/s`;
+                            if (simulationMode !== 'pendulum') {
+                                return `v = ${formatNumber(item.parsed.y, 4)} m/s`;
                             } else {
-                                return `ω = ${item.parsed.y.toFixed(4)} rad/s`;
+                                return `ω = ${formatNumber(item.parsed.y, 4)} rad/s`;
                             }
                         }
                     }
@@ -631,10 +1342,11 @@ function initializeCharts() {
     const accCtx = document.getElementById('acceleration-graph').getContext('2d');
     accelerationChart = new Chart(accCtx, {
         type: 'line',
+        plugins: [measurementCursorPlugin],
         data: {
             datasets: [
                 {
-                    label: 'Aceleración',
+                    label: t('Aceleración'),
                     data: [],
                     borderColor: colors.acceleration,
                     backgroundColor: colors.acceleration + '20',
@@ -651,7 +1363,9 @@ function initializeCharts() {
                 },
                 { ...keyPointsConfig.maximos },
                 { ...keyPointsConfig.minimos },
-                { ...keyPointsConfig.ceros }
+                { ...keyPointsConfig.ceros },
+                { ...linearGhostConfig },
+                { ...secondMassConfig }
             ]
         },
         options: {
@@ -660,7 +1374,7 @@ function initializeCharts() {
                 ...commonOptions.plugins,
                 title: {
                     display: true,
-                    text: 'Aceleración a(t)',
+                    text: t('Aceleración a(t)'),
                     color: colors.acceleration,
                     font: {
                         family: 'JetBrains Mono',
@@ -672,12 +1386,12 @@ function initializeCharts() {
                 tooltip: {
                     ...commonOptions.plugins.tooltip,
                     callbacks: {
-                        title: (items) => `t = ${items[0].parsed.x.toFixed(3)} s`,
+                        title: (items) => `t = ${formatNumber(items[0].parsed.x, 3)} s`,
                         label: (item) => {
-                            if (simulationMode === 'spring') {
-                                return `a = ${item.parsed.y.toFixed(4)} m/s²`;
+                            if (simulationMode !== 'pendulum') {
+                                return `a = ${formatNumber(item.parsed.y, 4)} m/s²`;
                             } else {
-                                return `α = ${item.parsed.y.toFixed(4)} rad/s²`;
+                                return `α = ${formatNumber(item.parsed.y, 4)} rad/s²`;
                             }
                         }
                     }
@@ -699,910 +1413,5821 @@ function initializeCharts() {
                     ticks: {
                         ...commonOptions.scales.y.ticks,
                         callback: function(value) {
-                            return value.toFixed(1);
+                            return formatNumber(value, 1);
                         }
                     }
                 }
             }
         }
     });
-}
-
-function setupEventListeners() {
-    // Botones de modo
-    document.getElementById('mode-spring').addEventListener('click', () => switchMode('spring'));
-    document.getElementById('mode-pendulum').addEventListener('click', () => switchMode('pendulum'));
-
-    // Controles del Resorte
-    // Masa - Slider
-    document.getElementById('mass').addEventListener('input', (e) => {
-        params.mass = parseFloat(e.target.value);
-        document.getElementById('mass-value').value = params.mass.toFixed(1);
-        showError('mass-value', 'mass-error', false, 'mass');
-        updateCalculatedValues();
-    });
-    // Masa - Input manual
-    document.getElementById('mass-value').addEventListener('input', (e) => {
-        validateAndUpdate(e.target.value, 0.5, 5, 'mass', 'mass', 'mass-value', 'mass-error', 'mass', 1);
-    });
-    
-    // Constante del resorte - Slider
-    document.getElementById('spring-constant').addEventListener('input', (e) => {
-        params.springConstant = parseFloat(e.target.value);
-        document.getElementById('spring-constant-value').value = params.springConstant;
-        showError('spring-constant-value', 'spring-constant-error', false, 'springConstant');
-        updateCalculatedValues();
-    });
-    // Constante del resorte - Input manual
-    document.getElementById('spring-constant-value').addEventListener('input', (e) => {
-        validateAndUpdate(e.target.value, 10, 100, 'springConstant', 'spring-constant', 'spring-constant-value', 'spring-constant-error', 'springConstant', 0);
-    });
-    
-    // Amplitud - Slider
-    document.getElementById('amplitude').addEventListener('input', (e) => {
-        params.amplitude = parseFloat(e.target.value);
-        document.getElementById('amplitude-value').value = params.amplitude.toFixed(2);
-        showError('amplitude-value', 'amplitude-error', false, 'amplitude');
-        updateCalculatedValues();
-    });
-    // Amplitud - Input manual
-    document.getElementById('amplitude-value').addEventListener('input', (e) => {
-        validateAndUpdate(e.target.value, 0.01, 0.50, 'amplitude', 'amplitude', 'amplitude-value', 'amplitude-error', 'amplitude', 2);
-    });
 
-    // Controles del Péndulo
-    // Longitud - Slider
-    document.getElementById('pendulum-length').addEventListener('input', (e) => {
-        params.pendulumLength = parseFloat(e.target.value);
-        document.getElementById('pendulum-length-value').value = params.pendulumLength.toFixed(1);
-        showError('pendulum-length-value', 'pendulum-length-error', false, 'pendulumLength');
-        updateCalculatedValues();
+    // Gráfico de Energía
+    const energyDataset = (label, color, extra) => ({
+        label,
+        data: [],
+        borderColor: color,
+        backgroundColor: color + '20',
+        borderWidth: 2,
+        fill: false,
+        tension: 0.4,
+        pointRadius: 0,
+        pointHoverRadius: 4,
+        pointHitRadius: 5,
+        ...extra
     });
-    // Longitud - Input manual
-    document.getElementById('pendulum-length-value').addEventListener('input', (e) => {
-        validateAndUpdate(e.target.value, 0.5, 3, 'pendulumLength', 'pendulum-length', 'pendulum-length-value', 'pendulum-length-error', 'pendulumLength', 1);
+    const energyCtx = document.getElementById('energy-graph').getContext('2d');
+    energyChart = new Chart(energyCtx, {
+        type: 'line',
+        data: {
+            datasets: [
+                energyDataset(t('Cinética'), colors.kinetic, { fill: true }),
+                energyDataset(t('Potencial'), colors.potential, { fill: true, vertical: false }),
+                energyDataset(t('Total'), colors.totalEnergy, { borderDash: [6, 4] }),
+                // Resorte vertical: la potencial se separa en elástica y gravitatoria
+                energyDataset(t('Elástica'), colors.potential, { borderDash: [2, 3], vertical: true }),
+                energyDataset(t('Gravitatoria'), colors.gravitational, { vertical: true })
+            ]
+        },
+        options: {
+            ...commonOptions,
+            plugins: {
+                ...commonOptions.plugins,
+                legend: {
+                    ...commonOptions.plugins.legend,
+                    labels: {
+                        ...commonOptions.plugins.legend.labels,
+                        filter: (item, data) => {
+                            const { vertical } = data.datasets[item.datasetIndex];
+                            return vertical === undefined || vertical === isVerticalSpring();
+                        }
+                    }
+                },
+                title: {
+                    display: true,
+                    text: t('Energía E(t)'),
+                    color: colors.kinetic,
+                    font: {
+                        family: 'JetBrains Mono',
+                        size: 12,
+                        weight: '600'
+                    },
+                    padding: { bottom: 10 }
+                },
+                tooltip: {
+                    ...commonOptions.plugins.tooltip,
+                    callbacks: {
+                        title: (items) => `t = ${formatNumber(items[0].parsed.x, 3)} s`,
+                        label: (item) => `${item.dataset.label}: ${formatNumber(item.parsed.y, 4)} J`
+                    }
+                }
+            },
+            scales: {
+                ...commonOptions.scales,
+                y: {
+                    ...commonOptions.scales.y,
+                    min: 0,
+                    title: {
+                        display: true,
+                        text: 'E (J)',
+                        color: colors.kinetic,
+                        font: {
+                            family: 'JetBrains Mono',
+                            size: 10
+                        }
+                    }
+                }
+            }
+        }
     });
 
-    // Ángulo - Slider
-    document.getElementById('pendulum-angle').addEventListener('input', (e) => {
-        params.pendulumAngle = parseFloat(e.target.value);
-        document.getElementById('pendulum-angle-value').value = params.pendulumAngle;
-        showError('pendulum-angle-value', 'pendulum-angle-error', false, 'pendulumAngle');
-        updatePendulumWarning();
-        updateCalculatedValues();
-    });
-    // Ángulo - Input manual
-    document.getElementById('pendulum-angle-value').addEventListener('input', (e) => {
-        validateAndUpdate(e.target.value, 1, 15, 'pendulumAngle', 'pendulum-angle', 'pendulum-angle-value', 'pendulum-angle-error', 'pendulumAngle', 0);
+    // Retrato de fase (velocidad vs posición)
+    const phaseSpaceCtx = document.getElementById('phase-space-graph').getContext('2d');
+    phaseSpaceChart = new Chart(phaseSpaceCtx, {
+        type: 'scatter',
+        data: {
+            datasets: [
+                {
+                    label: t('Trayectoria'),
+                    data: [],
+                    showLine: true,
+                    borderColor: colors.phaseSpace,
+                    borderWidth: 2,
+                    tension: 0,
+                    pointRadius: 0,
+                    pointHitRadius: 5,
+                    // Estela que se desvanece: los tramos más viejos son más transparentes
+                    segment: {
+                        borderColor: (ctx) => {
+                            const count = ctx.chart.data.datasets[0].data.length;
+                            return hexToRgba(colors.phaseSpace, 0.1 + 0.9 * ctx.p1DataIndex / Math.max(1, count - 1));
+                        }
+                    },
+                    order: 2
+                },
+                {
+                    label: t('Elipse MAS'),
+                    data: [],
+                    showLine: true,
+                    borderColor: 'rgba(229, 231, 235, 0.5)',
+                    borderWidth: 1.5,
+                    borderDash: [6, 4],
+                    tension: 0,
+                    pointRadius: 0,
+                    pointHitRadius: 0,
+                    order: 3
+                },
+                {
+                    label: t('Estado inicial (φ)'),
+                    data: [],
+                    showLine: true,
+                    borderColor: colors.phaseLag,
+                    backgroundColor: colors.phaseLag,
+                    borderWidth: 1.5,
+                    pointRadius: [0, 6],
+                    pointHoverRadius: [0, 8],
+                    pointStyle: 'rectRot',
+                    order: 1
+                },
+                {
+                    label: t('Estado actual'),
+                    data: [],
+                    borderColor: '#ffffff',
+                    backgroundColor: colors.phaseSpace,
+                    borderWidth: 2,
+                    pointRadius: 7,
+                    pointHoverRadius: 10,
+                    order: 0
+                }
+            ]
+        },
+        options: {
+            ...commonOptions,
+            plugins: {
+                ...commonOptions.plugins,
+                legend: {
+                    ...commonOptions.plugins.legend,
+                    labels: {
+                        ...commonOptions.plugins.legend.labels,
+                        filter: () => true
+                    }
+                },
+                title: {
+                    display: true,
+                    text: t('Espacio de fase v(x)'),
+                    color: colors.phaseSpace,
+                    font: {
+                        family: 'JetBrains Mono',
+                        size: 12,
+                        weight: '600'
+                    },
+                    padding: { bottom: 10 }
+                },
+                tooltip: {
+                    ...commonOptions.plugins.tooltip,
+                    callbacks: {
+                        title: (items) => items[0].dataset.label,
+                        label: (item) => {
+                            if (simulationMode !== 'pendulum') {
+                                return `x = ${formatNumber(item.parsed.x, 4)} m, v = ${formatNumber(item.parsed.y, 4)} m/s`;
+                            } else {
+                                return `θ = ${formatNumber(item.parsed.x, 2)}°, ω = ${formatNumber(item.parsed.y, 4)} rad/s`;
+                            }
+                        }
+                    }
+                }
+            },
+            scales: {
+                x: {
+                    ...commonOptions.scales.x,
+                    title: {
+                        ...commonOptions.scales.x.title,
+                        text: 'x (m)'
+                    },
+                    ticks: {
+                        ...commonOptions.scales.x.ticks,
+                        callback: function(value) {
+                            return String(Number(value.toFixed(3))).replace('.', decimalSeparator);
+                        }
+                    }
+                },
+                y: {
+                    ...commonOptions.scales.y,
+                    title: {
+                        display: true,
+                        text: 'v (m/s)',
+                        color: colors.phaseSpace,
+                        font: {
+                            family: 'JetBrains Mono',
+                            size: 10
+                        }
+                    }
+                }
+            }
+        }
+    });
+
+    // Gráfico de Resonancia (amplitud y desfase estacionarios vs ω_d)
+    const resCtx = document.getElementById('resonance-graph').getContext('2d');
+    resonanceChart = new Chart(resCtx, {
+        type: 'line',
+        data: {
+            datasets: [
+                {
+                    label: t('Amplitud X'),
+                    data: [],
+                    borderColor: colors.resonance,
+                    backgroundColor: colors.resonance + '20',
+                    borderWidth: 2,
+                    fill: true,
+                    tension: 0,
+                    pointRadius: 0,
+                    pointHitRadius: 5,
+                    yAxisID: 'y',
+                    order: 2
+                },
+                {
+                    label: t('Desfase δ'),
+                    data: [],
+                    borderColor: colors.phaseLag,
+                    borderWidth: 2,
+                    borderDash: [6, 4],
+                    fill: false,
+                    tension: 0,
+                    pointRadius: 0,
+                    pointHitRadius: 5,
+                    yAxisID: 'y1',
+                    order: 2
+                },
+                {
+                    label: t('ω_d actual'),
+                    data: [],
+                    borderColor: '#ffffff',
+                    backgroundColor: colors.resonance,
+                    pointRadius: 7,
+                    pointHoverRadius: 10,
+                    pointStyle: 'circle',
+                    showLine: false,
+                    yAxisID: 'y',
+                    order: 0
+                },
+                {
+                    label: t('δ actual'),
+                    data: [],
+                    borderColor: '#ffffff',
+                    backgroundColor: colors.phaseLag,
+                    pointRadius: 6,
+                    pointHoverRadius: 9,
+                    pointStyle: 'rectRot',
+                    showLine: false,
+                    yAxisID: 'y1',
+                    order: 0
+                },
+                {
+                    label: t('ω natural'),
+                    data: [],
+                    borderColor: '#6b7280',
+                    borderWidth: 1,
+                    borderDash: [3, 3],
+                    pointRadius: 0,
+                    pointHitRadius: 0,
+                    fill: false,
+                    yAxisID: 'y',
+                    order: 1
+                }
+            ]
+        },
+        options: {
+            ...commonOptions,
+            plugins: {
+                ...commonOptions.plugins,
+                legend: {
+                    ...commonOptions.plugins.legend,
+                    labels: {
+                        ...commonOptions.plugins.legend.labels,
+                        filter: () => true
+                    }
+                },
+                title: {
+                    display: true,
+                    text: t('Resonancia X(ω_d), δ(ω_d)'),
+                    color: colors.resonance,
+                    font: {
+                        family: 'JetBrains Mono',
+                        size: 12,
+                        weight: '600'
+                    },
+                    padding: { bottom: 10 }
+                },
+                tooltip: {
+                    ...commonOptions.plugins.tooltip,
+                    callbacks: {
+                        title: (items) => `ω_d = ${formatNumber(items[0].parsed.x, 2)} rad/s`,
+                        label: (item) => {
+                            if (item.dataset.yAxisID === 'y1') {
+                                return `δ = ${formatNumber(item.parsed.y, 1)}°`;
+                            }
+                            return `X = ${formatNumber(item.parsed.y, 4)} m`;
+                        }
+                    }
+                }
+            },
+            scales: {
+                x: {
+                    ...commonOptions.scales.x,
+                    min: 0,
+                    max: 20,
+                    title: {
+                        ...commonOptions.scales.x.title,
+                        text: 'ω_d (rad/s)'
+                    },
+                    ticks: {
+                        ...commonOptions.scales.x.ticks,
+                        callback: function(value) {
+                            return formatNumber(value, 0);
+                        }
+                    }
+                },
+                y: {
+                    ...commonOptions.scales.y,
+                    min: 0,
+                    title: {
+                        display: true,
+                        text: 'X (m)',
+                        color: colors.resonance,
+                        font: {
+                            family: 'JetBrains Mono',
+                            size: 10
+                        }
+                    }
+                },
+                y1: {
+                    ...commonOptions.scales.y,
+                    position: 'right',
+                    min: 0,
+                    max: 180,
+                    grid: {
+                        drawOnChartArea: false
+                    },
+                    ticks: {
+                        ...commonOptions.scales.y.ticks,
+                        stepSize: 45
+                    },
+                    title: {
+                        display: true,
+                        text: 'δ (°)',
+                        color: colors.phaseLag,
+                        font: {
+                            family: 'JetBrains Mono',
+                            size: 10
+                        }
+                    }
+                }
+            }
+        }
+    });
+
+    // Gráfico del experimento: mediciones de T² y recta de ajuste
+    const labCtx = document.getElementById('lab-graph').getContext('2d');
+    labChart = new Chart(labCtx, {
+        type: 'line',
+        data: {
+            datasets: [
+                {
+                    label: t('Mediciones'),
+                    data: [],
+                    borderColor: '#ffffff',
+                    backgroundColor: colors.position,
+                    pointRadius: 5,
+                    pointHoverRadius: 7,
+                    showLine: false,
+                    order: 0
+                },
+                {
+                    label: t('Ajuste lineal'),
+                    data: [],
+                    borderColor: colors.resonance,
+                    borderWidth: 2,
+                    borderDash: [6, 4],
+                    pointRadius: 0,
+                    pointHitRadius: 0,
+                    fill: false,
+                    tension: 0,
+                    order: 1
+                }
+            ]
+        },
+        options: {
+            ...commonOptions,
+            plugins: {
+                ...commonOptions.plugins,
+                legend: {
+                    ...commonOptions.plugins.legend,
+                    labels: {
+                        ...commonOptions.plugins.legend.labels,
+                        filter: () => true
+                    }
+                },
+                tooltip: {
+                    ...commonOptions.plugins.tooltip,
+                    callbacks: {
+                        title: (items) => {
+                            const { symbol, unit } = LAB_EXPERIMENTS[getLabMode()];
+                            return `${symbol} = ${formatNumber(items[0].parsed.x, 3)} ${unit}`;
+                        },
+                        label: (item) => `T² = ${formatNumber(item.parsed.y, 4)} s²`
+                    }
+                }
+            },
+            scales: {
+                x: {
+                    ...commonOptions.scales.x,
+                    min: 0,
+                    title: {
+                        ...commonOptions.scales.x.title,
+                        text: 'm (kg)'
+                    },
+                    ticks: {
+                        ...commonOptions.scales.x.ticks,
+                        callback: function(value) {
+                            return formatNumber(value, 1);
+                        }
+                    }
+                },
+                y: {
+                    ...commonOptions.scales.y,
+                    min: 0,
+                    title: {
+                        display: true,
+                        text: 'T² (s²)',
+                        color: colors.position,
+                        font: {
+                            family: 'JetBrains Mono',
+                            size: 10
+                        }
+                    }
+                }
+            }
+        }
+    });
+
+    // Gráfico del barrido: una curva, un marcador del valor actual y un eje por magnitud
+    const sweepCtx = document.getElementById('sweep-graph').getContext('2d');
+    sweepChart = new Chart(sweepCtx, {
+        type: 'line',
+        data: {
+            datasets: SWEEP_OUTPUTS.flatMap(({ key, symbol, colorKey }) => [
+                {
+                    label: symbol,
+                    data: [],
+                    borderColor: colors[colorKey],
+                    borderWidth: 2,
+                    pointRadius: 0,
+                    pointHitRadius: 5,
+                    fill: false,
+                    tension: 0,
+                    yAxisID: `y-${key}`,
+                    order: 1
+                },
+                {
+                    label: t('{symbol} actual', { symbol }),
+                    data: [],
+                    borderColor: '#ffffff',
+                    backgroundColor: colors[colorKey],
+                    pointRadius: 6,
+                    pointHoverRadius: 8,
+                    showLine: false,
+                    yAxisID: `y-${key}`,
+                    isMarker: true,
+                    order: 0
+                }
+            ])
+        },
+        options: {
+            ...commonOptions,
+            plugins: {
+                ...commonOptions.plugins,
+                legend: {
+                    ...commonOptions.plugins.legend,
+                    labels: {
+                        ...commonOptions.plugins.legend.labels,
+                        // Solo las curvas calculadas; los marcadores no se listan
+                        filter: (item, data) => {
+                            const dataset = data.datasets[item.datasetIndex];
+                            return !dataset.isMarker && dataset.data.length > 0;
+                        }
+                    }
+                },
+                tooltip: {
+                    ...commonOptions.plugins.tooltip,
+                    callbacks: {
+                        title: (items) => sweepChart.options.scales.x.title.text.replace(/ \(.*\)$/, '') +
+                            ` = ${items[0].parsed.x.toPrecision(4).replace('.', decimalSeparator)}`,
+                        label: (item) => `${item.dataset.label}: ${item.parsed.y.toPrecision(4).replace('.', decimalSeparator)}`
+                    }
+                }
+            },
+            scales: {
+                x: {
+                    ...commonOptions.scales.x,
+                    title: {
+                        ...commonOptions.scales.x.title,
+                        text: 'm (kg)'
+                    },
+                    ticks: {
+                        ...commonOptions.scales.x.ticks,
+                        callback: function(value) {
+                            return String(Number(value.toPrecision(3))).replace('.', decimalSeparator);
+                        }
+                    }
+                },
+                ...Object.fromEntries(SWEEP_OUTPUTS.map(({ key, symbol, colorKey }, i) => [`y-${key}`, {
+                    ...commonOptions.scales.y,
+                    display: false,
+                    position: i % 2 === 0 ? 'left' : 'right',
+                    title: {
+                        display: true,
+                        text: symbol,
+                        color: colors[colorKey],
+                        font: {
+                            family: 'JetBrains Mono',
+                            size: 10
+                        }
+                    }
+                }]))
+            }
+        }
     });
+}
+
+function setupEventListeners() {
+    // Botones de modo
+    SIMULATION_MODES.forEach(mode => {
+        document.getElementById(`mode-${mode}`).addEventListener('click', () => switchMode(mode));
+    });
+
+    // Controles del Resorte
+    // Masa - Slider
+    document.getElementById('mass').addEventListener('input', (e) => {
+        params.mass = parseFloat(e.target.value);
+        document.getElementById('mass-value').value = formatControlValue(params.mass, 1);
+        showError('mass-value', 'mass-error', false, 'mass');
+        updateCalculatedValues();
+    });
+    // Masa - Input manual
+    document.getElementById('mass-value').addEventListener('input', (e) => {
+        validateAndUpdate(e.target.value, 0.5, 5, 'mass', 'mass', 'mass-value', 'mass-error', 'mass', 1);
+    });
+    
+    // Constante del resorte - Slider
+    document.getElementById('spring-constant').addEventListener('input', (e) => {
+        params.springConstant = parseFloat(e.target.value);
+        document.getElementById('spring-constant-value').value = formatControlValue(params.springConstant, 0);
+        showError('spring-constant-value', 'spring-constant-error', false, 'springConstant');
+        updateCalculatedValues();
+    });
+    // Constante del resorte - Input manual
+    document.getElementById('spring-constant-value').addEventListener('input', (e) => {
+        validateAndUpdate(e.target.value, 10, 100, 'springConstant', 'spring-constant', 'spring-constant-value', 'spring-constant-error', 'springConstant', 0);
+    });
+    
+    // Resorte vertical con gravedad
+    document.getElementById('spring-vertical').addEventListener('change', (e) => {
+        params.springVertical = e.target.checked;
+        updateVerticalSpringControls();
+        updateChartAxisLabels();
+        resetSimulation();
+        updateCalculatedValues();
+    });
+    // Referencia del gráfico de posición
+    ['equilibrium', 'natural'].forEach(reference => {
+        document.getElementById(`reference-${reference}`).addEventListener('click', () => {
+            params.springReference = reference;
+            updateVerticalSpringControls();
+            updateChartAxisLabels();
+            drawAllGraphs();
+        });
+    });
+
+    // Red de resortes - Cantidad y disposición
+    [1, 2, 3, 4].forEach(count => {
+        document.getElementById(`spring-count-${count}`).addEventListener('click', () => setSpringNetwork(count, params.springArrangement));
+    });
+    ['series', 'parallel'].forEach(arrangement => {
+        document.getElementById(`arrangement-${arrangement}`).addEventListener('click', () => setSpringNetwork(params.springCount, arrangement));
+    });
+
+    // Red de resortes - Constantes k₂…k₄ (slider e input manual)
+    [2, 3, 4].forEach(index => {
+        const key = `springConstant${index}`;
+        const id = `spring-constant-${index}`;
+        document.getElementById(id).addEventListener('input', (e) => {
+            params[key] = parseFloat(e.target.value);
+            document.getElementById(`${id}-value`).value = formatControlValue(params[key], 0);
+            showError(`${id}-value`, `${id}-error`, false, key);
+            updateCalculatedValues();
+        });
+        document.getElementById(`${id}-value`).addEventListener('input', (e) => {
+            validateAndUpdate(e.target.value, 10, 100, key, id, `${id}-value`, `${id}-error`, key, 0);
+        });
+    });
+    
+    // Amplitud - Slider
+    document.getElementById('amplitude').addEventListener('input', (e) => {
+        params.amplitude = parseFloat(e.target.value);
+        document.getElementById('amplitude-value').value = formatControlValue(params.amplitude, 2);
+        showError('amplitude-value', 'amplitude-error', false, 'amplitude');
+        updateCalculatedValues();
+    });
+    // Amplitud - Input manual
+    document.getElementById('amplitude-value').addEventListener('input', (e) => {
+        validateAndUpdate(e.target.value, 0.01, 0.50, 'amplitude', 'amplitude', 'amplitude-value', 'amplitude-error', 'amplitude', 2);
+    });
+
+    // Fuerza externa - Slider
+    document.getElementById('driving-force').addEventListener('input', (e) => {
+        params.drivingForce = parseFloat(e.target.value);
+        document.getElementById('driving-force-value').value = formatControlValue(params.drivingForce, 1);
+        showError('driving-force-value', 'driving-force-error', false, 'drivingForce');
+        updateCalculatedValues();
+    });
+    // Fuerza externa - Input manual
+    document.getElementById('driving-force-value').addEventListener('input', (e) => {
+        validateAndUpdate(e.target.value, 0, 5, 'drivingForce', 'driving-force', 'driving-force-value', 'driving-force-error', 'drivingForce', 1);
+    });
+
+    // Frecuencia de excitación - Slider
+    document.getElementById('driving-frequency').addEventListener('input', (e) => {
+        params.drivingFrequency = parseFloat(e.target.value);
+        document.getElementById('driving-frequency-value').value = formatControlValue(params.drivingFrequency, 1);
+        showError('driving-frequency-value', 'driving-frequency-error', false, 'drivingFrequency');
+        updateCalculatedValues();
+    });
+    // Frecuencia de excitación - Input manual
+    document.getElementById('driving-frequency-value').addEventListener('input', (e) => {
+        validateAndUpdate(e.target.value, 0.1, 20, 'drivingFrequency', 'driving-frequency', 'driving-frequency-value', 'driving-frequency-error', 'drivingFrequency', 1);
+    });
+
+    // Controles del Péndulo
+    // Longitud - Slider
+    document.getElementById('pendulum-length').addEventListener('input', (e) => {
+        params.pendulumLength = parseFloat(e.target.value);
+        document.getElementById('pendulum-length-value').value = formatControlValue(params.pendulumLength, 1);
+        showError('pendulum-length-value', 'pendulum-length-error', false, 'pendulumLength');
+        updateCalculatedValues();
+    });
+    // Longitud - Input manual
+    document.getElementById('pendulum-length-value').addEventListener('input', (e) => {
+        validateAndUpdate(e.target.value, 0.5, 3, 'pendulumLength', 'pendulum-length', 'pendulum-length-value', 'pendulum-length-error', 'pendulumLength', 1);
+    });
+
+    // Ángulo - Slider
+    document.getElementById('pendulum-angle').addEventListener('input', (e) => {
+        params.pendulumAngle = parseFloat(e.target.value);
+        document.getElementById('pendulum-angle-value').value = formatControlValue(params.pendulumAngle, 0);
+        showError('pendulum-angle-value', 'pendulum-angle-error', false, 'pendulumAngle');
+        updatePendulumWarning();
+        updateCalculatedValues();
+    });
+    // Ángulo - Input manual
+    document.getElementById('pendulum-angle-value').addEventListener('input', (e) => {
+        validateAndUpdate(e.target.value, 1, getMaxPendulumAngle(), 'pendulumAngle', 'pendulum-angle', 'pendulum-angle-value', 'pendulum-angle-error', 'pendulumAngle', 0);
+    });
+
+    // Modelo no lineal del péndulo
+    document.getElementById('pendulum-nonlinear').addEventListener('change', (e) => {
+        params.pendulumNonlinear = e.target.checked;
+        updatePendulumAngleRange();
+        resetSimulation();
+        updateCalculatedValues();
+        updatePendulumWarning();
+    });
+
+    // Masa del péndulo - Slider
+    document.getElementById('pendulum-mass').addEventListener('input', (e) => {
+        params.pendulumMass = parseFloat(e.target.value);
+        document.getElementById('pendulum-mass-value').value = formatControlValue(params.pendulumMass, 1);
+        showError('pendulum-mass-value', 'pendulum-mass-error', false, 'pendulumMass');
+        updateCalculatedValues();
+    });
+    // Masa del péndulo - Input manual
+    document.getElementById('pendulum-mass-value').addEventListener('input', (e) => {
+        validateAndUpdate(e.target.value, 0.1, 5, 'pendulumMass', 'pendulum-mass', 'pendulum-mass-value', 'pendulum-mass-error', 'pendulumMass', 1);
+    });
+
+    // Péndulo físico - Tipo de péndulo y forma del cuerpo
+    ['simple', 'physical'].forEach(type => {
+        document.getElementById(`pendulum-type-${type}`).addEventListener('click', () => {
+            params.pendulumType = type;
+            updatePendulumTypeControls();
+            resetSimulation();
+            updateCalculatedValues();
+        });
+    });
+    ['rod', 'disc', 'ring', 'custom'].forEach(shape => {
+        document.getElementById(`body-shape-${shape}`).addEventListener('click', () => {
+            params.bodyShape = shape;
+            updatePendulumTypeControls();
+            resetSimulation();
+            updateCalculatedValues();
+        });
+    });
+
+    // Péndulo físico - Dimensiones (slider e input manual)
+    [
+        { id: 'rod-length', key: 'rodLength', min: 0.2, max: 2, decimals: 1 },
+        { id: 'body-radius', key: 'bodyRadius', min: 0.05, max: 1, decimals: 2 },
+        { id: 'custom-inertia', key: 'customInertia', min: 0.01, max: 5, decimals: 2 },
+        { id: 'pivot-distance', key: 'pivotDistance', min: 0.05, max: 2, decimals: 2 }
+    ].forEach(({ id, key, min, max, decimals }) => {
+        document.getElementById(id).addEventListener('input', (e) => {
+            params[key] = parseFloat(e.target.value);
+            document.getElementById(`${id}-value`).value = formatControlValue(params[key], decimals);
+            showError(`${id}-value`, `${id}-error`, false, key);
+            updateCalculatedValues();
+        });
+        document.getElementById(`${id}-value`).addEventListener('input', (e) => {
+            validateAndUpdate(e.target.value, min, max, key, id, `${id}-value`, `${id}-error`, key, decimals);
+        });
+    });
+
+    // Péndulo simple equivalente superpuesto
+    document.getElementById('show-equivalent-pendulum').addEventListener('change', (e) => {
+        params.showEquivalentPendulum = e.target.checked;
+        // En pausa se redibuja el instante actual; corriendo, lo hace el próximo cuadro
+        if (!simulation.isRunning) {
+            const linearAngle = isNonlinearPendulum() ? evaluateLinearMotion(0, simulation.time) : null;
+            drawPendulum(calculatePosition(simulation.time), linearAngle);
+        }
+    });
+
+    // Gravedad - Slider
+    document.getElementById('gravity').addEventListener('input', (e) => {
+        params.gravity = parseFloat(e.target.value);
+        document.getElementById('gravity-value').value = formatControlValue(params.gravity, 1);
+        showError('gravity-value', 'gravity-error', false, 'gravity');
+        updateCalculatedValues();
+    });
+    // Gravedad - Input manual
+    document.getElementById('gravity-value').addEventListener('input', (e) => {
+        validateAndUpdate(e.target.value, 1, 20, 'gravity', 'gravity', 'gravity-value', 'gravity-error', 'gravity', 1);
+    });
+    
+    // Controles de los osciladores acoplados
+    // Constante de acoplamiento - Slider
+    document.getElementById('coupling-constant').addEventListener('input', (e) => {
+        params.couplingConstant = parseFloat(e.target.value);
+        document.getElementById('coupling-constant-value').value = formatControlValue(params.couplingConstant, 0);
+        showError('coupling-constant-value', 'coupling-constant-error', false, 'couplingConstant');
+        updateCalculatedValues();
+    });
+    // Constante de acoplamiento - Input manual
+    document.getElementById('coupling-constant-value').addEventListener('input', (e) => {
+        validateAndUpdate(e.target.value, 1, 50, 'couplingConstant', 'coupling-constant', 'coupling-constant-value', 'coupling-constant-error', 'couplingConstant', 0);
+    });
+
+    // Desplazamientos iniciales - Sliders e inputs manuales
+    ['coupled-x1', 'coupled-x2'].forEach((id, index) => {
+        const key = index === 0 ? 'coupledX1' : 'coupledX2';
+        document.getElementById(id).addEventListener('input', (e) => {
+            setCoupledDisplacement(index, parseFloat(e.target.value));
+        });
+        document.getElementById(`${id}-value`).addEventListener('input', (e) => {
+            if (validateAndUpdate(e.target.value, -MAX_AMPLITUDE_COUPLED, MAX_AMPLITUDE_COUPLED, key, id, `${id}-value`, `${id}-error`, key, 2)) {
+                drawCoupledInitialState();
+            }
+        });
+    });
+
+    // Modos normales
+    document.getElementById('symmetric-mode-btn').addEventListener('click', () => startNormalMode(1));
+    document.getElementById('antisymmetric-mode-btn').addEventListener('click', () => startNormalMode(-1));
+
+    // Controles de la superposición - Mismo eje o ejes perpendiculares
+    ['same', 'perpendicular'].forEach(axes => {
+        document.getElementById(`superposition-axis-${axes}`).addEventListener('click', () => {
+            params.superpositionAxes = axes;
+            updateSuperpositionControls();
+            updateChartAxisLabels();
+            resetSimulation();
+            updateCalculatedValues();
+        });
+    });
+
+    // Superposición - Amplitud, frecuencia y fase de cada componente (slider e input manual)
+    [1, 2].forEach(index => {
+        [
+            { id: `component-amplitude-${index}`, key: `componentAmplitude${index}`, min: 0.01, max: 0.2, decimals: 2 },
+            { id: `component-frequency-${index}`, key: `componentFrequency${index}`, min: 1, max: 20, decimals: 1 },
+            { id: `component-phase-${index}`, key: `componentPhase${index}`, min: 0, max: 6.28, decimals: 1 }
+        ].forEach(({ id, key, min, max, decimals }) => {
+            document.getElementById(id).addEventListener('input', (e) => {
+                params[key] = parseFloat(e.target.value);
+                document.getElementById(`${id}-value`).value = formatControlValue(params[key], decimals);
+                showError(`${id}-value`, `${id}-error`, false, key);
+                updateCalculatedValues();
+                drawSuperpositionState();
+            });
+            document.getElementById(`${id}-value`).addEventListener('input', (e) => {
+                if (validateAndUpdate(e.target.value, min, max, key, id, `${id}-value`, `${id}-error`, key, decimals)) {
+                    drawSuperpositionState();
+                }
+            });
+        });
+    });
+    
+    // Control común - Fase
+    // Fase - Slider
+    document.getElementById('phase').addEventListener('input', (e) => {
+        params.phase = parseFloat(e.target.value);
+        document.getElementById('phase-value').value = formatControlValue(params.phase, 1);
+        showError('phase-value', 'phase-error', false, 'phase');
+        updateCalculatedValues();
+    });
+    // Fase - Input manual
+    document.getElementById('phase-value').addEventListener('input', (e) => {
+        const value = parseLocaleNumber(e.target.value);
+        const isValid = !isNaN(value) && value >= 0 && value <= 6.2832;
+        
+        showError('phase-value', 'phase-error', !isValid, 'phase');
+        
+        if (isValid) {
+            params.phase = value;
+            document.getElementById('phase').value = value;
+            updateCalculatedValues();
+        }
+    });
+
+    // Amortiguamiento - Slider
+    document.getElementById('damping').addEventListener('input', (e) => {
+        params.damping = parseFloat(e.target.value);
+        document.getElementById('damping-value').value = formatControlValue(params.damping, 1);
+        showError('damping-value', 'damping-error', false, 'damping');
+        updateCalculatedValues();
+    });
+    // Amortiguamiento - Input manual
+    document.getElementById('damping-value').addEventListener('input', (e) => {
+        validateAndUpdate(e.target.value, 0, 50, 'damping', 'damping', 'damping-value', 'damping-error', 'damping', 1);
+    });
+    
+    // Registro de datos - Intervalo de muestreo y máximo de muestras
+    updateRecordingIntervalInput();
+    document.getElementById('recording-interval').addEventListener('input', (e) => {
+        const value = parseLocaleNumber(e.target.value);
+        const isValid = !isNaN(value) && value >= 0.001 && value <= 1;
+        showError('recording-interval', 'recording-interval-error', !isValid);
+        if (isValid) {
+            recording.interval = value;
+        }
+    });
+    document.getElementById('recording-limit').addEventListener('input', (e) => {
+        const value = Number(e.target.value);
+        const isValid = e.target.value !== '' && Number.isInteger(value) && value >= 0;
+        showError('recording-limit', 'recording-limit-error', !isValid);
+        if (isValid) {
+            recording.maxSamples = value;
+            updateRecordingStatus();
+        }
+    });
+    // Registro de datos - Formato y exportación
+    ['csv', 'json'].forEach(format => {
+        document.getElementById(`export-format-${format}`).addEventListener('click', () => {
+            recording.format = format;
+            ['csv', 'json'].forEach(name => {
+                document.getElementById(`export-format-${name}`).classList.toggle('active', name === format);
+            });
+        });
+    });
+    document.getElementById('export-btn').addEventListener('click', () => exportRecording(recording.format));
+    
+    // Ventana, congelado y zoom de los gráficos
+    document.getElementById('time-window').addEventListener('input', (e) => {
+        const value = parseFloat(e.target.value);
+        const isValid = !isNaN(value) && value >= 1 && value <= 60;
+        showError('time-window', 'time-window-error', !isValid);
+        if (isValid) {
+            setChartTimeWindow(value);
+        }
+    });
+    document.getElementById('freeze-charts').addEventListener('change', (e) => {
+        chartView.frozen = e.target.checked;
+        chartView.frozenRange = chartView.frozen ? getSlidingTimeWindow() : null;
+        drawAllGraphs();
+    });
+    document.getElementById('reset-zoom-btn').addEventListener('click', resetChartZoom);
+    
+    // Lecciones
+    document.getElementById('lesson-prev-btn').addEventListener('click', () => showLessonStep(lesson.stepIndex - 1));
+    document.getElementById('lesson-next-btn').addEventListener('click', () => {
+        if (lesson.stepIndex === lesson.current.steps.length - 1) {
+            endLesson();
+        } else {
+            showLessonStep(lesson.stepIndex + 1);
+        }
+    });
+    document.getElementById('lesson-exit-btn').addEventListener('click', endLesson);
+    
+    // Práctica
+    document.getElementById('practice-seed-btn').addEventListener('click', () => {
+        setPracticeSeed(document.getElementById('practice-seed').value.trim() || createRandomSeed());
+    });
+    document.getElementById('practice-new-btn').addEventListener('click', newPracticeProblem);
+    document.getElementById('practice-check-btn').addEventListener('click', checkPracticeAnswer);
+    document.getElementById('practice-answer').addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') checkPracticeAnswer();
+    });
+    
+    // Barrido de parámetro
+    document.getElementById('sweep-run-btn').addEventListener('click', runParameterSweep);
+    document.getElementById('sweep-steps').addEventListener('input', (e) => {
+        const value = Number(e.target.value);
+        showError('sweep-steps', 'sweep-steps-error', !(Number.isInteger(value) && value >= 2 && value <= 500));
+    });
+    
+    // Experimento
+    document.getElementById('lab-oscillations').addEventListener('input', (e) => {
+        const value = Number(e.target.value);
+        showError('lab-oscillations', 'lab-oscillations-error', !(Number.isInteger(value) && value >= 1 && value <= 50));
+    });
+    document.getElementById('lab-timing-btn').addEventListener('click', startLabTiming);
+    document.getElementById('lab-add-row-btn').addEventListener('click', () => {
+        // Fila para completar a mano con la variable actual
+        lab.rows[getLabMode()].push({ value: params[LAB_EXPERIMENTS[getLabMode()].param], oscillations: 10, time: 0 });
+        updateLabPanel();
+    });
+    document.getElementById('lab-clear-btn').addEventListener('click', () => {
+        lab.rows[getLabMode()] = [];
+        updateLabPanel();
+    });
+    
+    // Cursores de medición
+    document.getElementById('measure-cursors').addEventListener('change', (e) => {
+        measurement.enabled = e.target.checked;
+        [positionChart, velocityChart, accelerationChart].forEach(chart => {
+            chart.canvas.classList.toggle('measuring', measurement.enabled);
+        });
+    });
+    document.getElementById('measure-period-btn').addEventListener('click', measurePeriod);
+    document.getElementById('clear-cursors-btn').addEventListener('click', clearCursors);
+    
+    // Velocidad, paso a paso y línea de tiempo
+    SIMULATION_SPEEDS.forEach((speed, i) => {
+        document.getElementById(`speed-${i}`).addEventListener('click', () => {
+            simulation.timeScale = speed;
+            updateSpeedControls();
+        });
+    });
+    document.getElementById('step-back-btn').addEventListener('click', () => stepFrame(-1));
+    document.getElementById('step-forward-btn').addEventListener('click', () => stepFrame(1));
+    document.getElementById('timeline').addEventListener('input', (e) => {
+        seekSimulation(parseFloat(e.target.value));
+    });
+    
+    // Grabación de video o GIF
+    document.getElementById('video-duration').addEventListener('input', (e) => {
+        const value = parseFloat(e.target.value);
+        const isValid = !isNaN(value) && value >= 1 && value <= 30;
+        showError('video-duration', 'video-duration-error', !isValid);
+        if (isValid) {
+            videoRecording.duration = value;
+        }
+        document.getElementById('video-record-btn').disabled = !isValid && !videoRecording.isActive;
+    });
+    ['webm', 'gif'].forEach(format => {
+        document.getElementById(`video-format-${format}`).addEventListener('click', () => {
+            videoRecording.format = format;
+            updateVideoControls();
+        });
+    });
+    document.getElementById('video-include-charts').addEventListener('change', (e) => {
+        videoRecording.includeCharts = e.target.checked;
+    });
+    document.getElementById('video-record-btn').addEventListener('click', () => {
+        if (videoRecording.isActive) {
+            videoRecording.cancelled = true;
+        } else {
+            recordVideo();
+        }
+    });
+    updateVideoControls();
+    
+    // Botones de control
+    document.getElementById('start-btn').addEventListener('click', startSimulation);
+    document.getElementById('pause-btn').addEventListener('click', pauseSimulation);
+    document.getElementById('reset-btn').addEventListener('click', resetSimulation);
+    document.addEventListener('keydown', handleShortcutKeyDown);
+    document.getElementById('copy-link-btn').addEventListener('click', copyShareLink);
+    
+    // Presets
+    document.getElementById('save-preset-btn').addEventListener('click', () => {
+        savePreset(document.getElementById('preset-name').value);
+    });
+    document.getElementById('preset-name').addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') savePreset(e.target.value);
+    });
+    document.getElementById('export-presets-btn').addEventListener('click', exportPresets);
+    document.getElementById('import-presets-btn').addEventListener('click', () => {
+        document.getElementById('import-presets-file').click();
+    });
+    document.getElementById('import-presets-file').addEventListener('change', (e) => {
+        if (e.target.files.length > 0) importPresets(e.target.files[0]);
+        e.target.value = '';
+    });
+}
+
+// Cambiar la cantidad de resortes de la red o su disposición
+function setSpringNetwork(count, arrangement) {
+    params.springCount = count;
+    params.springArrangement = arrangement;
+    updateSpringNetworkControls();
+    updateCalculatedValues();
+    
+    // Redibujar la red si la simulación está detenida
+    if (!simulation.isRunning && simulationMode === 'spring') {
+        drawSpring(simulation.time > 0 ? calculatePosition(simulation.time) * PIXELS_PER_METER : 0);
+    }
+}
+
+// Mostrar u ocultar un grupo de controles. Al ocultarlo se descarta un valor inválido
+// del input para que no bloquee el inicio de la simulación
+function setControlGroupVisible(groupId, inputId, validationKey, visible) {
+    document.getElementById(groupId).style.display = visible ? 'block' : 'none';
+    if (!visible) {
+        document.getElementById(`${inputId}-value`).value = formatControlValue(params[validationKey], 0);
+        showError(`${inputId}-value`, `${inputId}-error`, false, validationKey);
+    }
+}
+
+// Mostrar los controles k₂…k₄ según la cantidad de resortes y marcar los botones activos
+function updateSpringNetworkControls() {
+    const isSpring = simulationMode === 'spring';
+    [2, 3, 4].forEach(index => {
+        const id = `spring-constant-${index}`;
+        setControlGroupVisible(`${id}-group`, id, `springConstant${index}`, isSpring && index <= params.springCount);
+    });
+    [1, 2, 3, 4].forEach(count => {
+        document.getElementById(`spring-count-${count}`).classList.toggle('active', count === params.springCount);
+    });
+    ['series', 'parallel'].forEach(arrangement => {
+        document.getElementById(`arrangement-${arrangement}`).classList.toggle('active', arrangement === params.springArrangement);
+    });
+    document.getElementById('spring-constant-label').textContent = isSpring && params.springCount > 1
+        ? t('Constante del resorte 1 (k₁)')
+        : t('Constante del resorte (k)');
+}
+
+// Controles del péndulo simple (longitud) o del físico (cuerpo, dimensiones y pivote)
+function updatePendulumTypeControls() {
+    const isPendulum = simulationMode === 'pendulum';
+    const isPhysical = isPhysicalPendulum();
+    setControlGroupVisible('pendulum-length-group', 'pendulum-length', 'pendulumLength', isPendulum && !isPhysical);
+    document.getElementById('body-shape-group').style.display = isPhysical ? 'block' : 'none';
+    document.getElementById('equivalent-pendulum-group').style.display = isPhysical ? 'block' : 'none';
+    setControlGroupVisible('rod-length-group', 'rod-length', 'rodLength', isPhysical && params.bodyShape === 'rod');
+    setControlGroupVisible('body-radius-group', 'body-radius', 'bodyRadius', isPhysical && ['disc', 'ring'].includes(params.bodyShape));
+    setControlGroupVisible('custom-inertia-group', 'custom-inertia', 'customInertia', isPhysical && params.bodyShape === 'custom');
+    setControlGroupVisible('pivot-distance-group', 'pivot-distance', 'pivotDistance', isPhysical);
+    
+    ['simple', 'physical'].forEach(type => {
+        document.getElementById(`pendulum-type-${type}`).classList.toggle('active', type === params.pendulumType);
+    });
+    ['rod', 'disc', 'ring', 'custom'].forEach(shape => {
+        document.getElementById(`body-shape-${shape}`).classList.toggle('active', shape === params.bodyShape);
+    });
+}
+
+// La gravedad y la referencia del gráfico de posición solo aplican al resorte vertical
+function updateVerticalSpringControls() {
+    const isVertical = isVerticalSpring();
+    document.getElementById('gravity-group').style.display = simulationMode === 'pendulum' || isVertical ? 'block' : 'none';
+    document.getElementById('spring-reference-options').style.display = isVertical ? 'block' : 'none';
+    ['equilibrium', 'natural'].forEach(reference => {
+        document.getElementById(`reference-${reference}`).classList.toggle('active', reference === params.springReference);
+    });
+    document.querySelectorAll('.vertical-energy').forEach(el => {
+        el.style.display = isVertical ? '' : 'none';
+    });
+}
+
+// Marcar el botón de ejes activo de la superposición
+function updateSuperpositionControls() {
+    ['same', 'perpendicular'].forEach(axes => {
+        document.getElementById(`superposition-axis-${axes}`).classList.toggle('active', axes === params.superpositionAxes);
+    });
+}
+
+function getMaxPendulumAngle(state = params) {
+    return state.pendulumNonlinear ? MAX_NONLINEAR_PENDULUM_ANGLE : MAX_LINEAR_PENDULUM_ANGLE;
+}
+
+// Ajustar el rango del ángulo inicial al modelo del péndulo (lineal o no lineal)
+function updatePendulumAngleRange() {
+    const maxAngle = getMaxPendulumAngle();
+    document.getElementById('pendulum-angle').max = maxAngle;
+    document.getElementById('pendulum-angle-error').textContent = t('Valor debe estar entre 1 y {max} grados', { max: maxAngle });
+    
+    if (params.pendulumAngle > maxAngle) {
+        params.pendulumAngle = maxAngle;
+        document.getElementById('pendulum-angle').value = maxAngle;
+        document.getElementById('pendulum-angle-value').value = formatControlValue(maxAngle, 0);
+    }
+    showError('pendulum-angle-value', 'pendulum-angle-error', false, 'pendulumAngle');
+}
+
+function updateSimulationSubtitle() {
+    const subtitles = {
+        spring: 'Simulación de un sistema masa-resorte',
+        pendulum: 'Simulación de un péndulo simple',
+        coupled: 'Simulación de dos osciladores acoplados',
+        superposition: 'Superposición de dos movimientos armónicos simples'
+    };
+    document.getElementById('simulation-subtitle').textContent = t(subtitles[simulationMode]);
+    // Nombre accesible del canvas de la simulación
+    springCanvas.setAttribute('aria-label', t(subtitles[simulationMode]));
+}
+
+function switchMode(mode) {
+    simulationMode = mode;
+    
+    // Actualizar botones
+    SIMULATION_MODES.forEach(name => {
+        document.getElementById(`mode-${name}`).classList.toggle('active', mode === name);
+    });
+    
+    updateSimulationSubtitle();
+    
+    // Mostrar/ocultar controles y fórmulas: un elemento puede pertenecer a varios modos
+    ['control', 'formula'].forEach(kind => {
+        const selector = SIMULATION_MODES.map(name => `.${name}-${kind}`).join(', ');
+        document.querySelectorAll(selector).forEach(el => {
+            el.style.display = el.classList.contains(`${mode}-${kind}`) ? 'block' : 'none';
+        });
+    });
+    updateSpringNetworkControls();
+    updateVerticalSpringControls();
+    updatePendulumTypeControls();
+    updateSuperpositionControls();
+    updateLabPanel();
+    updateSweepControls();
+    showReleaseNotice([]);
+
+    // Actualizar unidades en los valores actuales
+    if (mode !== 'pendulum') {
+        document.getElementById('position-unit').textContent = 'm';
+        document.getElementById('velocity-unit').textContent = 'm/s';
+        document.getElementById('acceleration-unit').textContent = 'm/s²';
+    } else {
+        document.getElementById('position-unit').textContent = '°';
+        document.getElementById('velocity-unit').textContent = 'rad/s';
+        document.getElementById('acceleration-unit').textContent = 'rad/s²';
+    }
+
+    // Actualizar títulos de los ejes Y de los gráficos
+    updateChartAxisLabels();
+
+    // Reiniciar simulación
+    resetSimulation();
+    updateCalculatedValues();
+    updatePendulumWarning();
+}
+
+function updateChartAxisLabels() {
+    const isCoupled = simulationMode === 'coupled';
+    // Series de los gráficos de posición, velocidad y aceleración: principal y segunda
+    let mainLabels = [t('Posición'), t('Velocidad'), t('Aceleración')];
+    let secondLabels = [t('Masa 2'), t('Masa 2'), t('Masa 2')];
+    if (isCoupled) {
+        mainLabels = [t('Masa 1'), t('Masa 1'), t('Masa 1')];
+    } else if (isLissajous()) {
+        mainLabels = ['x', 'v_x', 'a_x'];
+        secondLabels = ['y', 'v_y', 'a_y'];
+    } else if (simulationMode === 'superposition') {
+        mainLabels = ['x₁ + x₂', 'v₁ + v₂', 'a₁ + a₂'];
+        secondLabels = ['x₂', 'v₂', 'a₂'];
+    }
+    [positionChart, velocityChart, accelerationChart].forEach((chart, i) => {
+        chart.data.datasets[0].label = mainLabels[i];
+        chart.data.datasets[5].label = secondLabels[i];
+    });
+    energyChart.data.datasets[0].label = t(isCoupled ? 'Masa 1' : 'Cinética');
+    energyChart.data.datasets[1].label = t(isCoupled ? 'Masa 2' : 'Potencial');
+    
+    if (isCoupled) {
+        positionChart.options.scales.y.title.text = 'x (m)';
+        velocityChart.options.scales.y.title.text = 'v (m/s)';
+        accelerationChart.options.scales.y.title.text = 'a (m/s²)';
+        phaseSpaceChart.options.scales.x.title.text = 'x₁ (m)';
+        phaseSpaceChart.options.scales.y.title.text = 'v₁ (m/s)';
+    } else if (simulationMode === 'superposition') {
+        const isPerpendicular = isLissajous();
+        positionChart.options.scales.y.title.text = isPerpendicular ? 'x, y (m)' : 'x (m)';
+        velocityChart.options.scales.y.title.text = 'v (m/s)';
+        accelerationChart.options.scales.y.title.text = 'a (m/s²)';
+        phaseSpaceChart.options.scales.x.title.text = 'x (m)';
+        phaseSpaceChart.options.scales.y.title.text = isPerpendicular ? 'v_x (m/s)' : 'v (m/s)';
+    } else if (simulationMode === 'spring') {
+        positionChart.options.scales.y.title.text = getPositionGraphOffset() > 0 ? 'y = x + mg/k (m)' : 'x (m)';
+        velocityChart.options.scales.y.title.text = 'v (m/s)';
+        accelerationChart.options.scales.y.title.text = 'a (m/s²)';
+        phaseSpaceChart.options.scales.x.title.text = 'x (m)';
+        phaseSpaceChart.options.scales.y.title.text = 'v (m/s)';
+    } else {
+        positionChart.options.scales.y.title.text = 'θ (°)';
+        velocityChart.options.scales.y.title.text = 'ω (rad/s)';
+        accelerationChart.options.scales.y.title.text = 'α (rad/s²)';
+        phaseSpaceChart.options.scales.x.title.text = 'θ (°)';
+        phaseSpaceChart.options.scales.y.title.text = 'ω (rad/s)';
+    }
+    
+    // Actualizar los gráficos para reflejar los cambios
+    positionChart.update('none');
+    velocityChart.update('none');
+    accelerationChart.update('none');
+    energyChart.update('none');
+    phaseSpaceChart.update('none');
+    // El gráfico de los cursores muestra la magnitud con su nueva unidad
+    updateCursorReadout();
+}
+
+// =====================
+// Cálculos físicos
+// =====================
+
+//Frecuencia angular (en el modo acoplado, la del modo simétrico; en la superposición, la mayor de las componentes)
+function calculateOmega() {
+    if (simulationMode === 'coupled') {
+        return calculateCoupledOmegas().symmetric;
+    }
+    if (simulationMode === 'superposition') {
+        return Math.max(params.componentFrequency1, params.componentFrequency2);
+    }
+    if (simulationMode === 'spring') {
+        return Math.sqrt(calculateEffectiveSpringConstant() / params.mass);
+    } else {
+        return Math.sqrt(params.gravity / calculateEquivalentLength());
+    }
+}
+
+//Constantes de la red de resortes: k₁ es el control principal, k₂…k₄ los adicionales
+function getSpringConstants() {
+    const constants = [params.springConstant, params.springConstant2, params.springConstant3, params.springConstant4];
+    return constants.slice(0, params.springCount);
+}
+
+//Constante efectiva de la red: en serie 1/k_eq = Σ1/kᵢ, en paralelo k_eq = Σkᵢ
+function calculateEffectiveSpringConstant() {
+    const constants = getSpringConstants();
+    if (params.springArrangement === 'parallel') {
+        return constants.reduce((sum, k) => sum + k, 0);
+    }
+    return 1 / constants.reduce((sum, k) => sum + 1 / k, 0);
+}
+
+//Resorte vertical bajo la gravedad
+function isVerticalSpring() {
+    return simulationMode === 'spring' && params.springVertical;
+}
+
+//Estiramiento estático Δ = mg/k_eq: el equilibrio queda Δ por debajo de la longitud natural
+function calculateStaticStretch() {
+    return params.mass * params.gravity / calculateEffectiveSpringConstant();
+}
+
+//Desplazamiento que se suma a x en el gráfico de posición (y = x + Δ desde la longitud natural)
+function getPositionGraphOffset() {
+    return isVerticalSpring() && params.springReference === 'natural' ? calculateStaticStretch() : 0;
+}
+
+//Pasos de la reducción de la red a un resorte equivalente
+function getSpringReductionSteps() {
+    const constants = getSpringConstants();
+    const names = ['k₁', 'k₂', 'k₃', 'k₄'].slice(0, constants.length);
+    const kEq = calculateEffectiveSpringConstant();
+    const result = `k_eq = ${kEq.toFixed(1)} N/m`;
+    
+    if (constants.length === 1) {
+        return [`k_eq = k₁ = ${kEq.toFixed(1)} N/m`];
+    }
+    if (params.springArrangement === 'parallel') {
+        return [
+            `k_eq = ${names.join(' + ')}`,
+            `k_eq = ${constants.join(' + ')}`,
+            result
+        ];
+    }
+    return [
+        `1/k_eq = ${names.map(name => `1/${name}`).join(' + ')}`,
+        `1/k_eq = ${constants.map(k => `1/${k}`).join(' + ')} = ${(1 / kEq).toFixed(4)} m/N`,
+        result
+    ];
+}
+
+//Péndulo físico activo
+function isPhysicalPendulum() {
+    return simulationMode === 'pendulum' && params.pendulumType === 'physical';
+}
+
+//Momento de inercia del cuerpo respecto de su centro de masa
+function calculateCenterOfMassInertia() {
+    const m = params.pendulumMass;
+    switch (params.bodyShape) {
+        case 'rod': return m * params.rodLength * params.rodLength / 12;
+        case 'disc': return m * params.bodyRadius * params.bodyRadius / 2;
+        case 'ring': return m * params.bodyRadius * params.bodyRadius;
+        default: return params.customInertia;
+    }
+}
+
+//Distancia del pivote al centro de masa (la longitud de la cuerda en el péndulo simple)
+function getPivotDistance() {
+    return isPhysicalPendulum() ? params.pivotDistance : params.pendulumLength;
+}
+
+//Momento de inercia respecto del pivote: I = I_cm + m·d² (Steiner); mL² para la masa puntual
+function calculatePendulumInertia() {
+    const d = getPivotDistance();
+    const pointInertia = params.pendulumMass * d * d;
+    return isPhysicalPendulum() ? calculateCenterOfMassInertia() + pointInertia : pointInertia;
+}
+
+//Longitud del péndulo simple con el mismo período: L_eq = I/(m·d), así ω = √(g/L_eq)
+function calculateEquivalentLength() {
+    return calculatePendulumInertia() / (params.pendulumMass * getPivotDistance());
+}
+
+//Constante de amortiguamiento γ = b/(2m)
+function calculateGamma() {
+    // Las componentes de la superposición son MAS ideales
+    if (simulationMode === 'superposition') return 0;
+    const mass = simulationMode === 'pendulum' ? params.pendulumMass : params.mass;
+    return params.damping / (2 * mass);
+}
+
+//Razón de amortiguamiento ζ = γ/ω
+function calculateDampingRatio() {
+    return calculateGamma() / calculateOmega();
+}
+
+//Régimen de amortiguamiento
+function getDampingRegime() {
+    return classifyDamping(calculateGamma(), calculateOmega());
+}
+
+//Régimen de un oscilador con constante de amortiguamiento γ y frecuencia natural ω
+function classifyDamping(gamma, omega) {
+    const zeta = gamma / omega;
+    if (zeta === 0) return 'undamped';
+    if (Math.abs(zeta - 1) < CRITICAL_DAMPING_TOLERANCE) return 'critical';
+    return zeta < 1 ? 'underdamped' : 'overdamped';
+}
+
+//Frecuencia angular amortiguada ω₁ = √(ω² − γ²)
+function calculateDampedOmega() {
+    const regime = getDampingRegime();
+    if (regime === 'critical' || regime === 'overdamped') return 0;
+    const omega = calculateOmega();
+    const gamma = calculateGamma();
+    return Math.sqrt(omega * omega - gamma * gamma);
+}
+
+//Periodo (pseudo-período 2π/ω₁; infinito si el sistema no oscila)
+function calculatePeriod() {
+    // Péndulo no lineal: período exacto para la amplitud inicial
+    if (isNonlinearPendulum() && calculateDampedOmega() > 0) {
+        return calculateNonlinearPeriod();
+    }
+    const omega1 = calculateDampedOmega();
+    return omega1 > 0 ? (2 * Math.PI) / omega1 : Infinity;
+}
+
+//Frecuencia
+function calculateFrequency() {
+    return 1 / calculatePeriod();
+}
+
+//Amplitud
+function getAmplitude() {
+    if (simulationMode === 'spring') {
+        return params.amplitude;
+    } else if (simulationMode === 'coupled') {
+        // |x₁|, |x₂| ≤ |q_s| + |q_a| = max(|x₁₀|, |x₂₀|)
+        return Math.max(Math.abs(params.coupledX1), Math.abs(params.coupledX2));
+    } else if (simulationMode === 'superposition') {
+        // En el mismo eje |x₁ + x₂| ≤ A₁ + A₂; en ejes perpendiculares la serie principal es x
+        return params.componentAmplitude1 + (isLissajous() ? 0 : params.componentAmplitude2);
+    } else {
+        // Para péndulo, convertir ángulo a radianes como "amplitud"
+        return params.pendulumAngle * Math.PI / 180;
+    }
+}
+
+//Condiciones iniciales: las mismas del MAS ideal, x₀ = A·cos(φ) y v₀ = −Aω·sin(φ)
+//En el modo acoplado, las de la masa 1, que parte del reposo; en la superposición, las de la serie principal
+function getInitialConditions() {
+    if (simulationMode === 'coupled') {
+        return { x0: params.coupledX1, v0: 0 };
+    }
+    if (simulationMode === 'superposition') {
+        return { x0: evaluateSuperposedMotion(0, 0), v0: evaluateSuperposedMotion(1, 0) };
+    }
+    const omega = calculateOmega();
+    const A = getAmplitude();
+    return {
+        x0: A * Math.cos(params.phase),
+        v0: -A * omega * Math.sin(params.phase)
+    };
+}
+
+// Amplitud X y desfase δ estacionarios para una excitación de frecuencia drivingOmega
+function calculateSteadyState(drivingOmega) {
+    const omega = calculateOmega();
+    const gamma = calculateGamma();
+    const forcePerMass = params.drivingForce / params.mass;
+    const detuning = omega * omega - drivingOmega * drivingOmega;
+    const friction = 2 * gamma * drivingOmega;
+    return {
+        amplitude: forcePerMass / Math.sqrt(detuning * detuning + friction * friction),
+        phaseLag: Math.atan2(friction, detuning) // entre 0 y π
+    };
+}
+
+//Resonancia pura: sin amortiguamiento y con ω_d = ω la amplitud crece sin límite
+function isPureResonance() {
+    const omega = calculateOmega();
+    const relativeDetuning = Math.abs(omega * omega - params.drivingFrequency * params.drivingFrequency) / (omega * omega);
+    return calculateGamma() === 0 && relativeDetuning < RESONANCE_TOLERANCE;
+}
+
+// Coeficientes de la solución particular (forzada) o de su derivada n-ésima; null si no hay excitación.
+// - Estacionaria: f(t) = X·ω_dⁿ·cos(ω_d·t − δ + nπ/2)
+// - Resonancia pura: x(t) = B·t·sin(ωt) con B = F₀/(2mω)
+function getDrivenTerms(order = 0) {
+    if (simulationMode !== 'spring' || params.drivingForce === 0) return null;
+
+    const drivingOmega = params.drivingFrequency;
+
+    if (isPureResonance()) {
+        return {
+            resonant: true,
+            order,
+            drivingOmega,
+            B: params.drivingForce / (2 * params.mass * drivingOmega)
+        };
+    }
+
+    const { amplitude, phaseLag } = calculateSteadyState(drivingOmega);
+    return {
+        resonant: false,
+        drivingOmega,
+        X: amplitude * Math.pow(drivingOmega, order),
+        phase: -phaseLag + order * Math.PI / 2
+    };
+}
+
+function evaluateDrivenTerms(terms, t) {
+    if (terms.resonant) {
+        // Regla de Leibniz: dⁿ/dtⁿ [t·sin(ωt)] = t·ωⁿ·sin(ωt + nπ/2) + n·ωⁿ⁻¹·sin(ωt + (n−1)π/2)
+        const w = terms.drivingOmega;
+        const n = terms.order;
+        return terms.B * (
+            t * Math.pow(w, n) * Math.sin(w * t + n * Math.PI / 2) +
+            n * Math.pow(w, n - 1) * Math.sin(w * t + (n - 1) * Math.PI / 2)
+        );
+    }
+    return terms.X * Math.cos(terms.drivingOmega * t + terms.phase);
+}
+
+// Coeficientes de la solución de x'' + 2γx' + ω²x = 0 (order = 0) o de su derivada n-ésima.
+// Cada derivada conserva la forma de la solución, solo cambian los coeficientes:
+// - Subamortiguado: f(t) = R·e^(−γt)·cos(ω₁·t + δ)
+// - Crítico:        f(t) = (p + q·t)·e^(−γt)
+// - Sobreamortiguado: f(t) = p·e^(r₁t) + q·e^(r₂t)
+// Con excitación externa es la parte transitoria: sus condiciones iniciales descuentan la solución forzada.
+function getMotionTerms(order = 0) {
+    let { x0, v0 } = getInitialConditions();
+
+    const drivenPosition = getDrivenTerms(0);
+    if (drivenPosition) {
+        x0 -= evaluateDrivenTerms(drivenPosition, 0);
+        v0 -= evaluateDrivenTerms(getDrivenTerms(1), 0);
+    }
+
+    return getOscillatorTerms({ omega: calculateOmega(), gamma: calculateGamma(), x0, v0 }, order);
+}
+
+// Coeficientes para un oscilador cualquiera (también cada modo normal de los osciladores acoplados)
+function getOscillatorTerms({ omega, gamma, x0, v0 }, order = 0) {
+    const regime = classifyDamping(gamma, omega);
+
+    if (regime === 'critical') {
+        let p = x0;
+        let q = v0 + gamma * x0;
+        for (let i = 0; i < order; i++) {
+            [p, q] = [q - gamma * p, -gamma * q];
+        }
+        return { regime, gamma, p, q };
+    }
+
+    if (regime === 'overdamped') {
+        const root = Math.sqrt(gamma * gamma - omega * omega);
+        const r1 = -gamma + root;
+        const r2 = -gamma - root;
+        const p = (v0 - r2 * x0) / (r1 - r2);
+        const q = x0 - p;
+        return { regime, r1, r2, p: p * Math.pow(r1, order), q: q * Math.pow(r2, order) };
+    }
+
+    // Sin amortiguamiento o subamortiguado: cada derivada multiplica R por ω y suma β a la fase
+    const omega1 = Math.sqrt(omega * omega - gamma * gamma);
+    const c1 = x0;
+    const c2 = (v0 + gamma * x0) / omega1;
+    const beta = Math.atan2(omega1, -gamma);
+    return {
+        regime,
+        gamma,
+        omega1,
+        R: Math.sqrt(c1 * c1 + c2 * c2) * Math.pow(omega, order),
+        delta: Math.atan2(-c2, c1) + order * beta
+    };
+}
+
+function evaluateMotionTerms(terms, t) {
+    if (terms.regime === 'critical') {
+        return (terms.p + terms.q * t) * Math.exp(-terms.gamma * t);
+    }
+    if (terms.regime === 'overdamped') {
+        return terms.p * Math.exp(terms.r1 * t) + terms.q * Math.exp(terms.r2 * t);
+    }
+    return terms.R * Math.exp(-terms.gamma * t) * Math.cos(terms.omega1 * t + terms.delta);
+}
+
+// Instantes en [minTime, maxTime] en los que f(t) = 0
+function findMotionRoots(terms, minTime, maxTime) {
+    const roots = [];
+
+    if (terms.regime === 'critical') {
+        // (p + q·t) = 0 → t = −p/q
+        if (terms.q !== 0) roots.push(-terms.p / terms.q);
+    } else if (terms.regime === 'overdamped') {
+        // p·e^(r₁t) = −q·e^(r₂t) → t = ln(−q/p)/(r₁ − r₂)
+        const ratio = -terms.q / terms.p;
+        if (ratio > 0) roots.push(Math.log(ratio) / (terms.r1 - terms.r2));
+    } else if (terms.R > 0) {
+        // ω₁·t + δ = π/2 + πn
+        const startN = Math.floor((terms.omega1 * minTime + terms.delta - Math.PI / 2) / Math.PI);
+        const endN = Math.ceil((terms.omega1 * maxTime + terms.delta - Math.PI / 2) / Math.PI);
+        for (let n = startN; n <= endN; n++) {
+            roots.push((Math.PI / 2 + Math.PI * n - terms.delta) / terms.omega1);
+        }
+    }
+
+    return roots.filter(t => t >= minTime && t <= maxTime);
+}
+
+//Péndulo no lineal activo
+function isNonlinearPendulum() {
+    return simulationMode === 'pendulum' && params.pendulumNonlinear;
+}
+
+// Derivada n-ésima de la posición (0: posición, 1: velocidad, 2: aceleración...)
+// En el modo acoplado es la de la masa 1; en la superposición, la suma o la componente x
+function evaluateMotion(order, t) {
+    if (simulationMode === 'coupled') {
+        return evaluateCoupledMotion(order, t, 1);
+    }
+    if (simulationMode === 'superposition') {
+        return evaluateSuperposedMotion(order, t);
+    }
+    if (isNonlinearPendulum()) {
+        return evaluateNonlinearMotion(order, t);
+    }
+    return evaluateLinearMotion(order, t);
+}
+
+// Solución cerrada del oscilador lineal (MAS, amortiguado y/o forzado)
+function evaluateLinearMotion(order, t) {
+    let value = evaluateMotionTerms(getMotionTerms(order), t);
+    const drivenTerms = getDrivenTerms(order);
+    if (drivenTerms) {
+        value += evaluateDrivenTerms(drivenTerms, t);
+    }
+    return value;
+}
+
+// Instantes en [minTime, maxTime] en los que se anula la derivada n-ésima de la posición
+function findMotionZeros(order, minTime, maxTime) {
+    if (isNonlinearPendulum()) {
+        const step = Math.min(0.02, Math.PI / (20 * calculateOmega()));
+        return findRootsBySampling((t) => evaluateMotion(order, t), minTime, maxTime, Math.ceil((maxTime - minTime) / step));
+    }
+
+    const isSuperposed = simulationMode === 'coupled' || simulationMode === 'superposition';
+    if (!isSuperposed && !getDrivenTerms(order)) {
+        return findMotionRoots(getMotionTerms(order), minTime, maxTime);
+    }
+
+    // Con excitación o dos movimientos superpuestos no hay expresión cerrada:
+    // se muestrea y se refina cada cambio de signo por bisección
+    const fastestOmega = simulationMode === 'coupled'
+        ? calculateCoupledOmegas().antisymmetric
+        : Math.max(calculateOmega(), params.drivingFrequency);
+    const steps = Math.ceil((maxTime - minTime) / Math.min(0.05, Math.PI / (10 * fastestOmega)));
+    return findRootsBySampling((t) => evaluateMotion(order, t), minTime, maxTime, steps);
+}
+
+// Raíces de f en [minTime, maxTime]: detecta cambios de signo entre muestras y los refina por bisección
+function findRootsBySampling(f, minTime, maxTime, steps) {
+    const roots = [];
+    if (steps <= 0) return roots;
+
+    let tPrev = minTime;
+    let fPrev = f(tPrev);
+    for (let i = 1; i <= steps; i++) {
+        const tNext = minTime + (maxTime - minTime) * i / steps;
+        const fNext = f(tNext);
+        if (fPrev === 0) {
+            roots.push(tPrev);
+        } else if (fPrev * fNext < 0) {
+            let a = tPrev;
+            let b = tNext;
+            let fa = fPrev;
+            for (let j = 0; j < 40; j++) {
+                const mid = (a + b) / 2;
+                const fMid = f(mid);
+                if (fa * fMid <= 0) {
+                    b = mid;
+                } else {
+                    a = mid;
+                    fa = fMid;
+                }
+            }
+            roots.push((a + b) / 2);
+        }
+        tPrev = tNext;
+        fPrev = fNext;
+    }
+
+    return roots;
+}
+
+// =====================
+// Osciladores acoplados
+// =====================
+
+// Frecuencias de los modos normales. En el simétrico (x₁ = x₂) el resorte central no se
+// estira: ω_s = √(k/m). En el antisimétrico (x₁ = −x₂) se estira el doble: ω_a = √((k + 2k_c)/m)
+function calculateCoupledOmegas() {
+    return {
+        symmetric: Math.sqrt(params.springConstant / params.mass),
+        antisymmetric: Math.sqrt((params.springConstant + 2 * params.couplingConstant) / params.mass)
+    };
+}
+
+// Coordenadas normales q_s = (x₁ + x₂)/2 y q_a = (x₁ − x₂)/2: cada una es un oscilador
+// amortiguado independiente que parte del reposo, con el mismo γ = b/(2m)
+function getNormalModeTerms(order) {
+    const { symmetric, antisymmetric } = calculateCoupledOmegas();
+    const gamma = calculateGamma();
+    const x1 = params.coupledX1;
+    const x2 = params.coupledX2;
+    return {
+        symmetric: getOscillatorTerms({ omega: symmetric, gamma, x0: (x1 + x2) / 2, v0: 0 }, order),
+        antisymmetric: getOscillatorTerms({ omega: antisymmetric, gamma, x0: (x1 - x2) / 2, v0: 0 }, order)
+    };
+}
+
+// Derivada n-ésima del desplazamiento de la masa 1 (x₁ = q_s + q_a) o 2 (x₂ = q_s − q_a)
+function evaluateCoupledMotion(order, t, massIndex) {
+    const modes = getNormalModeTerms(order);
+    const symmetric = evaluateMotionTerms(modes.symmetric, t);
+    const antisymmetric = evaluateMotionTerms(modes.antisymmetric, t);
+    return massIndex === 1 ? symmetric + antisymmetric : symmetric - antisymmetric;
+}
+
+// Posición, velocidad y aceleración de ambas masas en el instante t
+function calculateCoupledState(t) {
+    const both = (order) => [evaluateCoupledMotion(order, t, 1), evaluateCoupledMotion(order, t, 2)];
+    return { position: both(0), velocity: both(1), acceleration: both(2) };
+}
+
+// Ec = ½m(v₁² + v₂²), Ep = ½k·x₁² + ½k_c(x₂ − x₁)² + ½k·x₂².
+// La energía de cada masa incluye su resorte exterior y la mitad del resorte central.
+function calculateCoupledEnergies({ position: [x1, x2], velocity: [v1, v2] }) {
+    const m = params.mass;
+    const k = params.springConstant;
+    const couplingEnergy = 0.5 * params.couplingConstant * (x2 - x1) * (x2 - x1);
+    const mass1 = 0.5 * m * v1 * v1 + 0.5 * k * x1 * x1 + couplingEnergy / 2;
+    const mass2 = 0.5 * m * v2 * v2 + 0.5 * k * x2 * x2 + couplingEnergy / 2;
+    const kinetic = 0.5 * m * (v1 * v1 + v2 * v2);
+    return { kinetic, potential: mass1 + mass2 - kinetic, total: mass1 + mass2, mass1, mass2 };
+}
+
+// Período de batido: la energía pasa de una masa a la otra y vuelve en T_b = 2π/(ω_a − ω_s)
+function calculateBeatPeriod() {
+    const { symmetric, antisymmetric } = calculateCoupledOmegas();
+    return 2 * Math.PI / (antisymmetric - symmetric);
+}
+
+// =====================
+// Superposición de dos MAS
+// =====================
+
+//Componentes en ejes perpendiculares (figura de Lissajous)
+function isLissajous() {
+    return simulationMode === 'superposition' && params.superpositionAxes === 'perpendicular';
+}
+
+// Derivada n-ésima de la componente index (1 o 2): Aωⁿ·cos(ωt + φ + nπ/2)
+function evaluateComponent(index, order, t) {
+    const A = params[`componentAmplitude${index}`];
+    const omega = params[`componentFrequency${index}`];
+    const phi = params[`componentPhase${index}`];
+    return A * Math.pow(omega, order) * Math.cos(omega * t + phi + order * Math.PI / 2);
+}
+
+// Serie principal: la suma x₁ + x₂ en el mismo eje o la componente x en ejes perpendiculares
+function evaluateSuperposedMotion(order, t) {
+    const first = evaluateComponent(1, order, t);
+    return isLissajous() ? first : first + evaluateComponent(2, order, t);
+}
+
+// Amplitud de batido: los fasores A₁ y A₂ suman R² = A₁² + A₂² + 2A₁A₂·cos((ω₁ − ω₂)t + φ₁ − φ₂)
+function calculateBeatAmplitude(t) {
+    const A1 = params.componentAmplitude1;
+    const A2 = params.componentAmplitude2;
+    const delta = (params.componentFrequency1 - params.componentFrequency2) * t + params.componentPhase1 - params.componentPhase2;
+    return Math.sqrt(Math.max(0, A1 * A1 + A2 * A2 + 2 * A1 * A2 * Math.cos(delta)));
+}
+
+// Período de batido T_b = 2π/|ω₁ − ω₂| (infinito si las frecuencias coinciden)
+function calculateSuperpositionBeatPeriod() {
+    return 2 * Math.PI / Math.abs(params.componentFrequency1 - params.componentFrequency2);
+}
+
+// Razón ω₁ : ω₂ = p : q en términos mínimos, o null si no hay una razón sencilla
+// (q ≤ MAX_LISSAJOUS_DENOMINATOR): entonces la figura de Lissajous no se cierra
+function findFrequencyRatio() {
+    const ratio = params.componentFrequency1 / params.componentFrequency2;
+    for (let q = 1; q <= MAX_LISSAJOUS_DENOMINATOR; q++) {
+        const p = Math.round(ratio * q);
+        if (p > 0 && Math.abs(p / q - ratio) < FREQUENCY_RATIO_TOLERANCE) {
+            return { p, q };
+        }
+    }
+    return null;
+}
+
+// =====================
+// Péndulo no lineal
+// =====================
+
+// θ'' = −(g/L)·sin θ − 2γθ'
+function nonlinearAcceleration(theta, omega) {
+    return -(params.gravity / calculateEquivalentLength()) * Math.sin(theta) - 2 * calculateGamma() * omega;
+}
+
+// Integrar la trayectoria con RK4 hasta cubrir el instante t. Si t quedó antes de la ventana
+// guardada, se vuelve a integrar desde el punto de control anterior: RK4 reproduce los
+// mismos valores
+function ensureNonlinearTrajectory(t) {
+    const key = [params.gravity, calculateEquivalentLength(), params.pendulumAngle, params.phase, params.damping, params.pendulumMass].join('|');
+    const trajectory = nonlinearTrajectory;
+    
+    if (trajectory.key !== key) {
+        const { x0, v0 } = getInitialConditions();
+        trajectory.key = key;
+        trajectory.start = 0;
+        trajectory.theta = [x0];
+        trajectory.omega = [v0];
+        trajectory.checkpoints = [{ theta: x0, omega: v0 }];
+    }
+    
+    const h = NONLINEAR_STEP;
+    const firstIndex = Math.floor(t / h);
+    const lastIndex = Math.ceil(t / h) + 1;
+    
+    if (firstIndex < trajectory.start) {
+        const k = Math.floor(firstIndex / NONLINEAR_CHECKPOINT_STEPS);
+        const checkpoint = trajectory.checkpoints[k];
+        trajectory.start = k * NONLINEAR_CHECKPOINT_STEPS;
+        trajectory.theta = [checkpoint.theta];
+        trajectory.omega = [checkpoint.omega];
+    }
+    
+    for (let i = trajectory.start + trajectory.theta.length - 1; i < lastIndex; i++) {
+        const theta = trajectory.theta[i - trajectory.start];
+        const omega = trajectory.omega[i - trajectory.start];
+        
+        const k1t = omega;
+        const k1w = nonlinearAcceleration(theta, omega);
+        const k2t = omega + h / 2 * k1w;
+        const k2w = nonlinearAcceleration(theta + h / 2 * k1t, k2t);
+        const k3t = omega + h / 2 * k2w;
+        const k3w = nonlinearAcceleration(theta + h / 2 * k2t, k3t);
+        const k4t = omega + h * k3w;
+        const k4w = nonlinearAcceleration(theta + h * k3t, k4t);
+        
+        const nextTheta = theta + h / 6 * (k1t + 2 * k2t + 2 * k3t + k4t);
+        const nextOmega = omega + h / 6 * (k1w + 2 * k2w + 2 * k3w + k4w);
+        trajectory.theta.push(nextTheta);
+        trajectory.omega.push(nextOmega);
+        
+        const next = i + 1;
+        if (next % NONLINEAR_CHECKPOINT_STEPS === 0 && next / NONLINEAR_CHECKPOINT_STEPS === trajectory.checkpoints.length) {
+            trajectory.checkpoints.push({ theta: nextTheta, omega: nextOmega });
+        }
+    }
+    
+    // Descartar los pasos viejos cuando la ventana duplica su tamaño, sin perder el instante t
+    const excess = Math.min(trajectory.theta.length - NONLINEAR_CACHE_STEPS, firstIndex - trajectory.start);
+    if (trajectory.theta.length > 2 * NONLINEAR_CACHE_STEPS && excess > 0) {
+        trajectory.theta.splice(0, excess);
+        trajectory.omega.splice(0, excess);
+        trajectory.start += excess;
+    }
+    
+    return trajectory;
+}
+
+// Estado (θ, θ') en el instante t, interpolado con polinomios de Hermite entre pasos de integración
+function getNonlinearState(t) {
+    t = Math.max(0, t);
+    const h = NONLINEAR_STEP;
+    const trajectory = ensureNonlinearTrajectory(t);
+    const i = Math.floor(t / h);
+    const s = t / h - i;
+    const j = i - trajectory.start;
+    
+    const theta0 = trajectory.theta[j];
+    const theta1 = trajectory.theta[j + 1];
+    const omega0 = trajectory.omega[j];
+    const omega1 = trajectory.omega[j + 1];
+    const alpha0 = nonlinearAcceleration(theta0, omega0);
+    const alpha1 = nonlinearAcceleration(theta1, omega1);
+    
+    const h00 = 2 * s * s * s - 3 * s * s + 1;
+    const h10 = s * s * s - 2 * s * s + s;
+    const h01 = -2 * s * s * s + 3 * s * s;
+    const h11 = s * s * s - s * s;
+    
+    return {
+        theta: h00 * theta0 + h10 * h * omega0 + h01 * theta1 + h11 * h * omega1,
+        omega: h00 * omega0 + h10 * h * alpha0 + h01 * omega1 + h11 * h * alpha1
+    };
+}
+
+// Derivadas sucesivas de θ obtenidas derivando la ecuación de movimiento
+function evaluateNonlinearMotion(order, t) {
+    const { theta, omega } = getNonlinearState(t);
+    const k = params.gravity / calculateEquivalentLength();
+    const twoGamma = 2 * calculateGamma();
+    
+    const alpha = nonlinearAcceleration(theta, omega);
+    const jerk = -k * Math.cos(theta) * omega - twoGamma * alpha;
+    const snap = k * Math.sin(theta) * omega * omega - k * Math.cos(theta) * alpha - twoGamma * jerk;
+    
+    return [theta, omega, alpha, jerk, snap][order];
+}
+
+// Integral elíptica completa de primera especie K(k) por la media aritmético-geométrica
+function completeEllipticK(k) {
+    let a = 1;
+    let b = Math.sqrt(1 - k * k);
+    while (Math.abs(a - b) > 1e-15 * a) {
+        [a, b] = [(a + b) / 2, Math.sqrt(a * b)];
+    }
+    return Math.PI / (2 * a);
+}
+
+// Amplitud real del péndulo no lineal a partir de la energía inicial (NaN si da vueltas completas)
+function calculateNonlinearAmplitude() {
+    const { x0, v0 } = getInitialConditions();
+    const k = params.gravity / calculateEquivalentLength();
+    const cosMax = Math.cos(x0) - v0 * v0 / (2 * k);
+    return cosMax > -1 ? Math.acos(cosMax) : NaN;
+}
+
+//Periodo exacto del péndulo: T = 4√(L/g)·K(sin(θ₀/2))
+function calculateNonlinearPeriod() {
+    const amplitude = calculateNonlinearAmplitude();
+    if (isNaN(amplitude)) return Infinity;
+    return 4 * Math.sqrt(calculateEquivalentLength() / params.gravity) * completeEllipticK(Math.sin(amplitude / 2));
+}
+
+//Posición
+function calculatePosition(t) {
+    return evaluateMotion(0, t);
+}
+
+//Velocidad
+function calculateVelocity(t) {
+    return evaluateMotion(1, t);
+}
+
+//Aceleración
+function calculateAcceleration(t) {
+    return evaluateMotion(2, t);
+}
+
+//Energías cinética y potencial (J) para un estado (x, v) del resorte o (θ, θ') del péndulo
+function calculateEnergies(position, velocity) {
+    let kinetic, potential;
+    if (simulationMode === 'spring') {
+        const k = calculateEffectiveSpringConstant();
+        kinetic = 0.5 * params.mass * velocity * velocity;
+        if (params.springVertical) {
+            // Elástica con el estiramiento real x + Δ; gravitatoria medida desde el equilibrio (x hacia abajo)
+            const stretch = position + calculateStaticStretch();
+            const elastic = 0.5 * k * stretch * stretch;
+            const gravitational = -params.mass * params.gravity * position;
+            potential = elastic + gravitational;
+            return { kinetic, potential, total: kinetic + potential, elastic, gravitational };
+        }
+        potential = 0.5 * k * position * position;
+    } else {
+        // Ec = ½Iθ'² y Ep = m·g·d(1 − cos θ), con d = L e I = mL² para la masa puntual
+        const m = params.pendulumMass;
+        const d = getPivotDistance();
+        kinetic = 0.5 * calculatePendulumInertia() * velocity * velocity;
+        // El modelo lineal conserva la energía con la aproximación 1 − cos θ ≈ θ²/2
+        potential = params.pendulumNonlinear
+            ? m * params.gravity * d * (1 - Math.cos(position))
+            : 0.5 * m * params.gravity * d * position * position;
+    }
+    return { kinetic, potential, total: kinetic + potential };
+}
+
+//Energía mecánica inicial
+function calculateInitialEnergy() {
+    // Las componentes de la superposición no tienen masa asociada
+    if (simulationMode === 'superposition') return 0;
+    if (simulationMode === 'coupled') {
+        return calculateCoupledEnergies(calculateCoupledState(0)).total;
+    }
+    const { x0, v0 } = getInitialConditions();
+    return calculateEnergies(x0, v0).total;
+}
+
+//Magnitudes derivadas de los parámetros actuales: ω, T, f, velocidad y aceleración máximas y energía
+function calculateDerivedQuantities() {
+    const omega = calculateOmega();
+    const period = calculatePeriod();
+    const frequency = calculateFrequency();
+    const A = getAmplitude();
+    let vMax = A * omega;
+    let aMax = A * omega * omega;
+    
+    // Resorte: E = ½kA². Péndulo: E = mgL(1 − cos θ₀) ≈ ½mgLθ₀² para ángulos pequeños
+    const energy = calculateInitialEnergy();
+    if (isNonlinearPendulum()) {
+        // θ' es máxima en el punto más bajo; |θ''| = (g/L)·sin θ es máxima en la amplitud (o a 90°)
+        const amplitude = calculateNonlinearAmplitude();
+        vMax = Math.sqrt(2 * energy / calculatePendulumInertia());
+        aMax = omega * omega * Math.sin(Math.min(isNaN(amplitude) ? Math.PI / 2 : amplitude, Math.PI / 2));
+    }
+    return { omega, period, frequency, vMax, aMax, energy };
+}
+
+//Actualizar valores calculados
+function updateCalculatedValues() {
+    restartTimelineOnParameterChange();
+    cancelLabTimingOnParameterChange();
+    const { omega, period, frequency, vMax, aMax, energy } = calculateDerivedQuantities();
+    
+    document.getElementById('calc-omega').textContent = formatNumber(omega, 2);
+    document.getElementById('calc-period').textContent = isFinite(period) ? formatNumber(period, 2) : '—';
+    document.getElementById('calc-frequency').textContent = isFinite(period) ? formatNumber(frequency, 2) : '—';
+    document.getElementById('calc-vmax').textContent = formatNumber(vMax, 2);
+    document.getElementById('calc-amax').textContent = formatNumber(aMax, 2);
+    document.getElementById('calc-energy').textContent = formatNumber(energy, 3);
+    document.getElementById('calc-damping-ratio').textContent = formatNumber(calculateDampingRatio(), 3);
+    document.getElementById('calc-regime').textContent = t(DAMPING_REGIME_NAMES[getDampingRegime()]);
+    document.getElementById('calc-period-linear').textContent = formatNumber(2 * Math.PI / omega, 2);
+    document.getElementById('calc-inertia').textContent = formatNumber(calculatePendulumInertia(), 3);
+    document.getElementById('calc-equivalent-length').textContent = formatNumber(calculateEquivalentLength(), 2);
+    
+    // Osciladores acoplados: frecuencias de los modos normales y período de batido
+    if (simulationMode === 'coupled') {
+        const { symmetric, antisymmetric } = calculateCoupledOmegas();
+        document.getElementById('calc-omega-symmetric').textContent = formatNumber(symmetric, 2);
+        document.getElementById('calc-omega-antisymmetric').textContent = formatNumber(antisymmetric, 2);
+        document.getElementById('calc-beat-period').textContent = formatNumber(calculateBeatPeriod(), 2);
+    }
+    
+    // Superposición: frecuencias de las componentes, período de batido y razón ω₁ : ω₂
+    if (simulationMode === 'superposition') {
+        const beatPeriod = calculateSuperpositionBeatPeriod();
+        const ratio = findFrequencyRatio();
+        document.getElementById('calc-component-omegas').textContent =
+            `${formatNumber(params.componentFrequency1, 2)} / ${formatNumber(params.componentFrequency2, 2)}`;
+        document.getElementById('calc-superposition-beat').textContent = isFinite(beatPeriod) ? formatNumber(beatPeriod, 2) : '∞';
+        document.getElementById('calc-frequency-ratio').textContent = ratio
+            ? `${ratio.p} : ${ratio.q}`
+            : `≈ ${formatNumber(params.componentFrequency1 / params.componentFrequency2, 3)}`;
+    }
+    
+    // Oscilador forzado y red de resortes (solo resorte)
+    if (simulationMode === 'spring') {
+        document.getElementById('calc-k-eq').textContent = formatNumber(calculateEffectiveSpringConstant(), 1);
+        document.getElementById('calc-static-stretch').textContent = params.springVertical ? formatNumber(calculateStaticStretch(), 3) : '—';
+        document.getElementById('spring-network-steps').innerHTML = getSpringReductionSteps()
+            .map(step => `<div class="formula">${step}</div>`)
+            .join('');
+        const steadyState = calculateSteadyState(params.drivingFrequency);
+        const steadyAmplitude = isPureResonance() ? Infinity : steadyState.amplitude;
+        document.getElementById('calc-steady-amplitude').textContent = isFinite(steadyAmplitude) ? formatNumber(steadyAmplitude, 3) : '∞';
+        document.getElementById('calc-phase-lag').textContent = formatNumber(steadyState.phaseLag * 180 / Math.PI, 1);
+        updateResonanceChart();
+    }
+    
+    updatePhaseSpaceChart();
+}
+
+// =====================
+// Control de simulación
+// =====================
+function startSimulation() {
+    // La grabación de video controla el tiempo mientras dura
+    if (videoRecording.isActive) return;
+    
+    // Verificar que no haya errores de validación
+    const hasErrors = Object.values(validationState).some(isValid => !isValid);
+    if (hasErrors) {
+        console.warn(t('No se puede iniciar la simulación: hay errores en los parámetros'));
+        return;
+    }
+    
+    if (!simulation.isRunning) {
+        simulation.isRunning = true;
+        simulation.lastTimestamp = 0;
+        simulation.animationId = requestAnimationFrame(animate);
+    }
+}
+
+function pauseSimulation() {
+    simulation.isRunning = false;
+    if (simulation.animationId) {
+        cancelAnimationFrame(simulation.animationId);
+        simulation.animationId = null;
+    }
+}
+
+function resetSimulation() {
+    pauseSimulation();
+    simulation.time = 0;
+    simulation.lastTimestamp = 0;
+    simulation.minTime = 0;
+    simulation.maxTime = 0;
+    updateTimeline();
+    clearGraphData();
+    clearRecording();
+    resetChartView();
+    clearCursors();
+    cancelLabTiming();
+    practice.pauseAt = null;
+    
+    resetCharts();
+    if (simulationMode === 'coupled') {
+        // Las masas quedan en sus desplazamientos iniciales, listas para soltarse
+        drawCoupledInitialState();
+        return;
+    }
+    if (simulationMode === 'superposition') {
+        drawSuperpositionState();
+        return;
+    }
+    if (simulationMode === 'spring') {
+        drawSpring(0);
+    } else {
+        drawPendulum(0);
+    }
+    updateCurrentValues(0, 0, 0, 0);
+}
+
+// Atajos de teclado: Espacio inicia o pausa y R reinicia. No se activan mientras se escribe en
+// un control ni sobre botones y enlaces, que ya responden a Espacio
+function handleShortcutKeyDown(e) {
+    if (e.ctrlKey || e.metaKey || e.altKey || e.repeat) return;
+    if (e.target.closest('input, select, textarea, button, summary, a')) return;
+    // La grabación de video controla el tiempo mientras dura
+    if (videoRecording.isActive) return;
+    
+    if (e.key === ' ') {
+        e.preventDefault();
+        if (simulation.isRunning) {
+            pauseSimulation();
+        } else {
+            startSimulation();
+        }
+    } else if (e.key === 'r' || e.key === 'R') {
+        e.preventDefault();
+        resetSimulation();
+    }
+}
+
+function animate(timestamp) {
+    if (!simulation.isRunning) return;
+    
+    // Primera iteración: inicializar timestamp
+    if (simulation.lastTimestamp === 0) {
+        simulation.lastTimestamp = timestamp;
+    }
+    
+    // Calcular delta time
+    const deltaTime = (timestamp - simulation.lastTimestamp) / 1000;
+    simulation.lastTimestamp = timestamp;
+    
+    // Evitar saltos grandes de tiempo
+    const clampedDelta = Math.min(deltaTime, 0.1);
+    
+    stepSimulation(clampedDelta * simulation.timeScale);
+    
+    // Siguiente frame
+    simulation.animationId = requestAnimationFrame(animate);
+}
+
+// Avanzar la simulación deltaTime segundos y redibujar canvas, gráficos y valores actuales.
+// La usan la animación (paso según los frames) y la grabación de video (paso fijo)
+function stepSimulation(deltaTime) {
+    // Actualizar tiempo
+    simulation.time += deltaTime;
+    simulation.maxTime = Math.max(simulation.maxTime, simulation.time);
+    
+    // Registrar todas las muestras hasta el instante actual, sin importar la tasa de frames
+    recordSamples(simulation.time);
+    updateLabStopwatch();
+    
+    // El paso de la lección puede detener la simulación justo en el evento que espera
+    if (checkLessonCondition(simulation.time - deltaTime, simulation.time)) return;
+    
+    // La animación de comprobación de la práctica se detiene en el instante del problema
+    if (practice.pauseAt !== null && simulation.time >= practice.pauseAt) {
+        const pauseAt = practice.pauseAt;
+        practice.pauseAt = null;
+        seekSimulation(pauseAt);
+        return;
+    }
+    
+    drawSimulationFrame();
+}
+
+// Volver (o avanzar) a un instante ya simulado. El movimiento depende solo de t, así que
+// basta recalcular la ventana de los gráficos y redibujar; el registro de datos no cambia
+function seekSimulation(time) {
+    if (videoRecording.isActive) return;
+    pauseSimulation();
+    simulation.time = Math.max(simulation.minTime, Math.min(time, simulation.maxTime));
+    
+    clearGraphData();
+    const startTime = Math.max(simulation.minTime, simulation.time - graphData.timeWindow - 0.5);
+    for (let t = startTime; t < simulation.time; t += FRAME_STEP) {
+        addDataPoint(t, calculatePosition(t), calculateVelocity(t), calculateAcceleration(t));
+    }
+    drawSimulationFrame();
+}
+
+// Un cuadro hacia adelante (direction = 1) o hacia atrás (-1), con la simulación en pausa.
+// Más allá del último instante simulado se avanza la simulación normalmente
+function stepFrame(direction) {
+    if (videoRecording.isActive) return;
+    pauseSimulation();
+    const step = FRAME_STEP * simulation.timeScale;
+    if (direction > 0 && simulation.time + step > simulation.maxTime) {
+        stepSimulation(step);
+    } else {
+        seekSimulation(simulation.time + direction * step);
+    }
+}
+
+// Dibujar el estado en simulation.time y agregar ese punto a los gráficos
+function drawSimulationFrame() {
+    // Calcular valores actuales
+    const position = calculatePosition(simulation.time);
+    const velocity = calculateVelocity(simulation.time);
+    const acceleration = calculateAcceleration(simulation.time);
+    
+    // Guardar datos para gráficos (valores angulares para ambos)
+    addDataPoint(simulation.time, position, velocity, acceleration);
+    
+    // Dibujar según el modo
+    if (simulationMode === 'spring') {
+        const positionPixels = position * PIXELS_PER_METER;
+        drawSpring(positionPixels);
+    } else if (simulationMode === 'coupled') {
+        drawCoupled(position, evaluateCoupledMotion(0, simulation.time, 2));
+    } else if (simulationMode === 'superposition') {
+        drawSuperposition(simulation.time);
+    } else {
+        // position es el ángulo en radianes; en el modelo no lineal se superpone el MAS
+        const linearAngle = isNonlinearPendulum() ? evaluateLinearMotion(0, simulation.time) : null;
+        drawPendulum(position, linearAngle);
+    }
+    drawAllGraphs();
+    updateCurrentValues(position, velocity, acceleration, simulation.time);
+    updateTimeline();
+}
+
+// Lo simulado antes de un cambio de parámetros no se puede recalcular (seekSimulation usaría
+// los parámetros nuevos), así que la línea de tiempo vuelve a empezar en el instante actual
+function restartTimelineOnParameterChange() {
+    const snapshot = JSON.stringify(params);
+    if (snapshot === simulation.parameterSnapshot) return;
+    simulation.parameterSnapshot = snapshot;
+    simulation.minTime = simulation.time;
+    simulation.maxTime = simulation.time;
+    updateTimeline();
+}
+
+function updateTimeline() {
+    const timeline = document.getElementById('timeline');
+    timeline.min = simulation.minTime;
+    timeline.max = simulation.maxTime;
+    timeline.value = simulation.time;
+    document.getElementById('timeline-time').textContent = formatNumber(simulation.time, 2);
+    document.getElementById('timeline-max').textContent = formatNumber(simulation.maxTime, 2);
+}
+
+function updateSpeedControls() {
+    SIMULATION_SPEEDS.forEach((speed, i) => {
+        document.getElementById(`speed-${i}`).classList.toggle('active', speed === simulation.timeScale);
+    });
+}
+
+function clearGraphData() {
+    graphData.position = [];
+    graphData.velocity = [];
+    graphData.acceleration = [];
+    graphData.kineticEnergy = [];
+    graphData.potentialEnergy = [];
+    graphData.totalEnergy = [];
+    graphData.elasticEnergy = [];
+    graphData.gravitationalEnergy = [];
+    graphData.position2 = [];
+    graphData.velocity2 = [];
+    graphData.acceleration2 = [];
+    graphData.massEnergy1 = [];
+    graphData.massEnergy2 = [];
+    graphData.componentPosition1 = [];
+}
+
+function addDataPoint(time, position, velocity, acceleration) {
+    // Para péndulo, convertir posición a grados para el gráfico
+    const positionForGraph = simulationMode === 'pendulum' ? position * 180 / Math.PI : position;
+    let energies;
+    if (simulationMode === 'coupled') {
+        const state = calculateCoupledState(time);
+        energies = calculateCoupledEnergies(state);
+        graphData.position2.push({ x: time, y: state.position[1] });
+        graphData.velocity2.push({ x: time, y: state.velocity[1] });
+        graphData.acceleration2.push({ x: time, y: state.acceleration[1] });
+        graphData.massEnergy1.push({ x: time, y: energies.mass1 });
+        graphData.massEnergy2.push({ x: time, y: energies.mass2 });
+    } else if (simulationMode === 'superposition') {
+        // Mismo eje: componentes de la suma. Ejes perpendiculares: x, v y a de la componente y
+        energies = { kinetic: 0, potential: 0, total: 0 };
+        graphData.position2.push({ x: time, y: evaluateComponent(2, 0, time) });
+        if (isLissajous()) {
+            graphData.velocity2.push({ x: time, y: evaluateComponent(2, 1, time) });
+            graphData.acceleration2.push({ x: time, y: evaluateComponent(2, 2, time) });
+        } else {
+            graphData.componentPosition1.push({ x: time, y: evaluateComponent(1, 0, time) });
+        }
+    } else {
+        energies = calculateEnergies(position, velocity);
+        if (isVerticalSpring()) {
+            graphData.elasticEnergy.push({ x: time, y: energies.elastic });
+            graphData.gravitationalEnergy.push({ x: time, y: energies.gravitational });
+        }
+    }
+    
+    graphData.position.push({ x: time, y: positionForGraph });
+    graphData.velocity.push({ x: time, y: velocity });
+    graphData.acceleration.push({ x: time, y: acceleration });
+    graphData.kineticEnergy.push({ x: time, y: energies.kinetic });
+    graphData.potentialEnergy.push({ x: time, y: energies.potential });
+    graphData.totalEnergy.push({ x: time, y: energies.total });
+    
+    // Mantener solo el historial que se puede ver con zoom + un pequeño margen
+    const minTime = time - GRAPH_HISTORY - 0.5;
+    
+    while (graphData.position.length > 0 && graphData.position[0].x < minTime) {
+        graphData.position.shift();
+        graphData.velocity.shift();
+        graphData.acceleration.shift();
+        graphData.kineticEnergy.shift();
+        graphData.potentialEnergy.shift();
+        graphData.totalEnergy.shift();
+        graphData.elasticEnergy.shift();
+        graphData.gravitationalEnergy.shift();
+        graphData.position2.shift();
+        graphData.velocity2.shift();
+        graphData.acceleration2.shift();
+        graphData.massEnergy1.shift();
+        graphData.massEnergy2.shift();
+        graphData.componentPosition1.shift();
+    }
+}
+
+function updateCurrentValues(position, velocity, acceleration, time) {
+    // Los valores ya están en unidades físicas
+    if (simulationMode === 'coupled') {
+        // Ambas masas, "x₁ / x₂"
+        const state = calculateCoupledState(time);
+        const pair = (values) => `${formatNumber(values[0], 3)} / ${formatNumber(values[1], 3)}`;
+        document.getElementById('current-position').textContent = pair(state.position);
+        document.getElementById('current-velocity').textContent = pair(state.velocity);
+        document.getElementById('current-acceleration').textContent = pair(state.acceleration);
+        document.getElementById('position-unit').textContent = 'm';
+        document.getElementById('velocity-unit').textContent = 'm/s';
+        document.getElementById('acceleration-unit').textContent = 'm/s²';
+        document.getElementById('current-time').textContent = formatNumber(time, 2);
+        updateEnergyDisplay(calculateCoupledEnergies(state));
+        announceCurrentValues();
+        return;
+    }
+    if (simulationMode === 'superposition') {
+        // Mismo eje: la suma. Ejes perpendiculares: "x / y"
+        const format = (order, value) => isLissajous()
+            ? `${formatNumber(value, 3)} / ${formatNumber(evaluateComponent(2, order, time), 3)}`
+            : formatNumber(value, 3);
+        document.getElementById('current-position').textContent = format(0, position);
+        document.getElementById('current-velocity').textContent = format(1, velocity);
+        document.getElementById('current-acceleration').textContent = format(2, acceleration);
+        document.getElementById('position-unit').textContent = 'm';
+        document.getElementById('velocity-unit').textContent = 'm/s';
+        document.getElementById('acceleration-unit').textContent = 'm/s²';
+        document.getElementById('current-time').textContent = formatNumber(time, 2);
+        announceCurrentValues();
+        return;
+    }
+    if (simulationMode === 'spring') {
+        document.getElementById('current-position').textContent = formatNumber(position, 3);
+        document.getElementById('current-velocity').textContent = formatNumber(velocity, 3);
+        document.getElementById('current-acceleration').textContent = formatNumber(acceleration, 3);
+        // Actualizar unidades para resorte
+        document.getElementById('position-unit').textContent = 'm';
+        document.getElementById('velocity-unit').textContent = 'm/s';
+        document.getElementById('acceleration-unit').textContent = 'm/s²';
+    } else {
+        // Para péndulo: posición en grados, velocidad en rad/s, aceleración en rad/s²
+        const angleDeg = position * 180 / Math.PI;
+        
+        document.getElementById('current-position').textContent = formatNumber(angleDeg, 2);
+        document.getElementById('current-velocity').textContent = formatNumber(velocity, 3);
+        document.getElementById('current-acceleration').textContent = formatNumber(acceleration, 3);
+        // Actualizar unidades para péndulo
+        document.getElementById('position-unit').textContent = '°';
+        document.getElementById('velocity-unit').textContent = 'rad/s';
+        document.getElementById('acceleration-unit').textContent = 'rad/s²';
+    }
+    document.getElementById('current-time').textContent = formatNumber(time, 2);
+    updateEnergyDisplay(calculateEnergies(position, velocity));
+    announceCurrentValues();
+}
+
+// Copiar los valores mostrados a la región viva. Las llamadas que llegan antes del intervalo
+// se agrupan en un único anuncio, que lee los valores vigentes al momento de anunciar
+function announceCurrentValues() {
+    if (liveValues.timeoutId !== null) return;
+    const wait = Math.max(0, liveValues.lastTime + LIVE_VALUES_INTERVAL - performance.now());
+    liveValues.timeoutId = setTimeout(() => {
+        liveValues.timeoutId = null;
+        liveValues.lastTime = performance.now();
+        const read = (id) => document.getElementById(id).textContent;
+        document.getElementById('live-values').textContent = [
+            `${t('Tiempo:')} ${read('current-time')} s`,
+            `${t('Posición:')} ${read('current-position')} ${read('position-unit')}`,
+            `${t('Velocidad:')} ${read('current-velocity')} ${read('velocity-unit')}`,
+            `${t('Aceleración:')} ${read('current-acceleration')} ${read('acceleration-unit')}`
+        ].join(', ');
+    }, wait);
+}
+
+// Barra con el reparto de la energía en el instante actual. La escala es la energía
+// inicial, así la parte vacía muestra la energía disipada por el amortiguamiento.
+function updateEnergyDisplay({ kinetic, potential, total, elastic, gravitational }) {
+    const scale = Math.max(calculateInitialEnergy(), total);
+    const toPercent = (value) => scale > 0 ? `${(value / scale * 100).toFixed(1)}%` : '0%';
+    
+    document.getElementById('energy-bar-kinetic').style.width = toPercent(kinetic);
+    document.getElementById('energy-bar-potential').style.width = toPercent(potential);
+    document.getElementById('current-kinetic').textContent = formatNumber(kinetic, 3);
+    document.getElementById('current-potential').textContent = formatNumber(potential, 3);
+    if (elastic !== undefined) {
+        document.getElementById('current-elastic').textContent = formatNumber(elastic, 3);
+        document.getElementById('current-gravitational').textContent = formatNumber(gravitational, 3);
+    }
+}
+
+// =====================
+// Dibujo del resorte
+// =====================
+function drawSpring(displacement) {
+    const ctx = springCtx;
+    const width = springCanvas.width;
+    const height = springCanvas.height;
+    
+    // Limpiar canvas
+    ctx.clearRect(0, 0, width, height);
+    
+    // Fondo con gradiente
+    const gradient = ctx.createLinearGradient(0, 0, 0, height);
+    gradient.addColorStop(0, '#0d1321');
+    gradient.addColorStop(1, '#151f2e');
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, width, height);
+    
+    // Configuración del resorte
+    const anchorX = width / 2;
+    const anchorY = 30;
+    const equilibriumY = height / 2;
+    const massRadius = 25;
+    // Mantener la masa dentro del canvas aunque el desplazamiento sea mayor (oscilador forzado)
+    const maxDisplacement = height / 2 - massRadius - 5;
+    displacement = Math.max(-maxDisplacement, Math.min(maxDisplacement, displacement));
+    const massY = equilibriumY + displacement;
+    
+    // Dibujar soporte superior, con un enganche por cada resorte colgado de él
+    const attachments = getSpringAttachmentXs(anchorX);
+    const supportWidth = Math.max(100, attachments[attachments.length - 1] - attachments[0] + 60);
+    ctx.fillStyle = '#4a5568';
+    ctx.fillRect(anchorX - supportWidth / 2, 0, supportWidth, 15);
+    ctx.fillStyle = '#2d3748';
+    attachments.forEach(x => ctx.fillRect(x - 5, 10, 10, 25));
+    
+    // Dibujar línea de equilibrio (punteada)
+    ctx.setLineDash([5, 5]);
+    ctx.strokeStyle = '#4a5568';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(20, equilibriumY);
+    ctx.lineTo(width - 20, equilibriumY);
+    ctx.stroke();
+    ctx.setLineDash([]);
+    
+    // Etiqueta de equilibrio
+    ctx.font = '11px JetBrains Mono';
+    ctx.fillStyle = '#6b7280';
+    ctx.textAlign = 'left';
+    ctx.fillText(params.springVertical ? t('x = 0 (equilibrio)') : 'x = 0', 25, equilibriumY - 8);
+    
+    // Resorte vertical: longitud natural y estiramiento estático
+    if (params.springVertical) {
+        drawStaticStretch(ctx, 70, equilibriumY);
+    }
+    
+    // Dibujar el resorte o la red de resortes (zig-zag)
+    drawSpringNetwork(ctx, anchorX, anchorY + 20, massY - massRadius, displacement);
+    
+    // Dibujar la masa
+    drawMass(ctx, anchorX, massY, massRadius);
+    
+    // Actualizar posición de la masa para detección de arrastre
+    dragState.massPosition.x = anchorX;
+    dragState.massPosition.y = massY;
+    dragState.massRadius = massRadius;
+    
+    // Indicador de arrastre
+    if (dragState.isDragging) {
+        ctx.strokeStyle = '#ffd93d';
+        ctx.lineWidth = 3;
+        ctx.setLineDash([5, 5]);
+        ctx.beginPath();
+        ctx.arc(anchorX, massY, massRadius + 8, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.setLineDash([]);
+    }
+    
+    // Dibujar indicador de desplazamiento
+    if (Math.abs(displacement) > 2) {
+        drawDisplacementIndicator(ctx, anchorX + 50, equilibriumY, massY, displacement);
+    }
+    
+    // Dibujar escala
+    drawScale(ctx, width - 30, equilibriumY);
+}
+
+// Posiciones horizontales de los resortes que cuelgan del soporte (varias en paralelo)
+function getSpringAttachmentXs(anchorX) {
+    if (params.springArrangement !== 'parallel') return [anchorX];
+    const spacing = 44;
+    return getSpringConstants().map((_, i) => anchorX + (i - (params.springCount - 1) / 2) * spacing);
+}
+
+function drawSpringNetwork(ctx, x, startY, endY, displacement) {
+    const constants = getSpringConstants();
+    const names = ['k₁', 'k₂', 'k₃', 'k₄'];
+    if (constants.length === 1) {
+        drawSpringCoil(ctx, x, startY, endY);
+        return;
+    }
+    
+    ctx.font = '11px JetBrains Mono';
+    ctx.textBaseline = 'middle';
+    
+    if (params.springArrangement === 'parallel') {
+        // Todos se estiran lo mismo; una barra rígida los une a la masa
+        const xs = getSpringAttachmentXs(x);
+        const barY = endY - 10;
+        xs.forEach((springX, i) => {
+            drawSpringCoil(ctx, springX, startY, barY);
+            ctx.fillStyle = '#94a3b8';
+            ctx.textAlign = 'left';
+            ctx.fillText(names[i], springX + 8, startY - 8);
+        });
+        ctx.fillStyle = '#4a5568';
+        ctx.fillRect(xs[0] - 10, barY, xs[xs.length - 1] - xs[0] + 20, 4);
+        ctx.fillRect(x - 2, barY, 4, endY - barY);
+        return;
+    }
+    
+    // En serie la fuerza es la misma en todos: cada uno se estira en proporción a 1/kᵢ
+    const compliance = constants.reduce((sum, k) => sum + 1 / k, 0);
+    const restLength = (endY - startY - displacement) / constants.length;
+    const coils = Math.max(4, Math.round(12 / constants.length));
+    let y = startY;
+    constants.forEach((k, i) => {
+        const length = restLength + displacement * (1 / k) / compliance;
+        drawSpringCoil(ctx, x, y, y + length, '#3b82f6', coils);
+        ctx.fillStyle = '#94a3b8';
+        ctx.textAlign = 'right';
+        ctx.fillText(names[i], x - 28, y + length / 2);
+        y += length;
+        
+        // Unión entre resortes consecutivos
+        if (i < constants.length - 1) {
+            ctx.fillStyle = '#4a5568';
+            ctx.beginPath();
+            ctx.arc(x, y, 4, 0, Math.PI * 2);
+            ctx.fill();
+        }
+    });
+}
+
+function drawSpringCoil(ctx, x, startY, endY, color = '#3b82f6', coils = 12) {
+    const coilWidth = 20;
+    const springLength = endY - startY;
+    const coilHeight = springLength / coils;
+    
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 3;
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+    
+    ctx.beginPath();
+    ctx.moveTo(x, startY);
+    
+    for (let i = 0; i < coils; i++) {
+        const y1 = startY + (i + 0.25) * coilHeight;
+        const y2 = startY + (i + 0.75) * coilHeight;
+        const y3 = startY + (i + 1) * coilHeight;
+        
+        const direction = i % 2 === 0 ? 1 : -1;
+        
+        ctx.lineTo(x + direction * coilWidth, y1);
+        ctx.lineTo(x - direction * coilWidth, y2);
+        ctx.lineTo(x, y3);
+    }
+    
+    ctx.stroke();
+    
+    // Sombra/brillo del resorte
+    ctx.strokeStyle = hexToRgba(color, 0.3);
+    ctx.lineWidth = 6;
+    ctx.stroke();
+}
+
+function drawMass(ctx, x, y, radius, label = 'm') {
+    // Sombra
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.3)';
+    ctx.beginPath();
+    ctx.arc(x + 3, y + 3, radius, 0, Math.PI * 2);
+    ctx.fill();
+    
+    // Masa principal
+    const massGradient = ctx.createRadialGradient(x - 8, y - 8, 0, x, y, radius);
+    massGradient.addColorStop(0, '#5a6a8a');
+    massGradient.addColorStop(0.7, '#3d4a66');
+    massGradient.addColorStop(1, '#2d3748');
+    
+    ctx.fillStyle = massGradient;
+    ctx.beginPath();
+    ctx.arc(x, y, radius, 0, Math.PI * 2);
+    ctx.fill();
+    
+    // Borde
+    ctx.strokeStyle = '#3b82f6';
+    ctx.lineWidth = 2;
+    ctx.stroke();
+    
+    // Etiqueta de masa
+    ctx.font = 'bold 14px JetBrains Mono';
+    ctx.fillStyle = '#e8eaed';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(label, x, y);
+}
+
+// Longitud natural del resorte vertical y flecha del estiramiento estático mg/k hasta el equilibrio
+function drawStaticStretch(ctx, x, equilibriumY) {
+    const width = springCanvas.width;
+    const stretch = calculateStaticStretch();
+    // Si no entra en el canvas se recorta y se aclara en la etiqueta
+    const minY = 45;
+    const naturalY = Math.max(minY, equilibriumY - stretch * PIXELS_PER_METER);
+    
+    ctx.setLineDash([2, 4]);
+    ctx.strokeStyle = colors.phaseLag;
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(20, naturalY);
+    ctx.lineTo(width - 20, naturalY);
+    ctx.stroke();
+    ctx.setLineDash([]);
+    
+    ctx.font = '11px JetBrains Mono';
+    ctx.fillStyle = colors.phaseLag;
+    ctx.textAlign = 'left';
+    const scaleNote = naturalY === minY ? t(', fuera de escala') : '';
+    ctx.fillText(`L₀ (Δ = ${formatNumber(stretch, 3)} m${scaleNote})`, 25, naturalY - 8);
+    
+    if (equilibriumY - naturalY > 2) {
+        drawDisplacementIndicator(ctx, x, naturalY, equilibriumY, equilibriumY - naturalY, 'mg/k', colors.phaseLag);
+    }
+}
+
+function drawDisplacementIndicator(ctx, x, y0, yMass, displacement, label = null, color = null) {
+    const direction = displacement > 0 ? 1 : -1;
+    color = color || (displacement > 0 ? '#ff6b6b' : '#3b82f6');
+    
+    ctx.strokeStyle = color;
+    ctx.fillStyle = color;
+    ctx.lineWidth = 2;
+    
+    // Línea de desplazamiento
+    ctx.beginPath();
+    ctx.moveTo(x, y0);
+    ctx.lineTo(x, yMass);
+    ctx.stroke();
+    
+    // Flecha
+    ctx.beginPath();
+    ctx.moveTo(x, yMass);
+    ctx.lineTo(x - 6, yMass - direction * 10);
+    ctx.lineTo(x + 6, yMass - direction * 10);
+    ctx.closePath();
+    ctx.fill();
+    
+    // Etiqueta
+    ctx.font = '11px JetBrains Mono';
+    ctx.textAlign = 'left';
+    ctx.fillText(label || (displacement > 0 ? '+x' : '-x'), x + 8, (y0 + yMass) / 2);
+}
+
+function drawScale(ctx, x, centerY) {
+    ctx.strokeStyle = '#4a5568';
+    ctx.lineWidth = 1;
+    
+    // Línea vertical
+    ctx.beginPath();
+    ctx.moveTo(x, centerY - 80);
+    ctx.lineTo(x, centerY + 80);
+    ctx.stroke();
+    
+    // Marcas
+    for (let i = -4; i <= 4; i++) {
+        const y = centerY + i * 20;
+        const markLength = i === 0 ? 10 : 5;
+        ctx.beginPath();
+        ctx.moveTo(x - markLength, y);
+        ctx.lineTo(x, y);
+        ctx.stroke();
+    }
+}
+
+// =====================
+// Dibujo de los osciladores acoplados
+// =====================
+
+// Eje vertical: techo – k – m₁ – k_c – m₂ – k – piso
+function getCoupledGeometry() {
+    const height = springCanvas.height;
+    return {
+        centerX: springCanvas.width / 2,
+        ceilingY: 15,
+        floorY: height - 15,
+        equilibria: [height * 0.3, height * 0.7],
+        massRadius: 25
+    };
+}
+
+function drawCoupled(x1, x2) {
+    const ctx = springCtx;
+    const width = springCanvas.width;
+    const height = springCanvas.height;
+    const { centerX, ceilingY, floorY, equilibria, massRadius } = getCoupledGeometry();
+    
+    // Limpiar canvas
+    ctx.clearRect(0, 0, width, height);
+    
+    // Fondo con gradiente
+    const gradient = ctx.createLinearGradient(0, 0, 0, height);
+    gradient.addColorStop(0, '#0d1321');
+    gradient.addColorStop(1, '#151f2e');
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, width, height);
+    
+    // Soportes superior e inferior
+    ctx.fillStyle = '#4a5568';
+    ctx.fillRect(centerX - 50, 0, 100, ceilingY);
+    ctx.fillRect(centerX - 50, floorY, 100, height - floorY);
+    
+    // Líneas de equilibrio (punteadas) con su etiqueta
+    const displacements = [x1, x2];
+    const massY = equilibria.map((y, i) => y + displacements[i] * COUPLED_PIXELS_PER_METER);
+    ctx.setLineDash([5, 5]);
+    ctx.strokeStyle = '#4a5568';
+    ctx.lineWidth = 1;
+    equilibria.forEach(y => {
+        ctx.beginPath();
+        ctx.moveTo(20, y);
+        ctx.lineTo(width - 20, y);
+        ctx.stroke();
+    });
+    ctx.setLineDash([]);
+    ctx.font = '11px JetBrains Mono';
+    ctx.fillStyle = '#6b7280';
+    ctx.textAlign = 'left';
+    ctx.fillText('x₁ = 0', 25, equilibria[0] - 8);
+    ctx.fillText('x₂ = 0', 25, equilibria[1] - 8);
+    
+    // Resortes exteriores (k) y de acoplamiento (k_c)
+    drawSpringCoil(ctx, centerX, ceilingY, massY[0] - massRadius, colors.position, 8);
+    drawSpringCoil(ctx, centerX, massY[0] + massRadius, massY[1] - massRadius, colors.coupling, 8);
+    drawSpringCoil(ctx, centerX, massY[1] + massRadius, floorY, colors.position, 8);
+    
+    // Masas
+    drawMass(ctx, centerX, massY[0], massRadius, 'm₁');
+    drawMass(ctx, centerX, massY[1], massRadius, 'm₂');
+    
+    // Actualizar posiciones de las masas para detección de arrastre
+    massY.forEach((y, i) => {
+        dragState.coupledMasses[i].x = centerX;
+        dragState.coupledMasses[i].y = y;
+    });
+    dragState.massRadius = massRadius;
+    
+    // Indicador de arrastre
+    if (dragState.isDragging) {
+        ctx.strokeStyle = '#ffd93d';
+        ctx.lineWidth = 3;
+        ctx.setLineDash([5, 5]);
+        ctx.beginPath();
+        ctx.arc(centerX, massY[dragState.activeMass], massRadius + 8, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.setLineDash([]);
+    }
+    
+    // Indicadores de desplazamiento de cada masa
+    massY.forEach((y, i) => {
+        if (Math.abs(y - equilibria[i]) > 2) {
+            drawDisplacementIndicator(ctx, centerX + 50, equilibria[i], y, y - equilibria[i]);
+        }
+    });
+}
+
+// =====================
+// Dibujo de la superposición
+// =====================
+function drawSuperposition(t) {
+    const ctx = springCtx;
+    const width = springCanvas.width;
+    const height = springCanvas.height;
+    
+    // Limpiar canvas
+    ctx.clearRect(0, 0, width, height);
+    
+    // Fondo con gradiente
+    const gradient = ctx.createLinearGradient(0, 0, 0, height);
+    gradient.addColorStop(0, '#0d1321');
+    gradient.addColorStop(1, '#151f2e');
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, width, height);
+    
+    if (isLissajous()) {
+        drawLissajous(ctx, t);
+    } else {
+        drawPhasors(ctx, t);
+    }
+}
+
+// Mismo eje: cada componente es la proyección de un fasor que gira con ωᵢ. La suma
+// de los fasores se proyecta sobre el eje x; su largo es la amplitud de batido
+function drawPhasors(ctx, time) {
+    const width = springCanvas.width;
+    const height = springCanvas.height;
+    const centerX = width / 2;
+    const centerY = 160;
+    const trackY = height - 60;
+    const scale = SUPERPOSITION_DRAW_RADIUS / MAX_AMPLITUDE_SUPERPOSITION;
+    const beatRadius = calculateBeatAmplitude(time) * scale;
+    
+    // Ángulos de los fasores (el eje y del canvas apunta hacia abajo)
+    const angles = [1, 2].map(index => params[`componentFrequency${index}`] * time + params[`componentPhase${index}`]);
+    const tip1 = {
+        x: centerX + params.componentAmplitude1 * Math.cos(angles[0]) * scale,
+        y: centerY - params.componentAmplitude1 * Math.sin(angles[0]) * scale
+    };
+    const tip2 = {
+        x: tip1.x + params.componentAmplitude2 * Math.cos(angles[1]) * scale,
+        y: tip1.y - params.componentAmplitude2 * Math.sin(angles[1]) * scale
+    };
+    
+    // Ejes del diagrama y círculo de la amplitud de batido actual
+    ctx.setLineDash([5, 5]);
+    ctx.strokeStyle = '#4a5568';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(20, centerY);
+    ctx.lineTo(width - 20, centerY);
+    ctx.moveTo(centerX, centerY - SUPERPOSITION_DRAW_RADIUS - 10);
+    ctx.lineTo(centerX, trackY);
+    ctx.stroke();
+    ctx.beginPath();
+    ctx.arc(centerX, centerY, beatRadius, 0, Math.PI * 2);
+    ctx.stroke();
+    ctx.setLineDash([]);
+    
+    ctx.font = '11px JetBrains Mono';
+    ctx.fillStyle = '#6b7280';
+    ctx.textAlign = 'left';
+    ctx.fillText(t('Fasores'), 20, 20);
+    
+    // Fasores de las componentes (uno a continuación del otro) y su suma
+    drawPhasor(ctx, centerX, centerY, tip1.x, tip1.y, colors.firstComponent, 2);
+    drawPhasor(ctx, tip1.x, tip1.y, tip2.x, tip2.y, colors.secondMass, 2);
+    drawPhasor(ctx, centerX, centerY, tip2.x, tip2.y, colors.position, 3);
+    
+    // Proyección de la suma sobre el eje de oscilación
+    ctx.setLineDash([3, 4]);
+    ctx.strokeStyle = hexToRgba(colors.position, 0.6);
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(tip2.x, tip2.y);
+    ctx.lineTo(tip2.x, trackY);
+    ctx.stroke();
+    ctx.setLineDash([]);
+    
+    // Eje de oscilación con la amplitud de batido actual
+    ctx.strokeStyle = '#4a5568';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(20, trackY);
+    ctx.lineTo(width - 20, trackY);
+    ctx.stroke();
+    ctx.strokeStyle = '#9ca3af';
+    [-1, 1].forEach(side => {
+        ctx.beginPath();
+        ctx.moveTo(centerX + side * beatRadius, trackY - 12);
+        ctx.lineTo(centerX + side * beatRadius, trackY + 12);
+        ctx.stroke();
+    });
+    ctx.fillStyle = '#6b7280';
+    ctx.textAlign = 'center';
+    ctx.fillText('x = 0', centerX, trackY + 30);
+    
+    drawMass(ctx, tip2.x, trackY, 14, '');
+}
+
+// Vector con punta de flecha
+function drawPhasor(ctx, fromX, fromY, toX, toY, color, lineWidth) {
+    const angle = Math.atan2(toY - fromY, toX - fromX);
+    const length = Math.hypot(toX - fromX, toY - fromY);
+    
+    ctx.strokeStyle = color;
+    ctx.fillStyle = color;
+    ctx.lineWidth = lineWidth;
+    ctx.beginPath();
+    ctx.moveTo(fromX, fromY);
+    ctx.lineTo(toX, toY);
+    ctx.stroke();
+    
+    if (length > 8) {
+        ctx.beginPath();
+        ctx.moveTo(toX, toY);
+        ctx.lineTo(toX - 10 * Math.cos(angle - 0.4), toY - 10 * Math.sin(angle - 0.4));
+        ctx.lineTo(toX - 10 * Math.cos(angle + 0.4), toY - 10 * Math.sin(angle + 0.4));
+        ctx.closePath();
+        ctx.fill();
+    }
+}
+
+// Ejes perpendiculares: el punto (x, y) traza la figura de Lissajous. Si ω₁/ω₂ = p/q
+// se dibuja la curva cerrada completa (período común 2πp/ω₁) bajo la estela reciente
+function drawLissajous(ctx, time) {
+    const width = springCanvas.width;
+    const height = springCanvas.height;
+    const centerX = width / 2;
+    const centerY = height / 2 - 10;
+    const scale = SUPERPOSITION_DRAW_RADIUS / MAX_AMPLITUDE_COMPONENT;
+    const toCanvas = (time) => ({
+        x: centerX + evaluateComponent(1, 0, time) * scale,
+        y: centerY - evaluateComponent(2, 0, time) * scale
+    });
+    
+    // Ejes y rectángulo 2A₁ × 2A₂ que contiene a la figura
+    ctx.setLineDash([5, 5]);
+    ctx.strokeStyle = '#4a5568';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(20, centerY);
+    ctx.lineTo(width - 20, centerY);
+    ctx.moveTo(centerX, centerY - SUPERPOSITION_DRAW_RADIUS - 20);
+    ctx.lineTo(centerX, centerY + SUPERPOSITION_DRAW_RADIUS + 20);
+    ctx.stroke();
+    ctx.setLineDash([2, 4]);
+    ctx.strokeRect(
+        centerX - params.componentAmplitude1 * scale,
+        centerY - params.componentAmplitude2 * scale,
+        2 * params.componentAmplitude1 * scale,
+        2 * params.componentAmplitude2 * scale
+    );
+    ctx.setLineDash([]);
+    
+    ctx.font = '11px JetBrains Mono';
+    ctx.fillStyle = '#6b7280';
+    ctx.textAlign = 'left';
+    ctx.fillText('x', width - 30, centerY - 8);
+    ctx.fillText('y', centerX + 8, centerY - SUPERPOSITION_DRAW_RADIUS - 10);
+    
+    // Curva cerrada completa
+    const ratio = findFrequencyRatio();
+    if (ratio) {
+        const commonPeriod = 2 * Math.PI * ratio.p / params.componentFrequency1;
+        const samples = 600;
+        ctx.strokeStyle = hexToRgba(colors.phaseSpace, 0.25);
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        for (let i = 0; i <= samples; i++) {
+            const point = toCanvas(commonPeriod * i / samples);
+            if (i === 0) ctx.moveTo(point.x, point.y);
+            else ctx.lineTo(point.x, point.y);
+        }
+        ctx.stroke();
+    }
+    
+    // Estela que se desvanece: los tramos más viejos son más transparentes
+    const trailStart = Math.max(0, time - LISSAJOUS_TRAIL_TIME);
+    const segments = 40;
+    const samplesPerSegment = 10;
+    ctx.lineWidth = 2;
+    for (let s = 0; s < segments; s++) {
+        ctx.strokeStyle = hexToRgba(colors.phaseSpace, 0.1 + 0.9 * (s + 1) / segments);
+        ctx.beginPath();
+        for (let i = 0; i <= samplesPerSegment; i++) {
+            const point = toCanvas(lerp(trailStart, time, (s * samplesPerSegment + i) / (segments * samplesPerSegment)));
+            if (i === 0) ctx.moveTo(point.x, point.y);
+            else ctx.lineTo(point.x, point.y);
+        }
+        ctx.stroke();
+    }
+    
+    // Proyecciones sobre los ejes y punto actual
+    const current = toCanvas(time);
+    ctx.setLineDash([3, 4]);
+    ctx.lineWidth = 1;
+    ctx.strokeStyle = hexToRgba(colors.firstComponent, 0.7);
+    ctx.beginPath();
+    ctx.moveTo(current.x, current.y);
+    ctx.lineTo(current.x, centerY);
+    ctx.stroke();
+    ctx.strokeStyle = hexToRgba(colors.secondMass, 0.7);
+    ctx.beginPath();
+    ctx.moveTo(current.x, current.y);
+    ctx.lineTo(centerX, current.y);
+    ctx.stroke();
+    ctx.setLineDash([]);
+    
+    ctx.fillStyle = colors.position;
+    ctx.strokeStyle = '#ffffff';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.arc(current.x, current.y, 7, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.stroke();
+    
+    // Razón de frecuencias
+    ctx.fillStyle = '#9ca3af';
+    ctx.textAlign = 'center';
+    ctx.fillText(
+        ratio ? `ω₁ : ω₂ = ${ratio.p} : ${ratio.q}` : t('ω₁/ω₂ sin razón simple: la curva no se cierra'),
+        centerX,
+        height - 20
+    );
+}
+
+// =====================
+// Dibujo del péndulo
+// =====================
+
+// Pivote y largo de la cuerda en píxeles. En el modelo no lineal el péndulo
+// puede pasar por encima del pivote, así que se centra y se reduce la escala.
+// En el péndulo físico ropeLength es la distancia al centro de masa y scale (px/m) se
+// elige para que entren el cuerpo y el péndulo simple equivalente.
+function getPendulumGeometry() {
+    const width = springCanvas.width;
+    const height = springCanvas.height;
+    
+    if (isPhysicalPendulum()) {
+        const available = isNonlinearPendulum() ? height / 2 - 20 : height - 90;
+        const extent = Math.max(params.pivotDistance + getBodyExtent(), calculateEquivalentLength());
+        const scale = Math.min(PHYSICAL_MAX_PIXELS_PER_METER, available / extent);
+        const pivotY = isNonlinearPendulum() ? height / 2 : 50;
+        return { pivotX: width / 2, pivotY, ropeLength: params.pivotDistance * scale, scale };
+    }
+    
+    const ropeLength = 80 + (params.pendulumLength - 0.5) * 64;
+    if (isNonlinearPendulum()) {
+        return { pivotX: width / 2, pivotY: height / 2, ropeLength: ropeLength * 0.5 };
+    }
+    return { pivotX: width / 2, pivotY: 50, ropeLength };
+}
+function drawPendulum(angle, ghostAngle = null) {
+    const ctx = springCtx;
+    const width = springCanvas.width;
+    const height = springCanvas.height;
+    
+    // Limpiar canvas
+    ctx.clearRect(0, 0, width, height);
+    
+    // Fondo con gradiente
+    const gradient = ctx.createLinearGradient(0, 0, 0, height);
+    gradient.addColorStop(0, '#0d1321');
+    gradient.addColorStop(1, '#151f2e');
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, width, height);
+    
+    // Configuración del péndulo
+    const { pivotX, pivotY, ropeLength } = getPendulumGeometry();
+    const masaRadius = 20;
+    
+    // Calcular posición de la masa
+    const masaX = pivotX + ropeLength * Math.sin(angle);
+    const masaY = pivotY + ropeLength * Math.cos(angle);
+    
+    // Dibujar soporte superior
+    ctx.fillStyle = '#4a5568';
+    ctx.fillRect(pivotX - 40, 0, 80, 15);
+    
+    // Dibujar punto de pivote
+    ctx.fillStyle = '#2d3748';
+    ctx.beginPath();
+    ctx.arc(pivotX, pivotY, 8, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.strokeStyle = '#3b82f6';
+    ctx.lineWidth = 2;
+    ctx.stroke();
+    
+    // Dibujar línea vertical de referencia (equilibrio)
+    ctx.setLineDash([5, 5]);
+    ctx.strokeStyle = '#4a5568';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(pivotX, pivotY);
+    ctx.lineTo(pivotX, pivotY + ropeLength + masaRadius + 20);
+    ctx.stroke();
+    ctx.setLineDash([]);
+    
+    // Péndulo fantasma con la predicción del MAS (modelo no lineal)
+    if (ghostAngle !== null) {
+        const ghostX = pivotX + ropeLength * Math.sin(ghostAngle);
+        const ghostY = pivotY + ropeLength * Math.cos(ghostAngle);
+        ctx.save();
+        ctx.globalAlpha = 0.35;
+        ctx.strokeStyle = '#e5e7eb';
+        ctx.lineWidth = 2;
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        ctx.moveTo(pivotX, pivotY);
+        ctx.lineTo(ghostX, ghostY);
+        ctx.stroke();
+        ctx.setLineDash([]);
+        ctx.fillStyle = '#9ca3af';
+        ctx.beginPath();
+        ctx.arc(ghostX, ghostY, masaRadius, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.font = '10px JetBrains Mono';
+        ctx.fillStyle = '#e5e7eb';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(t('MAS'), ghostX, ghostY);
+        ctx.restore();
+    }
+    
+    // Péndulo físico: cuerpo rígido en lugar de cuerda y masa puntual
+    if (isPhysicalPendulum()) {
+        const { scale } = getPendulumGeometry();
+        if (params.showEquivalentPendulum) {
+            drawEquivalentPendulum(ctx, pivotX, pivotY, angle, calculateEquivalentLength() * scale);
+        }
+        drawPhysicalBody(ctx, pivotX, pivotY, angle, scale);
+        drawPendulumAngle(ctx, pivotX, pivotY, angle);
+        return;
+    }
+    
+    // Dibujar la cuerda
+    ctx.strokeStyle = '#3b82f6';
+    ctx.lineWidth = 3;
+    ctx.lineCap = 'round';
+    ctx.beginPath();
+    ctx.moveTo(pivotX, pivotY);
+    ctx.lineTo(masaX, masaY);
+    ctx.stroke();
+    
+    // Efecto de brillo en la cuerda
+    ctx.strokeStyle = 'rgba(59, 130, 246, 0.3)';
+    ctx.lineWidth = 6;
+    ctx.stroke();
+    
+    // Dibujar la masa del péndulo
+    // Sombra
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.3)';
+    ctx.beginPath();
+    ctx.arc(masaX + 3, masaY + 3, masaRadius, 0, Math.PI * 2);
+    ctx.fill();
+    
+    // Masa principal
+    const masaGradient = ctx.createRadialGradient(masaX - 6, masaY - 6, 0, masaX, masaY, masaRadius);
+    masaGradient.addColorStop(0, '#5a6a8a');
+    masaGradient.addColorStop(0.7, '#3d4a66');
+    masaGradient.addColorStop(1, '#2d3748');
+    
+    ctx.fillStyle = masaGradient;
+    ctx.beginPath();
+    ctx.arc(masaX, masaY, masaRadius, 0, Math.PI * 2);
+    ctx.fill();
+    
+    // Borde
+    ctx.strokeStyle = '#3b82f6';
+    ctx.lineWidth = 2;
+    ctx.stroke();
+    
+    // Etiqueta de masa
+    ctx.font = 'bold 12px JetBrains Mono';
+    ctx.fillStyle = '#e8eaed';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText('m', masaX, masaY);
+    
+    // Actualizar posición de la masa para detección de arrastre
+    dragState.massPosition.x = masaX;
+    dragState.massPosition.y = masaY;
+    dragState.massRadius = masaRadius;
+    
+    // Indicador de arrastre
+    if (dragState.isDragging) {
+        ctx.strokeStyle = '#ffd93d';
+        ctx.lineWidth = 3;
+        ctx.setLineDash([5, 5]);
+        ctx.beginPath();
+        ctx.arc(masaX, masaY, masaRadius + 8, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.setLineDash([]);
+    }
+    
+    drawPendulumAngle(ctx, pivotX, pivotY, angle);
+    
+    // Etiqueta de longitud
+    const midX = (pivotX + masaX) / 2 - 15;
+    const midY = (pivotY + masaY) / 2;
+    ctx.font = '10px JetBrains Mono';
+    ctx.fillStyle = '#6b7280';
+    ctx.fillText('L', midX, midY);
+}
+
+// Arco y etiqueta del ángulo θ respecto de la vertical
+function drawPendulumAngle(ctx, pivotX, pivotY, angle) {
+    if (Math.abs(angle) > 0.02) {
+        const arcRadius = 40;
+        const startAngle = Math.PI / 2;
+        const endAngle = Math.PI / 2 - angle;
+        
+        ctx.strokeStyle = angle > 0 ? '#ff6b6b' : '#3b82f6';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(pivotX, pivotY, arcRadius, Math.min(startAngle, endAngle), Math.max(startAngle, endAngle));
+        ctx.stroke();
+        
+        // Etiqueta del ángulo
+        const labelAngle = (startAngle + endAngle) / 2;
+        const labelX = pivotX + (arcRadius + 15) * Math.cos(labelAngle);
+        const labelY = pivotY + (arcRadius + 15) * Math.sin(labelAngle);
+        ctx.font = '11px JetBrains Mono';
+        ctx.fillStyle = angle > 0 ? '#ff6b6b' : '#3b82f6';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText('θ', labelX, labelY);
+    }
+}
+
+// Distancia del centro de masa al borde del cuerpo, a lo largo de la línea pivote–centro.
+// Con I_cm arbitrario se dibuja un disco con el radio de giro √(I_cm/m).
+function getBodyExtent() {
+    switch (params.bodyShape) {
+        case 'rod': return params.rodLength / 2;
+        case 'disc':
+        case 'ring': return params.bodyRadius;
+        default: return Math.sqrt(params.customInertia / params.pendulumMass);
+    }
+}
+
+// Cuerpo rígido del péndulo físico, girado θ alrededor del pivote
+function drawPhysicalBody(ctx, pivotX, pivotY, angle, scale) {
+    const distance = params.pivotDistance * scale;
+    const extent = getBodyExtent() * scale;
+    
+    ctx.save();
+    ctx.translate(pivotX, pivotY);
+    ctx.rotate(-angle); // el eje local +y apunta del pivote al centro de masa
+    
+    // Brazo sin masa si el pivote queda fuera del cuerpo
+    if (distance > extent) {
+        ctx.strokeStyle = '#6b7280';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(0, 0);
+        ctx.lineTo(0, distance - extent);
+        ctx.stroke();
+    }
+    
+    const bodyGradient = ctx.createRadialGradient(-6, distance - 6, 0, 0, distance, Math.max(extent, 10));
+    bodyGradient.addColorStop(0, '#5a6a8a');
+    bodyGradient.addColorStop(0.7, '#3d4a66');
+    bodyGradient.addColorStop(1, '#2d3748');
+    ctx.fillStyle = bodyGradient;
+    ctx.strokeStyle = '#3b82f6';
+    ctx.lineWidth = 2;
+    
+    if (params.bodyShape === 'rod') {
+        ctx.fillRect(-6, distance - extent, 12, 2 * extent);
+        ctx.strokeRect(-6, distance - extent, 12, 2 * extent);
+    } else if (params.bodyShape === 'ring') {
+        ctx.lineWidth = 6;
+        ctx.beginPath();
+        ctx.arc(0, distance, extent, 0, Math.PI * 2);
+        ctx.stroke();
+    } else {
+        ctx.beginPath();
+        ctx.arc(0, distance, extent, 0, Math.PI * 2);
+        ctx.fill();
+        if (params.bodyShape === 'custom') {
+            ctx.setLineDash([4, 4]);
+        }
+        ctx.stroke();
+        ctx.setLineDash([]);
+    }
+    
+    // Centro de masa y pivote
+    ctx.fillStyle = '#ffd93d';
+    ctx.beginPath();
+    ctx.arc(0, distance, 3, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.fillStyle = '#2d3748';
+    ctx.strokeStyle = '#e8eaed';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.arc(0, 0, 5, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.stroke();
+    
+    // Distancia pivote–centro de masa
+    ctx.font = '10px JetBrains Mono';
+    ctx.fillStyle = '#9ca3af';
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+    ctx.fillText('d', -10, distance / 2);
+    ctx.restore();
+    
+    // El centro de masa es la zona de arrastre
+    dragState.massPosition.x = pivotX + distance * Math.sin(angle);
+    dragState.massPosition.y = pivotY + distance * Math.cos(angle);
+    dragState.massRadius = Math.max(20, Math.min(40, extent));
+    
+    if (dragState.isDragging) {
+        ctx.strokeStyle = '#ffd93d';
+        ctx.lineWidth = 3;
+        ctx.setLineDash([5, 5]);
+        ctx.beginPath();
+        ctx.arc(dragState.massPosition.x, dragState.massPosition.y, dragState.massRadius + 8, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.setLineDash([]);
+    }
+}
+
+// Péndulo simple equivalente: su masa puntual está en el centro de oscilación, a L_eq del pivote
+function drawEquivalentPendulum(ctx, pivotX, pivotY, angle, length) {
+    const bobX = pivotX + length * Math.sin(angle);
+    const bobY = pivotY + length * Math.cos(angle);
+    
+    ctx.save();
+    ctx.strokeStyle = colors.resonance;
+    ctx.fillStyle = colors.resonance;
+    ctx.globalAlpha = 0.7;
+    ctx.lineWidth = 1.5;
+    ctx.setLineDash([4, 4]);
+    ctx.beginPath();
+    ctx.moveTo(pivotX, pivotY);
+    ctx.lineTo(bobX, bobY);
+    ctx.stroke();
+    ctx.setLineDash([]);
+    ctx.beginPath();
+    ctx.arc(bobX, bobY, 7, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.font = '10px JetBrains Mono';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'middle';
+    ctx.fillText('L_eq', bobX + 10, bobY);
+    ctx.restore();
+}
+
+// =====================
+// Dibujo de gráficos con Chart.js
+// =====================
+// Constantes para rangos fijos del eje Y
+const MAX_AMPLITUDE_SPRING = 0.50;  // Amplitud máxima del resorte (metros)
+const MAX_AMPLITUDE_PENDULUM = 15 * Math.PI / 180;  // Ángulo máximo del péndulo (radianes)
+const MAX_AMPLITUDE_COUPLED = 0.20;  // Desplazamiento inicial máximo de cada masa acoplada (metros)
+const MAX_AMPLITUDE_COMPONENT = 0.20;  // Amplitud máxima de cada componente de la superposición (metros)
+const MAX_AMPLITUDE_SUPERPOSITION = 2 * MAX_AMPLITUDE_COMPONENT;  // |x₁ + x₂| ≤ A₁ + A₂
+
+// Amplitud que fija los rangos del eje Y; el péndulo no lineal puede superar los 15°
+function getMaxGraphAmplitude() {
+    if (simulationMode === 'spring') return MAX_AMPLITUDE_SPRING;
+    if (simulationMode === 'coupled') return MAX_AMPLITUDE_COUPLED;
+    if (simulationMode === 'superposition') return MAX_AMPLITUDE_SUPERPOSITION;
+    return Math.max(MAX_AMPLITUDE_PENDULUM, isNonlinearPendulum() ? getAmplitude() : 0);
+}
+
+// Rangos fijos del eje Y basados en la amplitud máxima y el omega actual
+// Para péndulo, posición en grados; velocidad y aceleración en rad/s y rad/s²
+function getGraphRanges() {
+    // Los osciladores acoplados pueden oscilar con la frecuencia del modo antisimétrico
+    const omega = simulationMode === 'coupled' ? calculateCoupledOmegas().antisymmetric : calculateOmega();
+    const maxAmp = getMaxGraphAmplitude();
+    
+    let maxPosition;
+    if (simulationMode === 'pendulum') {
+        maxPosition = (maxAmp * 180 / Math.PI) * 1.1; // Convertir a grados
+    } else {
+        maxPosition = maxAmp * 1.1;
+    }
+    const maxVelocity = maxAmp * omega * 1.1;
+    // a = −2γv − ω²x: con amortiguamiento la aceleración puede superar Aω²
+    const maxAcceleration = maxAmp * (omega * omega + 2 * calculateGamma() * omega) * 1.1;
+    
+    return { maxPosition, maxVelocity, maxAcceleration };
+}
 
-    // Gravedad - Slider
-    document.getElementById('gravity').addEventListener('input', (e) => {
-        params.gravity = parseFloat(e.target.value);
-        document.getElementById('gravity-value').value = params.gravity.toFixed(1);
-        showError('gravity-value', 'gravity-error', false, 'gravity');
-        updateCalculatedValues();
-    });
-    // Gravedad - Input manual
-    document.getElementById('gravity-value').addEventListener('input', (e) => {
-        validateAndUpdate(e.target.value, 1, 20, 'gravity', 'gravity', 'gravity-value', 'gravity-error', 'gravity', 1);
-    });
+function drawAllGraphs() {
+    const { maxPosition, maxVelocity, maxAcceleration } = getGraphRanges();
     
-    // Control común - Fase
-    // Fase - Slider
-    document.getElementById('phase').addEventListener('input', (e) => {
-        params.phase = parseFloat(e.target.value);
-        document.getElementById('phase-value').value = params.phase.toFixed(1);
-        showError('phase-value', 'phase-error', false, 'phase');
-    });
-    // Fase - Input manual
-    document.getElementById('phase-value').addEventListener('input', (e) => {
-        const value = parseFloat(e.target.value);
-        const isValid = !isNaN(value) && value >= 0 && value <= 6.28;
-        
-        showError('phase-value', 'phase-error', !isValid, 'phase');
-        
-        if (isValid) {
-            params.phase = value;
-            document.getElementById('phase').value = value;
+    // Actualizar datos de cada gráfico
+    updateChart(positionChart, graphData.position, maxPosition, 'position', graphData.position2, graphData.componentPosition1);
+    updateChart(velocityChart, graphData.velocity, maxVelocity, 'velocity', graphData.velocity2);
+    updateChart(accelerationChart, graphData.acceleration, maxAcceleration, 'acceleration', graphData.acceleration2);
+    updateEnergyChart();
+    updatePhaseSpaceChart();
+}
+
+// Ventana de tiempo visible: la fijada con zoom o al congelar, o la que sigue a la simulación
+function getChartTimeWindow() {
+    if (chartView.range) return chartView.range;
+    if (chartView.frozen && chartView.frozenRange) return chartView.frozenRange;
+    return getSlidingTimeWindow();
+}
+
+function getSlidingTimeWindow() {
+    const currentTime = simulation.time;
+    
+    if (currentTime <= graphData.timeWindow) {
+        return { minTime: 0, maxTime: graphData.timeWindow };
+    }
+    return { minTime: currentTime - graphData.timeWindow, maxTime: currentTime };
+}
+
+// Puntos (ordenados por tiempo) dentro de [minTime, maxTime], más uno a cada lado para que
+// las líneas lleguen hasta los bordes del gráfico
+function sliceTimeRange(points, minTime, maxTime) {
+    const firstIndexAfter = (time) => {
+        let low = 0;
+        let high = points.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (points[mid].x < time) low = mid + 1; else high = mid;
+        }
+        return low;
+    };
+    const start = Math.max(0, firstIndexAfter(minTime) - 1);
+    const end = Math.min(points.length, firstIndexAfter(maxTime) + 1);
+    return { start, end, points: points.slice(start, end) };
+}
+
+// secondData: segunda masa (modo acoplado), x₂ o y (superposición)
+// componentData: componente x₁ de la superposición en el mismo eje (solo en el gráfico de posición)
+function updateChart(chart, data, maxYValue, type, secondData = [], componentData = []) {
+    // La posición del resorte vertical puede medirse desde la longitud natural
+    const offset = type === 'position' ? getPositionGraphOffset() : 0;
+    const shift = (points) => points.map(point => ({
+        x: point.x,
+        y: point.y === null ? null : point.y + offset
+    }));
+    
+    const { minTime, maxTime } = getChartTimeWindow();
+    
+    // Solo los puntos visibles: el historial guardado puede ser mucho más largo que la ventana
+    data = sliceTimeRange(data, minTime, maxTime).points;
+    secondData = sliceTimeRange(secondData, minTime, maxTime).points;
+    componentData = sliceTimeRange(componentData, minTime, maxTime).points;
+    
+    // Copiar datos al gráfico
+    chart.data.datasets[0].data = shift(data);
+    
+    chart.options.scales.x.min = minTime;
+    chart.options.scales.x.max = maxTime;
+    
+    // Calcular y agregar puntos clave
+    const keyPoints = calculateKeyPoints(minTime, maxTime, type);
+    chart.data.datasets[1].data = shift(keyPoints.maximos);
+    chart.data.datasets[2].data = shift(keyPoints.minimos);
+    chart.data.datasets[3].data = shift(keyPoints.ceros);
+    
+    // Predicción lineal superpuesta (péndulo no lineal)
+    chart.data.datasets[4].data = calculateLinearGhost(minTime, maxTime, type);
+    
+    // Segunda masa de los osciladores acoplados o segunda componente de la superposición
+    chart.data.datasets[5].data = secondData;
+    
+    // Envolvente (exponencial o de batido) y componente x₁ en el gráfico de posición
+    if (type === 'position') {
+        chart.data.datasets[6].data = shift(calculateEnvelope(minTime, maxTime));
+        chart.data.datasets[7].data = componentData;
+    }
+    
+    // Configurar eje Y simétrico alrededor del equilibrio
+    // Se amplía si los datos superan el rango fijo (p. ej. cerca de la resonancia)
+    const dataMax = [...data, ...secondData, ...componentData].reduce((max, point) => Math.max(max, Math.abs(point.y)), 0);
+    const maxY = Math.max(maxYValue, dataMax * 1.1) / chartView.yZoom[type];
+    chart.options.scales.y.min = offset - maxY;
+    chart.options.scales.y.max = offset + maxY;
+    
+    // Actualizar el gráfico sin animación
+    chart.update('none');
+}
+
+// Calcular puntos clave (máximos, mínimos, ceros) para un rango de tiempo
+function calculateKeyPoints(minTime, maxTime, type) {
+    const maximos = [];
+    const minimos = [];
+    const ceros = [];
+    
+    // Posición, velocidad y aceleración son la solución y sus derivadas (ver getMotionTerms):
+    // - Ceros: raíces de f(t)
+    // - Máximos y mínimos: raíces de f'(t), clasificadas por el signo de f''(t)
+    // Sin amortiguamiento se recuperan los instantes del MAS, p. ej. para x(t) = A·cos(ωt + φ)
+    // los máximos en ωt + φ = 2πn, los mínimos en ωt + φ = π + 2πn y los ceros en ωt + φ = π/2 + πn
+    const order = { position: 0, velocity: 1, acceleration: 2 }[type];
+    
+    // Solo puntos que ya han ocurrido
+    const lastTime = Math.min(maxTime, simulation.time);
+    if (lastTime < minTime) {
+        return { maximos, minimos, ceros };
+    }
+    
+    // Para péndulo, la posición se grafica en grados
+    const toGraph = (value) => (type === 'position' && simulationMode === 'pendulum') ? value * 180 / Math.PI : value;
+    
+    findMotionZeros(order + 1, minTime, lastTime).forEach(t => {
+        const point = { x: t, y: toGraph(evaluateMotion(order, t)) };
+        if (evaluateMotion(order + 2, t) < 0) {
+            maximos.push(point);
+        } else {
+            minimos.push(point);
         }
     });
     
-    // Botones de control
-    document.getElementById('start-btn').addEventListener('click', startSimulation);
-    document.getElementById('pause-btn').addEventListener('click', pauseSimulation);
-    document.getElementById('reset-btn').addEventListener('click', resetSimulation);
+    findMotionZeros(order, minTime, lastTime).forEach(t => {
+        ceros.push({ x: t, y: 0 });
+    });
+    
+    return { maximos, minimos, ceros };
 }
 
-function switchMode(mode) {
-    simulationMode = mode;
+// Envolvente ±R(t) de la posición: R·e^(−γt) en régimen subamortiguado y sin excitación,
+// o la amplitud de batido de la superposición en el mismo eje
+function calculateEnvelope(minTime, maxTime) {
+    const amplitudeAt = getEnvelopeAmplitude();
+    if (!amplitudeAt) return [];
     
-    // Actualizar botones
-    document.getElementById('mode-spring').classList.toggle('active', mode === 'spring');
-    document.getElementById('mode-pendulum').classList.toggle('active', mode === 'pendulum');
+    const samples = 60;
+    const scale = simulationMode === 'pendulum' ? 180 / Math.PI : 1;
+    const upper = [];
+    const lower = [];
     
-    // Actualizar subtítulo
-    const subtitle = document.getElementById('simulation-subtitle');
-    if (mode === 'spring') {
-        subtitle.textContent = 'Simulación de un sistema masa-resorte';
-    } else {
-        subtitle.textContent = 'Simulación de un péndulo simple';
+    for (let i = 0; i <= samples; i++) {
+        const t = minTime + (maxTime - minTime) * i / samples;
+        const value = amplitudeAt(t) * scale;
+        upper.push({ x: t, y: value });
+        lower.push({ x: t, y: -value });
+    }
+    
+    // Un punto nulo separa ambos tramos para que no se unan con una línea
+    return [...upper, { x: maxTime, y: null }, ...lower];
+}
+
+// Amplitud instantánea R(t) de la envolvente, o null si el movimiento no tiene una
+function getEnvelopeAmplitude() {
+    if (simulationMode === 'superposition') {
+        return isLissajous() ? null : calculateBeatAmplitude;
+    }
+    if (simulationMode === 'coupled') return null;
+    const terms = getMotionTerms(0);
+    if (terms.regime !== 'underdamped' || getDrivenTerms(0) || isNonlinearPendulum()) return null;
+    return (t) => terms.R * Math.exp(-terms.gamma * t);
+}
+
+// Curva de respuesta en frecuencia del oscilador forzado, con marcadores en el ω_d actual
+function updateResonanceChart() {
+    if (!resonanceChart) return;
+    
+    const minOmega = 0.1;
+    const maxOmega = 20; // Rango del control de frecuencia de excitación
+    const samples = 400;
+    const amplitudeCurve = [];
+    const phaseCurve = [];
+    let peak = 0;
+    
+    for (let i = 0; i <= samples; i++) {
+        const drivingOmega = minOmega + (maxOmega - minOmega) * i / samples;
+        const { amplitude, phaseLag } = calculateSteadyState(drivingOmega);
+        amplitudeCurve.push({ x: drivingOmega, y: amplitude });
+        phaseCurve.push({ x: drivingOmega, y: phaseLag * 180 / Math.PI });
+        if (isFinite(amplitude)) peak = Math.max(peak, amplitude);
+    }
+    
+    const current = calculateSteadyState(params.drivingFrequency);
+    const currentAmplitude = isPureResonance() ? MAX_RESONANCE_AMPLITUDE : current.amplitude;
+    const yMax = Math.min(Math.max(peak, currentAmplitude, 0.01) * 1.1, MAX_RESONANCE_AMPLITUDE);
+    const omega = calculateOmega();
+    
+    resonanceChart.data.datasets[0].data = amplitudeCurve;
+    resonanceChart.data.datasets[1].data = phaseCurve;
+    resonanceChart.data.datasets[2].data = [{ x: params.drivingFrequency, y: Math.min(currentAmplitude, yMax) }];
+    resonanceChart.data.datasets[3].data = [{ x: params.drivingFrequency, y: current.phaseLag * 180 / Math.PI }];
+    resonanceChart.data.datasets[4].data = [{ x: omega, y: 0 }, { x: omega, y: yMax }];
+    resonanceChart.options.scales.y.max = yMax;
+    resonanceChart.update('none');
+}
+
+// Solución del MAS con las mismas condiciones iniciales, para comparar con el modelo no lineal
+function calculateLinearGhost(minTime, maxTime, type) {
+    if (!isNonlinearPendulum()) return [];
+    
+    const lastTime = Math.min(maxTime, simulation.time);
+    if (lastTime <= minTime) return [];
+    
+    const order = { position: 0, velocity: 1, acceleration: 2 }[type];
+    const scale = type === 'position' ? 180 / Math.PI : 1;
+    const samples = 200;
+    const ghost = [];
+    for (let i = 0; i <= samples; i++) {
+        const t = minTime + (lastTime - minTime) * i / samples;
+        ghost.push({ x: t, y: evaluateLinearMotion(order, t) * scale });
+    }
+    return ghost;
+}
+
+function updateEnergyChart() {
+    const { minTime, maxTime } = getChartTimeWindow();
+    
+    // En el modo acoplado se grafica la energía de cada masa para ver la transferencia
+    const isCoupled = simulationMode === 'coupled';
+    const visible = (points) => sliceTimeRange(points, minTime, maxTime).points;
+    const totalEnergy = visible(graphData.totalEnergy);
+    const gravitationalEnergy = visible(graphData.gravitationalEnergy);
+    energyChart.data.datasets[0].data = visible(isCoupled ? graphData.massEnergy1 : graphData.kineticEnergy);
+    energyChart.data.datasets[1].data = visible(isCoupled ? graphData.massEnergy2 : graphData.potentialEnergy);
+    energyChart.data.datasets[2].data = totalEnergy;
+    energyChart.data.datasets[3].data = visible(graphData.elasticEnergy);
+    energyChart.data.datasets[4].data = gravitationalEnergy;
+    energyChart.options.scales.x.min = minTime;
+    energyChart.options.scales.x.max = maxTime;
+    
+    // Escala fija en la energía inicial; se amplía si una fuerza externa aporta energía
+    const dataMax = totalEnergy.reduce((max, point) => Math.max(max, point.y), 0);
+    energyChart.options.scales.y.max = (Math.max(calculateInitialEnergy(), dataMax) * 1.1 || 1) / chartView.yZoom.energy;
+    // La energía gravitatoria es negativa por debajo del equilibrio
+    const dataMin = gravitationalEnergy.reduce((min, point) => Math.min(min, point.y), 0);
+    energyChart.options.scales.y.min = dataMin * 1.1 / chartView.yZoom.energy;
+    energyChart.update('none');
+}
+
+// Retrato de fase: estela de las muestras de graphData, estado actual, elipse teórica
+// x = A·cos(θ), v = −Aω·sin(θ) y el estado inicial, que recorre la elipse al cambiar φ
+function updatePhaseSpaceChart() {
+    if (!phaseSpaceChart) return;
+    
+    const { maxPosition, maxVelocity } = getGraphRanges();
+    // La trayectoria cubre el mismo intervalo que los gráficos temporales
+    const { minTime, maxTime } = getChartTimeWindow();
+    const { start, points } = sliceTimeRange(graphData.position, minTime, maxTime);
+    const trail = points.map((point, i) => ({ x: point.y, y: graphData.velocity[start + i].y }));
+    
+    // Para péndulo, la posición se grafica en grados
+    const toGraph = simulationMode === 'pendulum' ? 180 / Math.PI : 1;
+    const omega = calculateOmega();
+    const A = getAmplitude();
+    const samples = 120;
+    const ellipse = [];
+    // Con dos movimientos superpuestos la trayectoria no es una elipse
+    if (simulationMode !== 'coupled' && simulationMode !== 'superposition') {
+        for (let i = 0; i <= samples; i++) {
+            const theta = 2 * Math.PI * i / samples;
+            ellipse.push({ x: A * Math.cos(theta) * toGraph, y: -A * omega * Math.sin(theta) });
+        }
     }
+    const { x0, v0 } = getInitialConditions();
+    
+    phaseSpaceChart.data.datasets[0].data = trail;
+    phaseSpaceChart.data.datasets[1].data = ellipse;
+    phaseSpaceChart.data.datasets[2].data = [{ x: 0, y: 0 }, { x: x0 * toGraph, y: v0 }];
+    phaseSpaceChart.data.datasets[3].data = trail.length > 0 ? [trail[trail.length - 1]] : [];
     
-    // Mostrar/ocultar controles
-    document.querySelectorAll('.spring-control').forEach(el => {
-        el.style.display = mode === 'spring' ? 'block' : 'none';
+    // Ejes simétricos como en los gráficos temporales; se amplían si la trayectoria se sale
+    const xMax = trail.reduce((max, point) => Math.max(max, Math.abs(point.x) * 1.1), maxPosition);
+    const yMax = trail.reduce((max, point) => Math.max(max, Math.abs(point.y) * 1.1), maxVelocity);
+    phaseSpaceChart.options.scales.x.min = -xMax;
+    phaseSpaceChart.options.scales.x.max = xMax;
+    phaseSpaceChart.options.scales.y.min = -yMax;
+    phaseSpaceChart.options.scales.y.max = yMax;
+    phaseSpaceChart.update('none');
+}
+
+// =====================
+// Lecciones guiadas
+// =====================
+//
+// Una lección es un archivo JSON con { title, mode, steps }. Cada paso admite:
+//   title, text          Título y explicación (text es obligatorio)
+//   highlight            Selector CSS del control o gráfico a resaltar
+//   params               Parámetros a fijar, con los nombres de params (se validan como en un enlace)
+//   action               "start", "pause" o "reset"
+//   waitFor              { quantity: "position" | "velocity" | "acceleration",
+//                          event: "zero" | "max" | "min" | "extremum" } o { time: segundos desde
+//                        el inicio del paso }. La simulación se detiene en ese instante
+//   doneText             Texto que se muestra cuando se cumple waitFor
+//
+// Los textos (title, text, doneText y los títulos de index.json) pueden ser una cadena en
+// español o un objeto por idioma { "es": …, "en": …, "pt": … }; "es" es obligatorio
+
+function showLessonError(message) {
+    const error = document.getElementById('lesson-error');
+    error.textContent = message || '';
+    error.classList.toggle('show', Boolean(message));
+}
+
+// Respuesta JSON de fetch, con error si el servidor no encontró el archivo
+function fetchJson(url) {
+    return fetch(url).then(response => {
+        if (!response.ok) {
+            throw new Error(`${url}: HTTP ${response.status}`);
+        }
+        return response.json();
     });
-    document.querySelectorAll('.pendulum-control').forEach(el => {
-        el.style.display = mode === 'pendulum' ? 'block' : 'none';
+}
+
+// Texto de una lección en el idioma actual; sin traducción queda el español
+function localizeLessonText(text) {
+    return typeof text === 'string' ? text : text[language] || text.es;
+}
+
+function isLessonText(text) {
+    return typeof text === 'string' || Boolean(text && typeof text.es === 'string');
+}
+
+function loadLessonIndex() {
+    fetchJson(`${LESSONS_PATH}index.json`).then(index => {
+        lesson.index = (index.lessons || []).filter(({ title }) => isLessonText(title));
+        renderLessonIndex();
+    }).catch(error => {
+        // fetch no puede leer archivos locales: la página tiene que servirse por HTTP
+        console.warn(t('No se pudieron cargar las lecciones:'), error);
+        showLessonError(t('No se pudieron cargar las lecciones. Abre la página desde un servidor web'));
     });
+}
 
-    // Mostrar/ocultar fórmulas
-    document.querySelectorAll('.spring-formula').forEach(el => {
-        el.style.display = mode === 'spring' ? 'block' : 'none';
+function renderLessonIndex() {
+    const list = document.getElementById('lesson-list');
+    list.innerHTML = '';
+    lesson.index.forEach(({ file, title }) => {
+        const item = document.createElement('li');
+        item.className = 'preset-item';
+        const label = document.createElement('span');
+        label.className = 'preset-label';
+        label.textContent = localizeLessonText(title);
+        const button = document.createElement('button');
+        button.className = 'btn btn-secondary';
+        button.textContent = t('Comenzar');
+        button.addEventListener('click', () => startLesson(file));
+        item.appendChild(label);
+        item.appendChild(button);
+        list.appendChild(item);
     });
-    document.querySelectorAll('.pendulum-formula').forEach(el => {
-        el.style.display = mode === 'pendulum' ? 'block' : 'none';
+}
+
+function isValidLessonCondition(condition) {
+    if (typeof condition.time === 'number') return condition.time >= 0;
+    return condition.quantity in LESSON_QUANTITIES && LESSON_EVENTS.includes(condition.event);
+}
+
+function isValidLesson(data) {
+    const isOptionalText = (text) => text === undefined || isLessonText(text);
+    return data && isLessonText(data.title) && SIMULATION_MODES.includes(data.mode) &&
+        Array.isArray(data.steps) && data.steps.length > 0 &&
+        data.steps.every(step => step && isLessonText(step.text) &&
+            isOptionalText(step.title) && isOptionalText(step.doneText) &&
+            (step.waitFor === undefined || isValidLessonCondition(step.waitFor)));
+}
+
+function startLesson(file) {
+    showLessonError(null);
+    fetchJson(`${LESSONS_PATH}${file}`).then(data => {
+        if (!isValidLesson(data)) {
+            throw new Error(t('el archivo no tiene el formato de una lección'));
+        }
+        lesson.current = data;
+        document.getElementById('lesson-overlay').hidden = false;
+        showLessonStep(0);
+    }).catch(error => {
+        console.warn(t('No se pudo cargar la lección:'), error);
+        showLessonError(t('No se pudo cargar la lección: {message}', { message: error.message }));
     });
+}
 
-    // Actualizar unidades en los valores actuales
-    if (mode === 'spring') {
-        document.getElementById('position-unit').textContent = 'm';
-        document.getElementById('velocity-unit').textContent = 'm/s';
-        document.getElementById('acceleration-unit').textContent = 'm/s²';
-    } else {
-        document.getElementById('position-unit').textContent = '°';
-        document.getElementById('velocity-unit').textContent = 'rad/s';
-        document.getElementById('acceleration-unit').textContent = 'rad/s²';
+// Mostrar un paso. Al retroceder se vuelven a aplicar los parámetros de todos los pasos
+// anteriores, para que el estado sea el mismo que al llegar avanzando
+function showLessonStep(index) {
+    const { steps } = lesson.current;
+    if (index < 0 || index >= steps.length) return;
+    const step = steps[index];
+    const isBackward = index < lesson.stepIndex;
+    lesson.stepIndex = index;
+    lesson.waitFor = null;
+    
+    if (index === 0 || isBackward || step.params) {
+        const values = Object.assign({}, ...steps.slice(0, index + 1).map(previous => previous.params || {}));
+        applyLessonParameters(values);
+    }
+    
+    highlightLessonElement(step.highlight);
+    document.getElementById('lesson-prev-btn').disabled = index === 0;
+    document.getElementById('lesson-next-btn').disabled = Boolean(step.waitFor);
+    
+    if (step.action === 'reset') {
+        resetSimulation();
+    } else if (step.action === 'pause') {
+        pauseSimulation();
     }
+    if (step.waitFor) {
+        lesson.waitFor = step.waitFor;
+        lesson.waitStart = simulation.time;
+    }
+    updateLessonTexts();
+    if (step.action === 'start') {
+        startSimulation();
+    }
+}
 
-    // Actualizar títulos de los ejes Y de los gráficos
-    updateChartAxisLabels();
+// Textos del paso actual en el idioma actual; también al cambiar de idioma durante la lección
+function updateLessonTexts() {
+    const { steps, title } = lesson.current;
+    const step = steps[lesson.stepIndex];
+    // Estado de la condición del paso: en espera o ya cumplida
+    let status = '';
+    if (step.waitFor && lesson.waitFor) {
+        status = t('⏳ Observa la simulación…');
+    } else if (step.waitFor) {
+        status = step.doneText ? localizeLessonText(step.doneText) : t('✓ Listo');
+    }
+    document.getElementById('lesson-step-title').textContent = localizeLessonText(step.title || title);
+    document.getElementById('lesson-progress').textContent = `${lesson.stepIndex + 1} / ${steps.length}`;
+    document.getElementById('lesson-text').textContent = localizeLessonText(step.text);
+    document.getElementById('lesson-status').textContent = status;
+    document.getElementById('lesson-next-btn').textContent = t(lesson.stepIndex === steps.length - 1 ? 'Terminar ✓' : 'Siguiente ▶');
+}
 
-    // Reiniciar simulación
-    resetSimulation();
-    updateCalculatedValues();
-    updatePendulumWarning();
+// Los parámetros pasan por la misma validación que los de un enlace
+function applyLessonParameters(values) {
+    const { mode, values: parsed, problems } = parseStateQuery(stateToQuery(lesson.current.mode, values));
+    Object.assign(params, parsed);
+    initializeInputValues();
+    switchMode(mode);
+    showStateNotice(t('de la lección "{title}"', { title: localizeLessonText(lesson.current.title) }), problems);
 }
 
-function updateChartAxisLabels() {
-    if (simulationMode === 'spring') {
-        positionChart.options.scales.y.title.text = 'x (m)';
-        velocityChart.options.scales.y.title.text = 'v (m/s)';
-        accelerationChart.options.scales.y.title.text = 'a (m/s²)';
-    } else {
-        positionChart.options.scales.y.title.text = 'θ (°)';
-        velocityChart.options.scales.y.title.text = 'ω (rad/s)';
-        accelerationChart.options.scales.y.title.text = 'α (rad/s²)';
+function highlightLessonElement(selector) {
+    if (lesson.highlighted) {
+        lesson.highlighted.classList.remove('lesson-highlight');
+        lesson.highlighted = null;
+    }
+    if (!selector) return;
+    let element = null;
+    try {
+        element = document.querySelector(selector);
+    } catch (error) {
+        console.warn(t('Selector inválido en la lección: {selector}', { selector }));
+    }
+    if (!element) return;
+    element.classList.add('lesson-highlight');
+    element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    lesson.highlighted = element;
+}
+
+// Instante en (from, to] en el que se cumple la condición, o null
+function findLessonEvent(condition, from, to) {
+    if (typeof condition.time === 'number') {
+        const time = lesson.waitStart + condition.time;
+        return to >= time ? Math.max(from, time) : null;
     }
+    // Ceros de la magnitud, o de su derivada para los extremos
+    const order = LESSON_QUANTITIES[condition.quantity] + (condition.event === 'zero' ? 0 : 1);
+    const f = (t) => evaluateMotion(order, t);
+    const a = f(from);
+    const b = f(to);
+    const falls = a > 0 && b <= 0;
+    const rises = a < 0 && b >= 0;
+    const isEvent = { zero: falls || rises, extremum: falls || rises, max: falls, min: rises }[condition.event];
+    if (!isEvent) return null;
     
-    // Actualizar los gráficos para reflejar los cambios
-    positionChart.update('none');
-    velocityChart.update('none');
-    accelerationChart.update('none');
+    let low = from;
+    let high = to;
+    for (let i = 0; i < 50; i++) {
+        const mid = (low + high) / 2;
+        if (Math.sign(f(mid)) === Math.sign(a)) low = mid; else high = mid;
+    }
+    // Un evento justo al comenzar la espera (donde se detuvo el paso anterior) no cuenta
+    return high - lesson.waitStart > 1e-6 ? high : null;
+}
+
+// Llamada en cada paso de la simulación; devuelve true si detuvo la simulación
+function checkLessonCondition(from, to) {
+    if (!lesson.current || !lesson.waitFor) return false;
+    const time = findLessonEvent(lesson.waitFor, from, to);
+    if (time === null) return false;
+    
+    lesson.waitFor = null;
+    seekSimulation(time);
+    updateLessonTexts();
+    document.getElementById('lesson-next-btn').disabled = false;
+    return true;
+}
+
+function endLesson() {
+    highlightLessonElement(null);
+    lesson.current = null;
+    lesson.waitFor = null;
+    lesson.stepIndex = 0;
+    document.getElementById('lesson-overlay').hidden = true;
 }
 
 // =====================
-// Cálculos físicos
+// Práctica
 // =====================
 
-//Frecuencia angular
-function calculateOmega() {
-    if (simulationMode === 'spring') {
-        return Math.sqrt(params.springConstant / params.mass);
-    } else {
-        return Math.sqrt(params.gravity / params.pendulumLength);
+// Semilla de texto → entero de 32 bits (FNV-1a)
+function hashSeed(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
     }
+    return hash >>> 0;
 }
 
-//Periodo
-function calculatePeriod() {
-    return (2 * Math.PI) / calculateOmega();
+// Generador pseudoaleatorio mulberry32: la misma semilla da siempre la misma secuencia en [0, 1)
+function createSeededRandom(seed) {
+    let state = hashSeed(seed);
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
 }
 
-//Frecuencia
-function calculateFrequency() {
-    return 1 / calculatePeriod();
+function createRandomSeed() {
+    return Math.floor(Math.random() * 1e6).toString();
 }
 
-//Amplitud
-function getAmplitude() {
-    if (simulationMode === 'spring') {
-        return params.amplitude;
+// Semilla del enlace (?seed=) o una al azar
+function initializePractice() {
+    const seed = new URLSearchParams(window.location.search).get('seed');
+    if (seed) {
+        document.getElementById('practice-seed').value = seed;
+    }
+    setPracticeSeed(seed || createRandomSeed());
+}
+
+// Una semilla nueva reinicia la secuencia de problemas y el puntaje
+function setPracticeSeed(seed) {
+    practice.seed = seed;
+    practice.random = createSeededRandom(seed);
+    practice.problem = null;
+    practice.score = { correct: 0, total: 0 };
+    document.getElementById('practice-seed-label').textContent = seed;
+    document.getElementById('practice-statement').textContent = '';
+    document.getElementById('practice-question').textContent = '';
+    document.getElementById('practice-unit').textContent = '';
+    document.getElementById('practice-answer').disabled = true;
+    document.getElementById('practice-check-btn').disabled = true;
+    showPracticeFeedback('', null);
+    updatePracticeScore();
+}
+
+// Valor al azar entre min y max en múltiplos de step (como los sliders)
+function randomStep(min, max, step) {
+    const count = Math.round((max - min) / step) + 1;
+    const value = min + step * Math.floor(practice.random() * count);
+    return Number(value.toFixed(Math.max(0, -Math.floor(Math.log10(step)))));
+}
+
+function pickRandom(options) {
+    return options[Math.floor(practice.random() * options.length)];
+}
+
+// Evaluar fn con el modo y los parámetros del problema, restaurando después los actuales
+function withPracticeScenario(mode, overrides, fn) {
+    const originalMode = simulationMode;
+    const originalParams = { ...params };
+    simulationMode = mode;
+    Object.assign(params, overrides);
+    try {
+        return fn();
+    } finally {
+        simulationMode = originalMode;
+        Object.assign(params, originalParams);
+    }
+}
+
+// Problema al azar: resorte horizontal o péndulo simple lineal, sin amortiguamiento ni fuerza
+function generatePracticeProblem() {
+    const mode = pickRandom(['spring', 'pendulum']);
+    const type = pickRandom(PRACTICE_TYPES);
+    const phase = randomStep(0, 6.2, 0.1);
+    let overrides;
+    
+    if (mode === 'spring') {
+        overrides = {
+            springCount: 1, springVertical: false, drivingForce: 0, damping: 0, phase,
+            mass: randomStep(0.5, 5, 0.1),
+            springConstant: randomStep(10, 100, 1),
+            amplitude: randomStep(0.05, 0.5, 0.01)
+        };
     } else {
-        // Para péndulo, convertir ángulo a radianes como "amplitud"
-        return params.pendulumAngle * Math.PI / 180;
+        overrides = {
+            pendulumType: 'simple', pendulumNonlinear: false, damping: 0, phase,
+            pendulumMass: randomStep(0.1, 5, 0.1),
+            pendulumLength: randomStep(0.5, 3, 0.1),
+            pendulumAngle: randomStep(2, MAX_LINEAR_PENDULUM_ANGLE, 1),
+            gravity: randomStep(1, 20, 0.1)
+        };
+    }
+    
+    const isSpring = mode === 'spring';
+    const time = randomStep(0.1, 3, 0.01);
+    return withPracticeScenario(mode, overrides, () => {
+        const period = calculatePeriod();
+        const amplitude = isSpring ? params.amplitude : params.pendulumAngle;
+        // El ángulo se pregunta en grados
+        const toAnswer = (value) => isSpring ? value : value * 180 / Math.PI;
+        const problem = { mode, type, time, overrides, pauseAt: period };
+        
+        if (type === 'period') {
+            Object.assign(problem, { unit: 's', answer: period });
+        } else if (type === 'vMax') {
+            Object.assign(problem, {
+                unit: isSpring ? 'm/s' : 'rad/s',
+                answer: calculateDerivedQuantities().vMax
+            });
+        } else if (type === 'position') {
+            Object.assign(problem, {
+                unit: isSpring ? 'm' : '°',
+                answer: toAnswer(calculatePosition(time)),
+                tolerance: PRACTICE_TOLERANCE * amplitude,
+                pauseAt: time
+            });
+        } else {
+            // Primer cero con t > 0 (si φ = π/2 la oscilación empieza justo en el equilibrio)
+            const zero = findMotionZeros(0, 0, 2 * period).find(t => t > 1e-6);
+            Object.assign(problem, {
+                unit: 's',
+                answer: zero,
+                tolerance: PRACTICE_TOLERANCE * period,
+                pauseAt: zero
+            });
+        }
+        // Por defecto la tolerancia es relativa al valor correcto
+        problem.tolerance = problem.tolerance ?? PRACTICE_TOLERANCE * Math.abs(problem.answer);
+        return problem;
+    });
+}
+
+// Enunciado y pregunta en el idioma actual, con los datos del problema
+function describePracticeProblem({ mode, type, time, overrides }) {
+    const isSpring = mode === 'spring';
+    const format = (value) => String(value).replace('.', decimalSeparator);
+    const statement = isSpring
+        ? t('Un bloque de m = {mass} kg unido a un resorte de k = {k} N/m oscila sin rozamiento según x(t) = A·cos(ωt + φ), con A = {amplitude} m y φ = {phase} rad.', {
+            mass: format(overrides.mass), k: format(overrides.springConstant), amplitude: format(overrides.amplitude), phase: format(overrides.phase)
+        })
+        : t('Un péndulo simple de L = {length} m, en un lugar con g = {g} m/s², oscila según θ(t) = θ₀·cos(ωt + φ), con θ₀ = {angle}° y φ = {phase} rad (ángulos pequeños).', {
+            length: format(overrides.pendulumLength), g: format(overrides.gravity), angle: format(overrides.pendulumAngle), phase: format(overrides.phase)
+        });
+    const questions = {
+        period: '¿Cuál es el período T?',
+        vMax: isSpring ? '¿Cuál es la rapidez máxima?' : '¿Cuál es la velocidad angular máxima?',
+        position: isSpring ? '¿Cuál es la posición x en t = {time} s?' : '¿Cuál es el ángulo θ en t = {time} s?',
+        zeroCrossing: '¿En qué instante pasa por primera vez por el equilibrio (t > 0)?'
+    };
+    return { statement, question: t(questions[type], { time: format(time) }) };
+}
+
+function showPracticeProblem() {
+    if (!practice.problem) return;
+    const { statement, question } = describePracticeProblem(practice.problem);
+    document.getElementById('practice-statement').textContent = statement;
+    document.getElementById('practice-question').textContent = question;
+    document.getElementById('practice-unit').textContent = practice.problem.unit;
+}
+
+function newPracticeProblem() {
+    practice.problem = generatePracticeProblem();
+    practice.answered = false;
+    showPracticeProblem();
+    const input = document.getElementById('practice-answer');
+    input.value = '';
+    input.disabled = false;
+    document.getElementById('practice-check-btn').disabled = false;
+    showPracticeFeedback('', null);
+}
+
+// Comparar con el valor que calculan las funciones del simulador y animar el escenario
+function checkPracticeAnswer() {
+    const problem = practice.problem;
+    if (!problem || practice.answered) return;
+    const value = parseLocaleNumber(document.getElementById('practice-answer').value);
+    if (isNaN(value)) {
+        showPracticeFeedback(t('Escribe un número'), false);
+        return;
     }
+    
+    const isCorrect = Math.abs(value - problem.answer) <= problem.tolerance;
+    practice.answered = true;
+    practice.score.total++;
+    if (isCorrect) practice.score.correct++;
+    updatePracticeScore();
+    document.getElementById('practice-answer').disabled = true;
+    document.getElementById('practice-check-btn').disabled = true;
+    
+    const expected = `${formatNumber(problem.answer, 3)} ${problem.unit}`;
+    showPracticeFeedback(t(isCorrect ? '¡Correcto! Valor del simulador: {expected}' : 'Incorrecto. Valor del simulador: {expected}', { expected }), isCorrect);
+    playPracticeScenario(problem);
+}
+
+// Cargar los parámetros del problema y animar hasta el instante que responde la pregunta
+function playPracticeScenario(problem) {
+    Object.assign(params, problem.overrides);
+    initializeInputValues();
+    switchMode(problem.mode);
+    practice.pauseAt = problem.pauseAt;
+    startSimulation();
+}
+
+function showPracticeFeedback(text, isCorrect) {
+    const feedback = document.getElementById('practice-feedback');
+    feedback.textContent = text;
+    feedback.classList.toggle('correct', isCorrect === true);
+    feedback.classList.toggle('incorrect', isCorrect === false);
+}
+
+function updatePracticeScore() {
+    document.getElementById('practice-score').textContent = `${practice.score.correct} / ${practice.score.total}`;
+}
+
+// =====================
+// Barrido de parámetro
+// =====================
+
+function getSweepMode() {
+    return simulationMode === 'pendulum' ? 'pendulum' : 'spring';
 }
 
-//Posición
-function calculatePosition(t) {
-    const omega = calculateOmega();
-    const A = getAmplitude();
-    return A * Math.cos(omega * t + params.phase);
+// Rango admitido por el control del parámetro (el de θ₀ depende del modelo no lineal)
+function getSweepBounds(param) {
+    const { min, max } = PARAMETER_CONTROLS.find(control => control.param === param);
+    return { min, max: typeof max === 'function' ? max() : max };
 }
 
-//Velocidad
-function calculateVelocity(t) {
-    const omega = calculateOmega();
-    const A = getAmplitude();
-    return -A * omega * Math.sin(omega * t + params.phase);
+// Botones de los parámetros del modo actual; el rango se completa con el del control
+function updateSweepControls() {
+    const mode = getSweepMode();
+    const container = document.getElementById('sweep-parameters');
+    container.innerHTML = '';
+    SWEEP_PARAMETERS[mode].forEach(({ param, symbol }) => {
+        const button = document.createElement('button');
+        button.className = 'segment-btn';
+        button.textContent = symbol;
+        button.classList.toggle('active', param === sweepParameter[mode]);
+        button.addEventListener('click', () => {
+            sweepParameter[mode] = param;
+            updateSweepControls();
+        });
+        container.appendChild(button);
+    });
+    
+    const { unit } = SWEEP_PARAMETERS[mode].find(({ param }) => param === sweepParameter[mode]);
+    const { min, max } = getSweepBounds(sweepParameter[mode]);
+    document.getElementById('sweep-from').value = formatControlValue(min, 0);
+    document.getElementById('sweep-to').value = formatControlValue(max, 0);
+    document.getElementById('sweep-unit').textContent = unit;
+    showSweepRangeError(null);
 }
 
-//Aceleración
-function calculateAcceleration(t) {
-    const omega = calculateOmega();
-    const A = getAmplitude();
-    return -A * omega * omega * Math.cos(omega * t + params.phase);
+function showSweepRangeError(message) {
+    const error = document.getElementById('sweep-range-error');
+    error.textContent = message || '';
+    error.classList.toggle('show', Boolean(message));
 }
 
-//Actualizar valores calculados
-function updateCalculatedValues() {
-    const omega = calculateOmega();
-    const period = calculatePeriod();
-    const frequency = calculateFrequency();
-    const A = getAmplitude();
-    const vMax = A * omega;
-    const aMax = A * omega * omega;
+// Recorre el parámetro en pasos uniformes cambiando params temporalmente; la simulación
+// no se toca y el valor original se restaura siempre
+function runParameterSweep() {
+    const mode = getSweepMode();
+    const param = sweepParameter[mode];
+    const { symbol, unit } = SWEEP_PARAMETERS[mode].find(option => option.param === param);
+    const { min, max } = getSweepBounds(param);
+    const from = parseLocaleNumber(document.getElementById('sweep-from').value);
+    const to = parseLocaleNumber(document.getElementById('sweep-to').value);
+    const steps = Number(document.getElementById('sweep-steps').value);
     
-    let energy;
-    if (simulationMode === 'spring') {
-        energy = 0.5 * params.springConstant * params.amplitude * params.amplitude;
-    } else {
-        // Energía del péndulo: E = m*g*L*(1 - cos(θ₀)) ≈ 0.5*m*g*L*θ₀² para ángulos pequeños
-        const theta0 = params.pendulumAngle * Math.PI / 180;
-        energy = 0.5 * params.gravity * params.pendulumLength * theta0 * theta0;
+    if (isNaN(from) || isNaN(to) || from >= to || from < min || to > max) {
+        showSweepRangeError(t('El rango debe cumplir {min} ≤ desde < hasta ≤ {max} {unit}', {
+            min: formatControlValue(min, 0), max: formatControlValue(max, 0), unit
+        }));
+        return;
+    }
+    if (!(Number.isInteger(steps) && steps >= 2 && steps <= 500)) return;
+    showSweepRangeError(null);
+    
+    const outputs = SWEEP_OUTPUTS.filter(({ key }) => document.getElementById(`sweep-output-${key}`).checked);
+    const original = params[param];
+    const results = [];
+    try {
+        for (let i = 0; i < steps; i++) {
+            params[param] = from + (to - from) * i / (steps - 1);
+            results.push({ x: params[param], values: calculateDerivedQuantities() });
+        }
+    } finally {
+        params[param] = original;
     }
+    const current = calculateDerivedQuantities();
     
-    document.getElementById('calc-omega').textContent = omega.toFixed(2);
-    document.getElementById('calc-period').textContent = period.toFixed(2);
-    document.getElementById('calc-frequency').textContent = frequency.toFixed(2);
-    document.getElementById('calc-vmax').textContent = vMax.toFixed(2);
-    document.getElementById('calc-amax').textContent = aMax.toFixed(2);
-    document.getElementById('calc-energy').textContent = energy.toFixed(3);
+    // Valores no finitos (p. ej. T sin oscilación) quedan como huecos en la curva
+    const toPoint = (x, value) => ({ x, y: isFinite(value) ? value : null });
+    sweepChart.options.scales.x.title.text = `${symbol} (${unit})`;
+    sweepChart.options.scales.x.min = from;
+    sweepChart.options.scales.x.max = to;
+    let shownAxes = 0;
+    SWEEP_OUTPUTS.forEach(({ key, symbol: outputSymbol, unit: outputUnit, pendulumUnit }, i) => {
+        const isShown = outputs.some(output => output.key === key);
+        const axis = sweepChart.options.scales[`y-${key}`];
+        axis.display = isShown;
+        axis.title.text = `${outputSymbol} (${mode === 'pendulum' && pendulumUnit ? pendulumUnit : outputUnit})`;
+        if (isShown) {
+            // Ejes alternados a izquierda y derecha; la grilla es la del primero
+            axis.position = shownAxes % 2 === 0 ? 'left' : 'right';
+            axis.grid = { ...axis.grid, drawOnChartArea: shownAxes === 0 };
+            shownAxes++;
+        }
+        sweepChart.data.datasets[2 * i].data = isShown ? results.map(({ x, values }) => toPoint(x, values[key])) : [];
+        sweepChart.data.datasets[2 * i + 1].data = isShown && isFinite(current[key]) ? [{ x: original, y: current[key] }] : [];
+    });
+    sweepChart.update('none');
 }
 
 // =====================
-// Control de simulación
+// Laboratorio virtual
 // =====================
-function startSimulation() {
-    // Verificar que no haya errores de validación
-    const hasErrors = Object.values(validationState).some(isValid => !isValid);
-    if (hasErrors) {
-        console.warn('No se puede iniciar la simulación: hay errores en los parámetros');
-        return;
-    }
-    
-    if (!simulation.isRunning) {
-        simulation.isRunning = true;
-        simulation.lastTimestamp = 0;
-        simulation.animationId = requestAnimationFrame(animate);
-    }
+
+// Las mediciones se guardan por modo; fuera del resorte y el péndulo el panel está oculto
+function getLabMode() {
+    return simulationMode === 'pendulum' ? 'pendulum' : 'spring';
 }
 
-function pauseSimulation() {
-    simulation.isRunning = false;
-    if (simulation.animationId) {
-        cancelAnimationFrame(simulation.animationId);
-        simulation.animationId = null;
-    }
+function showLabError(message) {
+    const error = document.getElementById('lab-error');
+    error.textContent = message || '';
+    error.classList.toggle('show', Boolean(message));
 }
 
-function resetSimulation() {
-    pauseSimulation();
-    simulation.time = 0;
-    simulation.lastTimestamp = 0;
-    graphData.position = [];
-    graphData.velocity = [];
-    graphData.acceleration = [];
-    
-    if (simulationMode === 'spring') {
-        drawSpring(0);
-    } else {
-        drawPendulum(0);
-    }
-    resetCharts();
-    updateCurrentValues(0, 0, 0, 0);
+// Tiempo de reacción de una persona: distribución normal (Box-Muller), nunca menor a 0.05 s
+function sampleReactionTime() {
+    const u1 = 1 - Math.random();
+    const u2 = Math.random();
+    const z = Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+    return Math.max(0.05, REACTION_TIME_MEAN + REACTION_TIME_SD * z);
 }
 
-function animate(timestamp) {
-    if (!simulation.isRunning) return;
-    
-    // Primera iteración: inicializar timestamp
-    if (simulation.lastTimestamp === 0) {
-        simulation.lastTimestamp = timestamp;
+// Cronometrar N oscilaciones desde el instante actual. Quien mide pulsa con un retraso al
+// empezar y otro al terminar, así que el tiempo medido es N·T más la diferencia entre ambos
+function startLabTiming() {
+    if (lab.stopwatch) return;
+    const oscillations = Number(document.getElementById('lab-oscillations').value);
+    if (!(Number.isInteger(oscillations) && oscillations >= 1 && oscillations <= 50)) return;
+    if (isPhysicalPendulum()) {
+        showLabError(t('El experimento usa la longitud del péndulo simple'));
+        return;
     }
-    
-    // Calcular delta time
-    const deltaTime = (timestamp - simulation.lastTimestamp) / 1000;
-    simulation.lastTimestamp = timestamp;
-    
-    // Evitar saltos grandes de tiempo
-    const clampedDelta = Math.min(deltaTime, 0.1);
-    
-    // Actualizar tiempo
-    simulation.time += clampedDelta * simulation.timeScale;
-    
-    // Calcular valores actuales
-    const position = calculatePosition(simulation.time);
-    const velocity = calculateVelocity(simulation.time);
-    const acceleration = calculateAcceleration(simulation.time);
-    
-    // Guardar datos para gráficos (valores angulares para ambos)
-    addDataPoint(simulation.time, position, velocity, acceleration);
-    
-    // Dibujar según el modo
-    if (simulationMode === 'spring') {
-        const positionPixels = position * PIXELS_PER_METER;
-        drawSpring(positionPixels);
-    } else {
-        drawPendulum(position); // position es el ángulo en radianes
+    const period = calculatePeriod();
+    if (!isFinite(period)) {
+        showLabError(t('No hay oscilaciones que cronometrar con este amortiguamiento'));
+        return;
     }
-    drawAllGraphs();
-    updateCurrentValues(position, velocity, acceleration, simulation.time);
+    showLabError(null);
     
-    // Siguiente frame
-    simulation.animationId = requestAnimationFrame(animate);
+    const trueStart = simulation.time;
+    lab.stopwatch = {
+        start: trueStart + sampleReactionTime(),
+        stop: trueStart + oscillations * period + sampleReactionTime(),
+        oscillations,
+        value: params[LAB_EXPERIMENTS[getLabMode()].param],
+        parameters: JSON.stringify(params)
+    };
+    document.getElementById('lab-timing-btn').disabled = true;
+    startSimulation();
+    if (!simulation.isRunning) {
+        // Parámetros inválidos o grabación de video en curso
+        cancelLabTiming();
+        showLabError(t('No se pudo iniciar la simulación para cronometrar'));
+    }
 }
 
-function addDataPoint(time, position, velocity, acceleration) {
-    // Para péndulo, convertir posición a grados para el gráfico
-    const positionForGraph = simulationMode === 'pendulum' ? position * 180 / Math.PI : position;
-    
-    graphData.position.push({ x: time, y: positionForGraph });
-    graphData.velocity.push({ x: time, y: velocity });
-    graphData.acceleration.push({ x: time, y: acceleration });
-    
-    // Mantener solo los puntos necesarios para la ventana de tiempo + un pequeño margen
-    const minTime = time - graphData.timeWindow - 0.5;
+// Avanza con la simulación (también en cámara lenta) y al llegar al final agrega la medición
+function updateLabStopwatch() {
+    const stopwatch = lab.stopwatch;
+    if (!stopwatch) return;
+    const display = document.getElementById('lab-stopwatch');
     
-    while (graphData.position.length > 0 && graphData.position[0].x < minTime) {
-        graphData.position.shift();
-        graphData.velocity.shift();
-        graphData.acceleration.shift();
+    if (simulation.time < stopwatch.stop) {
+        display.textContent = `${formatNumber(Math.max(0, simulation.time - stopwatch.start), 2)} s`;
+        return;
     }
+    // El cronómetro tiene una resolución de centésimas
+    const time = Math.round((stopwatch.stop - stopwatch.start) * 100) / 100;
+    display.textContent = `${formatNumber(time, 2)} s`;
+    lab.rows[getLabMode()].push({ value: stopwatch.value, oscillations: stopwatch.oscillations, time });
+    lab.stopwatch = null;
+    document.getElementById('lab-timing-btn').disabled = false;
+    updateLabPanel();
 }
 
-function updateCurrentValues(position, velocity, acceleration, time) {
-    // Los valores ya están en unidades físicas
-    if (simulationMode === 'spring') {
-        document.getElementById('current-position').textContent = position.toFixed(3);
-        document.getElementById('current-velocity').textContent = velocity.toFixed(3);
-        document.getElementById('current-acceleration').textContent = acceleration.toFixed(3);
-        // Actualizar unidades para resorte
-        document.getElementById('position-unit').textContent = 'm';
-        document.getElementById('velocity-unit').textContent = 'm/s';
-        document.getElementById('acceleration-unit').textContent = 'm/s²';
-    } else {
-        // Para péndulo: posición en grados, velocidad en rad/s, aceleración en rad/s²
-        const angleDeg = position * 180 / Math.PI;
-        
-        document.getElementById('current-position').textContent = angleDeg.toFixed(2);
-        document.getElementById('current-velocity').textContent = velocity.toFixed(3);
-        document.getElementById('current-acceleration').textContent = acceleration.toFixed(3);
-        // Actualizar unidades para péndulo
-        document.getElementById('position-unit').textContent = '°';
-        document.getElementById('velocity-unit').textContent = 'rad/s';
-        document.getElementById('acceleration-unit').textContent = 'rad/s²';
-    }
-    document.getElementById('current-time').textContent = time.toFixed(2);
+// Reiniciar o cambiar parámetros interrumpe la medición en curso
+function cancelLabTiming() {
+    if (!lab.stopwatch) return;
+    lab.stopwatch = null;
+    document.getElementById('lab-timing-btn').disabled = false;
+    document.getElementById('lab-stopwatch').textContent = `${formatNumber(0, 2)} s`;
 }
 
-// =====================
-// Dibujo del resorte
-// =====================
-function drawSpring(displacement) {
-    const ctx = springCtx;
-    const width = springCanvas.width;
-    const height = springCanvas.height;
-    
-    // Limpiar canvas
-    ctx.clearRect(0, 0, width, height);
-    
-    // Fondo con gradiente
-    const gradient = ctx.createLinearGradient(0, 0, 0, height);
-    gradient.addColorStop(0, '#0d1321');
-    gradient.addColorStop(1, '#151f2e');
-    ctx.fillStyle = gradient;
-    ctx.fillRect(0, 0, width, height);
-    
-    // Configuración del resorte
-    const anchorX = width / 2;
-    const anchorY = 30;
-    const equilibriumY = height / 2;
-    const massY = equilibriumY + displacement;
-    const massRadius = 25;
-    
-    // Dibujar soporte superior
-    ctx.fillStyle = '#4a5568';
-    ctx.fillRect(anchorX - 50, 0, 100, 15);
-    ctx.fillStyle = '#2d3748';
-    ctx.fillRect(anchorX - 5, 10, 10, 25);
-    
-    // Dibujar línea de equilibrio (punteada)
-    ctx.setLineDash([5, 5]);
-    ctx.strokeStyle = '#4a5568';
-    ctx.lineWidth = 1;
-    ctx.beginPath();
-    ctx.moveTo(20, equilibriumY);
-    ctx.lineTo(width - 20, equilibriumY);
-    ctx.stroke();
-    ctx.setLineDash([]);
-    
-    // Etiqueta de equilibrio
-    ctx.font = '11px JetBrains Mono';
-    ctx.fillStyle = '#6b7280';
-    ctx.textAlign = 'left';
-    ctx.fillText('x = 0', 25, equilibriumY - 8);
-    
-    // Dibujar el resorte (zig-zag)
-    drawSpringCoil(ctx, anchorX, anchorY + 20, massY - massRadius);
-    
-    // Dibujar la masa
-    drawMass(ctx, anchorX, massY, massRadius);
-    
-    // Actualizar posición de la masa para detección de arrastre
-    dragState.massPosition.x = anchorX;
-    dragState.massPosition.y = massY;
-    dragState.massRadius = massRadius;
-    
-    // Indicador de arrastre
-    if (dragState.isDragging) {
-        ctx.strokeStyle = '#ffd93d';
-        ctx.lineWidth = 3;
-        ctx.setLineDash([5, 5]);
-        ctx.beginPath();
-        ctx.arc(anchorX, massY, massRadius + 8, 0, Math.PI * 2);
-        ctx.stroke();
-        ctx.setLineDash([]);
-    }
-    
-    // Dibujar indicador de desplazamiento
-    if (Math.abs(displacement) > 2) {
-        drawDisplacementIndicator(ctx, anchorX + 50, equilibriumY, massY, displacement);
-    }
-    
-    // Dibujar escala
-    drawScale(ctx, width - 30, equilibriumY);
+// El final del cronometraje se calculó con el período de los parámetros al iniciarlo
+function cancelLabTimingOnParameterChange() {
+    if (!lab.stopwatch || lab.stopwatch.parameters === JSON.stringify(params)) return;
+    cancelLabTiming();
+    showLabError(t('Medición interrumpida: cambiaron los parámetros'));
 }
 
-function drawSpringCoil(ctx, x, startY, endY) {
-    const coils = 12;
-    const coilWidth = 20;
-    const springLength = endY - startY;
-    const coilHeight = springLength / coils;
-    
-    ctx.strokeStyle = '#3b82f6';
-    ctx.lineWidth = 3;
-    ctx.lineCap = 'round';
-    ctx.lineJoin = 'round';
-    
-    ctx.beginPath();
-    ctx.moveTo(x, startY);
+// Tabla editable, gráfico y ajuste del modo actual
+function updateLabPanel() {
+    const mode = getLabMode();
+    const { symbol, unit, hint } = LAB_EXPERIMENTS[mode];
+    document.getElementById('lab-variable-header').textContent = `${symbol} (${unit})`;
+    document.getElementById('lab-hint').textContent = t(hint);
+    renderLabTable();
+    updateLabFit();
+}
+
+function renderLabTable() {
+    const rows = lab.rows[getLabMode()];
+    const body = document.getElementById('lab-rows');
+    body.innerHTML = '';
     
-    for (let i = 0; i < coils; i++) {
-        const y1 = startY + (i + 0.25) * coilHeight;
-        const y2 = startY + (i + 0.75) * coilHeight;
-        const y3 = startY + (i + 1) * coilHeight;
+    rows.forEach((row, index) => {
+        const tr = document.createElement('tr');
+        const periodCell = document.createElement('td');
+        const squareCell = document.createElement('td');
+        const updateDerived = () => {
+            const T = row.time / row.oscillations;
+            periodCell.textContent = formatNumber(T, 3);
+            squareCell.textContent = formatNumber(T * T, 4);
+        };
         
-        const direction = i % 2 === 0 ? 1 : -1;
+        // Celdas editables: valor de la variable, N y tiempo total, con el separador decimal del idioma
+        [
+            { key: 'value', decimals: 1, isValid: (v) => v > 0 },
+            { key: 'oscillations', decimals: 0, isValid: (v) => Number.isInteger(v) && v >= 1 },
+            { key: 'time', decimals: 2, isValid: (v) => v > 0 }
+        ].forEach(({ key, decimals, isValid }) => {
+            const cell = document.createElement('td');
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.inputMode = decimals > 0 ? 'decimal' : 'numeric';
+            input.className = 'value-input';
+            input.value = formatControlValue(row[key], decimals);
+            input.addEventListener('change', () => {
+                const value = parseLocaleNumber(input.value);
+                const valid = !isNaN(value) && isValid(value);
+                input.classList.toggle('error', !valid);
+                if (!valid) return;
+                row[key] = value;
+                updateDerived();
+                updateLabFit();
+            });
+            cell.appendChild(input);
+            tr.appendChild(cell);
+        });
         
-        ctx.lineTo(x + direction * coilWidth, y1);
-        ctx.lineTo(x - direction * coilWidth, y2);
-        ctx.lineTo(x, y3);
-    }
-    
-    ctx.stroke();
+        tr.appendChild(periodCell);
+        tr.appendChild(squareCell);
+        updateDerived();
+        
+        const actions = document.createElement('td');
+        const remove = document.createElement('button');
+        remove.className = 'btn btn-secondary';
+        remove.textContent = '✕';
+        remove.title = t('Eliminar medición');
+        remove.addEventListener('click', () => {
+            rows.splice(index, 1);
+            updateLabPanel();
+        });
+        actions.appendChild(remove);
+        tr.appendChild(actions);
+        body.appendChild(tr);
+    });
     
-    // Sombra/brillo del resorte
-    ctx.strokeStyle = 'rgba(59, 130, 246, 0.3)';
-    ctx.lineWidth = 6;
-    ctx.stroke();
+    document.getElementById('lab-empty').style.display = rows.length === 0 ? 'block' : 'none';
 }
 
-function drawMass(ctx, x, y, radius) {
-    // Sombra
-    ctx.fillStyle = 'rgba(0, 0, 0, 0.3)';
-    ctx.beginPath();
-    ctx.arc(x + 3, y + 3, radius, 0, Math.PI * 2);
-    ctx.fill();
-    
-    // Masa principal
-    const massGradient = ctx.createRadialGradient(x - 8, y - 8, 0, x, y, radius);
-    massGradient.addColorStop(0, '#5a6a8a');
-    massGradient.addColorStop(0.7, '#3d4a66');
-    massGradient.addColorStop(1, '#2d3748');
-    
-    ctx.fillStyle = massGradient;
-    ctx.beginPath();
-    ctx.arc(x, y, radius, 0, Math.PI * 2);
-    ctx.fill();
-    
-    // Borde
-    ctx.strokeStyle = '#3b82f6';
-    ctx.lineWidth = 2;
-    ctx.stroke();
+// Recta de mínimos cuadrados y = a + b·x con las incertidumbres de a y b (requieren 3 puntos o más)
+function fitLine(points) {
+    const n = points.length;
+    const sumX = points.reduce((sum, p) => sum + p.x, 0);
+    const sumY = points.reduce((sum, p) => sum + p.y, 0);
+    const sumXX = points.reduce((sum, p) => sum + p.x * p.x, 0);
+    const sumXY = points.reduce((sum, p) => sum + p.x * p.y, 0);
+    const denominator = n * sumXX - sumX * sumX;
+    if (n < 2 || denominator <= 0) return null;
     
-    // Etiqueta de masa
-    ctx.font = 'bold 14px JetBrains Mono';
-    ctx.fillStyle = '#e8eaed';
-    ctx.textAlign = 'center';
-    ctx.textBaseline = 'middle';
-    ctx.fillText('m', x, y);
+    const slope = (n * sumXY - sumX * sumY) / denominator;
+    const intercept = (sumY - slope * sumX) / n;
+    const residual = points.reduce((sum, p) => sum + Math.pow(p.y - intercept - slope * p.x, 2), 0);
+    const meanY = sumY / n;
+    const total = points.reduce((sum, p) => sum + Math.pow(p.y - meanY, 2), 0);
+    const variance = n > 2 ? residual / (n - 2) : NaN;
+    
+    return {
+        slope,
+        intercept,
+        slopeError: Math.sqrt(n * variance / denominator),
+        interceptError: Math.sqrt(variance * sumXX / denominator),
+        r2: total > 0 ? 1 - residual / total : 1
+    };
 }
 
-function drawDisplacementIndicator(ctx, x, y0, yMass, displacement) {
-    const direction = displacement > 0 ? 1 : -1;
-    const color = displacement > 0 ? '#ff6b6b' : '#3b82f6';
+// Ajuste de T² frente a la variable y constante obtenida de la pendiente: k (o g) = 4π²/b
+function updateLabFit() {
+    const mode = getLabMode();
+    const { symbol, unit, constant, constantUnit } = LAB_EXPERIMENTS[mode];
+    const points = lab.rows[mode]
+        .map(row => ({ x: row.value, y: Math.pow(row.time / row.oscillations, 2) }))
+        .filter(point => isFinite(point.y) && point.y > 0);
+    const fit = fitLine(points);
+    const fitText = document.getElementById('lab-fit');
+    const resultText = document.getElementById('lab-result');
     
-    ctx.strokeStyle = color;
-    ctx.fillStyle = color;
-    ctx.lineWidth = 2;
+    labChart.data.datasets[0].data = points;
+    labChart.data.datasets[1].data = [];
+    labChart.options.scales.x.title.text = `${symbol} (${unit})`;
+    fitText.textContent = '';
+    resultText.textContent = '';
     
-    // Línea de desplazamiento
-    ctx.beginPath();
-    ctx.moveTo(x, y0);
-    ctx.lineTo(x, yMass);
-    ctx.stroke();
+    if (!fit) {
+        if (points.length > 0) {
+            fitText.textContent = t('Se necesitan al menos dos valores distintos de {symbol} para ajustar una recta', { symbol });
+        }
+        labChart.update('none');
+        return;
+    }
     
-    // Flecha
-    ctx.beginPath();
-    ctx.moveTo(x, yMass);
-    ctx.lineTo(x - 6, yMass - direction * 10);
-    ctx.lineTo(x + 6, yMass - direction * 10);
-    ctx.closePath();
-    ctx.fill();
+    const xMax = points.reduce((max, p) => Math.max(max, p.x), 0) * 1.1;
+    labChart.data.datasets[1].data = [{ x: 0, y: fit.intercept }, { x: xMax, y: fit.intercept + fit.slope * xMax }];
+    labChart.update('none');
     
-    // Etiqueta
-    ctx.font = '11px JetBrains Mono';
-    ctx.textAlign = 'left';
-    const label = displacement > 0 ? '+x' : '-x';
-    ctx.fillText(label, x + 8, (y0 + yMass) / 2);
+    const withError = (value, error, decimals) => isFinite(error)
+        ? `(${formatNumber(value, decimals)} ± ${formatNumber(error, decimals)})`
+        : formatNumber(value, decimals);
+    fitText.textContent = `T² = ${withError(fit.slope, fit.slopeError, 4)} s²/${unit} · ${symbol} + ${withError(fit.intercept, fit.interceptError, 4)} s² · R² = ${formatNumber(fit.r2, 4)}`;
+    
+    if (fit.slope <= 0) {
+        resultText.textContent = t('La pendiente debe ser positiva para obtener un resultado');
+        return;
+    }
+    const value = 4 * Math.PI * Math.PI / fit.slope;
+    const error = value * fit.slopeError / fit.slope;
+    const reference = mode === 'spring' ? calculateEffectiveSpringConstant() : params.gravity;
+    resultText.textContent = t('{constant} = 4π²/pendiente = {value} {unit} · valor de la simulación: {reference} {unit}', {
+        constant, value: withError(value, error, 2), reference: formatNumber(reference, 2), unit: constantUnit
+    }) + (points.length < 3 ? t(' · con tres mediciones o más se estima la incertidumbre') : '');
 }
 
-function drawScale(ctx, x, centerY) {
-    ctx.strokeStyle = '#4a5568';
-    ctx.lineWidth = 1;
-    
-    // Línea vertical
-    ctx.beginPath();
-    ctx.moveTo(x, centerY - 80);
-    ctx.lineTo(x, centerY + 80);
-    ctx.stroke();
+// =====================
+// Zoom y desplazamiento de los gráficos
+// =====================
+
+// Gráficos con eje de tiempo: rueda para acercar, arrastre para desplazar
+function getZoomableCharts() {
+    return [
+        { chart: positionChart, type: 'position' },
+        { chart: velocityChart, type: 'velocity' },
+        { chart: accelerationChart, type: 'acceleration' },
+        { chart: energyChart, type: 'energy' }
+    ];
+}
+
+function setupChartZoomListeners() {
+    getZoomableCharts().forEach(({ chart, type }) => {
+        const canvas = chart.canvas;
+        canvas.classList.add('zoomable');
+        canvas.addEventListener('wheel', (e) => handleChartWheel(e, chart, type), { passive: false });
+        canvas.addEventListener('pointerdown', (e) => {
+            // Un segundo dedo no reemplaza al arrastre en curso
+            if (chartView.pan || measurement.dragIndex !== null) return;
+            if (e.pointerType === 'mouse' && e.button !== 0) return;
+            canvas.setPointerCapture(e.pointerId);
+            // Con los cursores activos, el clic en x, v o a coloca o toma un cursor
+            if (measurement.enabled && type !== 'energy') {
+                handleCursorPointerDown(e, chart, type);
+                return;
+            }
+            chartView.pan = { chart, pointerId: e.pointerId, startX: getChartPointerX(e, chart), range: { ...getChartTimeWindow() } };
+            canvas.classList.add('panning');
+        });
+        canvas.addEventListener('pointermove', handleChartPan);
+        canvas.addEventListener('pointermove', handleCursorDrag);
+        canvas.addEventListener('pointerup', endChartDrag);
+        canvas.addEventListener('pointercancel', endChartDrag);
+    });
+}
+
+function endChartDrag(e) {
+    if (e.pointerId === measurement.pointerId) {
+        measurement.dragIndex = null;
+        measurement.pointerId = null;
+    }
+    if (!chartView.pan || e.pointerId !== chartView.pan.pointerId) return;
+    chartView.pan.chart.canvas.classList.remove('panning');
+    chartView.pan = null;
+}
+
+// Posición horizontal del puntero en los píxeles con los que trabajan las escalas de Chart.js
+function getChartPointerX(e, chart) {
+    return getCanvasPoint(e, chart.canvas, chart.width, chart.height).x;
+}
+
+// Rueda: acerca o aleja el eje de tiempo (compartido por todos los gráficos) alrededor del
+// cursor; con Shift, el eje vertical de ese gráfico
+function handleChartWheel(e, chart, type) {
+    e.preventDefault();
+    const factor = e.deltaY > 0 ? 1.25 : 1 / 1.25;
     
-    // Marcas
-    for (let i = -4; i <= 4; i++) {
-        const y = centerY + i * 20;
-        const markLength = i === 0 ? 10 : 5;
-        ctx.beginPath();
-        ctx.moveTo(x - markLength, y);
-        ctx.lineTo(x, y);
-        ctx.stroke();
+    if (e.shiftKey) {
+        chartView.yZoom[type] = Math.max(0.2, Math.min(50, chartView.yZoom[type] / factor));
+    } else {
+        const { minTime, maxTime } = getChartTimeWindow();
+        const center = chart.scales.x.getValueForPixel(getChartPointerX(e, chart));
+        const width = Math.max(0.05, Math.min(GRAPH_HISTORY, (maxTime - minTime) * factor));
+        const ratio = (center - minTime) / (maxTime - minTime);
+        setChartRange(center - ratio * width, width);
     }
+    updateResetZoomButton();
+    drawAllGraphs();
+}
+
+// Arrastre: desplaza el rango de tiempo tanto como se movió el puntero sobre el área del gráfico
+function handleChartPan(e) {
+    if (!chartView.pan || e.pointerId !== chartView.pan.pointerId) return;
+    const { chart, startX, range } = chartView.pan;
+    const width = range.maxTime - range.minTime;
+    const offsetX = getChartPointerX(e, chart);
+    const deltaTime = (startX - offsetX) * width / chart.chartArea.width;
+    if (deltaTime === 0) return;
+    setChartRange(range.minTime + deltaTime, width);
+    updateResetZoomButton();
+    drawAllGraphs();
+}
+
+// Fijar el rango visible sin salir de t ≥ 0
+function setChartRange(minTime, width) {
+    const start = Math.max(0, minTime);
+    chartView.range = { minTime: start, maxTime: start + width };
+}
+
+function resetChartZoom() {
+    chartView.range = null;
+    Object.keys(chartView.yZoom).forEach(type => {
+        chartView.yZoom[type] = 1;
+    });
+    updateResetZoomButton();
+    drawAllGraphs();
+}
+
+// Al reiniciar la simulación los gráficos vuelven a seguirla desde t = 0
+function resetChartView() {
+    chartView.range = null;
+    chartView.frozen = false;
+    chartView.frozenRange = null;
+    Object.keys(chartView.yZoom).forEach(type => {
+        chartView.yZoom[type] = 1;
+    });
+    document.getElementById('freeze-charts').checked = false;
+    updateResetZoomButton();
+}
+
+function updateResetZoomButton() {
+    const isZoomed = chartView.range !== null || Object.values(chartView.yZoom).some(zoom => zoom !== 1);
+    document.getElementById('reset-zoom-btn').disabled = !isZoomed;
+}
+
+// Nueva longitud de la ventana; si los gráficos están congelados, la ventana congelada
+// conserva su final
+function setChartTimeWindow(seconds) {
+    graphData.timeWindow = seconds;
+    if (chartView.frozenRange) {
+        const { maxTime } = chartView.frozenRange;
+        chartView.frozenRange = { minTime: Math.max(0, maxTime - seconds), maxTime: Math.max(maxTime, seconds) };
+    }
+    drawAllGraphs();
 }
 
 // =====================
-// Dibujo del péndulo
+// Tablas de datos de los gráficos
 // =====================
-function drawPendulum(angle) {
-    const ctx = springCtx;
-    const width = springCanvas.width;
-    const height = springCanvas.height;
-    
-    // Limpiar canvas
-    ctx.clearRect(0, 0, width, height);
+
+// Alternativa accesible de cada gráfico: una tabla con sus series que se arma al abrirla o
+// con Actualizar, para no reescribirla en cada cuadro
+function setupChartTables() {
+    const charts = {
+        position: positionChart,
+        velocity: velocityChart,
+        acceleration: accelerationChart,
+        energy: energyChart,
+        'phase-space': phaseSpaceChart,
+        resonance: resonanceChart,
+        lab: labChart,
+        sweep: sweepChart
+    };
+    document.querySelectorAll('.chart-table').forEach(details => {
+        const chart = charts[details.dataset.chart];
+        const table = details.querySelector('table');
+        details.addEventListener('toggle', () => {
+            if (details.open) renderChartTable(chart, table);
+        });
+        details.querySelector('.chart-table-refresh').addEventListener('click', () => renderChartTable(chart, table));
+    });
+}
+
+// Un grupo de filas por serie visible, con CHART_TABLE_ROWS puntos como máximo repartidos
+// a lo largo de la serie (siempre incluye el último). Los gráficos sin título se describen
+// con los títulos de sus ejes
+function renderChartTable(chart, table) {
+    const { scales, plugins } = chart.options;
+    const axisTitle = (dataset) => scales[dataset.yAxisID || 'y'].title.text;
+    const series = chart.data.datasets
+        .map((dataset, index) => ({
+            dataset,
+            index,
+            points: dataset.data.filter(point => point && isFinite(point.x) && isFinite(point.y))
+        }))
+        .filter(({ index, points }) => points.length > 0 && chart.isDatasetVisible(index));
+    const format = (value) => String(Number(value.toPrecision(4))).replace('.', decimalSeparator);
+    const cell = (tag, text, scope) => {
+        const element = document.createElement(tag);
+        element.textContent = text;
+        if (scope) element.scope = scope;
+        return element;
+    };
+    table.innerHTML = '';
     
-    // Fondo con gradiente
-    const gradient = ctx.createLinearGradient(0, 0, 0, height);
-    gradient.addColorStop(0, '#0d1321');
-    gradient.addColorStop(1, '#151f2e');
-    ctx.fillStyle = gradient;
-    ctx.fillRect(0, 0, width, height);
+    const described = series.length > 0 ? series.map(({ dataset }) => dataset) : chart.data.datasets;
+    const caption = document.createElement('caption');
+    caption.textContent = plugins.title && plugins.title.display
+        ? plugins.title.text
+        : `${[...new Set(described.map(axisTitle))].join(', ')} / ${scales.x.title.text}`;
+    table.appendChild(caption);
     
-    // Configuración del péndulo
-    const pivotX = width / 2;
-    const pivotY = 50;
-    const ropeLength = 80 + (params.pendulumLength - 0.5) * 64;
-    const masaRadius = 20;
+    const head = document.createElement('thead');
+    const headRow = document.createElement('tr');
+    headRow.appendChild(cell('th', scales.x.title.text, 'col'));
+    headRow.appendChild(cell('th', t('Valor'), 'col'));
+    head.appendChild(headRow);
+    table.appendChild(head);
     
-    // Calcular posición de la masa
-    const masaX = pivotX + ropeLength * Math.sin(angle);
-    const masaY = pivotY + ropeLength * Math.cos(angle);
+    series.forEach(({ dataset, points }) => {
+        const step = Math.ceil(points.length / CHART_TABLE_ROWS);
+        const body = document.createElement('tbody');
+        
+        const groupRow = document.createElement('tr');
+        const name = dataset.label === axisTitle(dataset) ? dataset.label : `${dataset.label} — ${axisTitle(dataset)}`;
+        const group = cell('th', name, 'rowgroup');
+        group.colSpan = 2;
+        groupRow.appendChild(group);
+        body.appendChild(groupRow);
+        
+        points.filter((point, i) => i % step === 0 || i === points.length - 1).forEach(point => {
+            const row = document.createElement('tr');
+            row.appendChild(cell('th', format(point.x), 'row'));
+            row.appendChild(cell('td', format(point.y)));
+            body.appendChild(row);
+        });
+        table.appendChild(body);
+    });
     
-    // Dibujar soporte superior
-    ctx.fillStyle = '#4a5568';
-    ctx.fillRect(pivotX - 40, 0, 80, 15);
+    if (series.length === 0) {
+        const body = document.createElement('tbody');
+        const row = document.createElement('tr');
+        const empty = cell('td', t('Sin datos todavía'));
+        empty.colSpan = 2;
+        row.appendChild(empty);
+        body.appendChild(row);
+        table.appendChild(body);
+    }
+}
+
+// =====================
+// Cursores de medición
+// =====================
+
+// Dibuja los cursores A y B como líneas verticales punteadas sobre el área del gráfico
+const measurementCursorPlugin = {
+    id: 'measurementCursors',
+    afterDatasetsDraw(chart) {
+        if (measurement.cursors.length === 0) return;
+        const { ctx, chartArea, scales } = chart;
+        ctx.save();
+        ctx.strokeStyle = colors.cursor;
+        ctx.fillStyle = colors.cursor;
+        ctx.lineWidth = 1;
+        ctx.setLineDash([4, 3]);
+        ctx.font = '10px JetBrains Mono';
+        measurement.cursors.forEach((time, i) => {
+            const x = scales.x.getPixelForValue(time);
+            if (x < chartArea.left || x > chartArea.right) return;
+            ctx.beginPath();
+            ctx.moveTo(x, chartArea.top);
+            ctx.lineTo(x, chartArea.bottom);
+            ctx.stroke();
+            ctx.fillText(i === 0 ? 'A' : 'B', x + 3, chartArea.top + 10);
+        });
+        ctx.restore();
+    }
+};
+
+// Clic: con menos de dos cursores se agrega uno; si no, se toma el más cercano para arrastrarlo
+function handleCursorPointerDown(e, chart, type) {
+    const offsetX = getChartPointerX(e, chart);
+    const time = Math.max(0, chart.scales.x.getValueForPixel(offsetX));
+    measurement.type = type;
+    if (measurement.cursors.length < 2) {
+        measurement.cursors.push(time);
+        measurement.dragIndex = measurement.cursors.length - 1;
+    } else {
+        const distances = measurement.cursors.map(cursor => Math.abs(chart.scales.x.getPixelForValue(cursor) - offsetX));
+        measurement.dragIndex = distances[0] <= distances[1] ? 0 : 1;
+        measurement.cursors[measurement.dragIndex] = time;
+    }
+    measurement.dragChart = chart;
+    measurement.pointerId = e.pointerId;
+    document.getElementById('period-result').textContent = '';
+    updateCursorReadout();
+    drawAllGraphs();
+}
+
+function handleCursorDrag(e) {
+    if (measurement.dragIndex === null || e.pointerId !== measurement.pointerId) return;
+    const chart = measurement.dragChart;
+    const offsetX = getChartPointerX(e, chart);
+    measurement.cursors[measurement.dragIndex] = Math.max(0, chart.scales.x.getValueForPixel(offsetX));
+    updateCursorReadout();
+    drawAllGraphs();
+}
+
+function clearCursors() {
+    measurement.cursors = [];
+    measurement.dragIndex = null;
+    measurement.pointerId = null;
+    document.getElementById('period-result').textContent = '';
+    updateCursorReadout();
+}
+
+// Valor exacto de la magnitud graficada en el instante t (en las unidades del gráfico)
+function getCursorValue(type, t) {
+    const order = { position: 0, velocity: 1, acceleration: 2 }[type];
+    const value = evaluateMotion(order, t);
+    if (type !== 'position') return value;
+    // Posición del péndulo en grados; resorte vertical medido desde la referencia elegida
+    return (simulationMode === 'pendulum' ? value * 180 / Math.PI : value) + getPositionGraphOffset();
+}
+
+function updateCursorReadout() {
+    const chart = { position: positionChart, velocity: velocityChart, acceleration: accelerationChart }[measurement.type];
+    const [timeA, timeB] = measurement.cursors;
+    const describe = (time) => time === undefined
+        ? '—'
+        : `t = ${formatNumber(time, 3)} s, y = ${formatNumber(getCursorValue(measurement.type, time), 4)}`;
     
-    // Dibujar punto de pivote
-    ctx.fillStyle = '#2d3748';
-    ctx.beginPath();
-    ctx.arc(pivotX, pivotY, 8, 0, Math.PI * 2);
-    ctx.fill();
-    ctx.strokeStyle = '#3b82f6';
-    ctx.lineWidth = 2;
-    ctx.stroke();
+    document.getElementById('cursor-chart').textContent = chart.options.scales.y.title.text;
+    document.getElementById('cursor-a').textContent = describe(timeA);
+    document.getElementById('cursor-b').textContent = describe(timeB);
+    document.getElementById('cursor-delta').textContent = measurement.cursors.length < 2
+        ? '—'
+        : `Δt = ${formatNumber(timeB - timeA, 3)} s, Δy = ${formatNumber(getCursorValue(measurement.type, timeB) - getCursorValue(measurement.type, timeA), 4)}`;
+    document.getElementById('clear-cursors-btn').disabled = measurement.cursors.length === 0;
+}
+
+// Colocar A y B en los dos últimos máximos visibles del gráfico elegido (los mismos puntos
+// clave que se marcan en él) y comparar el período medido con el teórico
+function measurePeriod() {
+    const result = document.getElementById('period-result');
+    const { minTime, maxTime } = getChartTimeWindow();
+    const { maximos } = calculateKeyPoints(minTime, maxTime, measurement.type);
+    if (maximos.length < 2) {
+        result.textContent = t('Se necesitan al menos dos máximos visibles en el gráfico');
+        return;
+    }
     
-    // Dibujar línea vertical de referencia (equilibrio)
-    ctx.setLineDash([5, 5]);
-    ctx.strokeStyle = '#4a5568';
-    ctx.lineWidth = 1;
-    ctx.beginPath();
-    ctx.moveTo(pivotX, pivotY);
-    ctx.lineTo(pivotX, pivotY + ropeLength + masaRadius + 20);
-    ctx.stroke();
-    ctx.setLineDash([]);
+    measurement.cursors = [maximos[maximos.length - 2].x, maximos[maximos.length - 1].x];
+    updateCursorReadout();
+    drawAllGraphs();
     
-    // Dibujar la cuerda
-    ctx.strokeStyle = '#3b82f6';
-    ctx.lineWidth = 3;
-    ctx.lineCap = 'round';
-    ctx.beginPath();
-    ctx.moveTo(pivotX, pivotY);
-    ctx.lineTo(masaX, masaY);
-    ctx.stroke();
+    const measured = measurement.cursors[1] - measurement.cursors[0];
+    let text = t('T medido = {value} s', { value: formatNumber(measured, 3) });
+    const theoretical = simulationMode === 'spring' || simulationMode === 'pendulum' ? calculatePeriod() : Infinity;
+    if (isFinite(theoretical)) {
+        const difference = (measured - theoretical) / theoretical * 100;
+        text += t(' · T teórico = {value} s ({difference} %)', {
+            value: formatNumber(theoretical, 3),
+            difference: `${difference >= 0 ? '+' : ''}${formatNumber(difference, 2)}`
+        });
+    } else {
+        text += t(' · sin período teórico único en este modo');
+    }
+    // Con fuerza externa, el régimen estacionario oscila con el período de la fuerza
+    if (simulationMode === 'spring' && params.drivingForce > 0) {
+        text += t(' · T de la fuerza = {value} s', { value: formatNumber(2 * Math.PI / params.drivingFrequency, 3) });
+    }
+    result.textContent = text;
+}
+
+function resetCharts() {
+    // Usar rangos basados en amplitud máxima y omega actual
+    const { maxPosition, maxVelocity, maxAcceleration } = getGraphRanges();
     
-    // Efecto de brillo en la cuerda
-    ctx.strokeStyle = 'rgba(59, 130, 246, 0.3)';
-    ctx.lineWidth = 6;
-    ctx.stroke();
+    const resetSingleChart = (chart, maxY, center = 0) => {
+        if (chart) {
+            // Limpiar todos los datasets
+            chart.data.datasets.forEach(dataset => {
+                dataset.data = [];
+            });
+            chart.options.scales.x.min = 0;
+            chart.options.scales.x.max = graphData.timeWindow;
+            chart.options.scales.y.min = center - maxY;
+            chart.options.scales.y.max = center + maxY;
+            chart.update('none');
+        }
+    };
     
-    // Dibujar la masa del péndulo
-    // Sombra
-    ctx.fillStyle = 'rgba(0, 0, 0, 0.3)';
-    ctx.beginPath();
-    ctx.arc(masaX + 3, masaY + 3, masaRadius, 0, Math.PI * 2);
-    ctx.fill();
+    resetSingleChart(positionChart, maxPosition, getPositionGraphOffset());
+    resetSingleChart(velocityChart, maxVelocity);
+    resetSingleChart(accelerationChart, maxAcceleration);
+    updatePhaseSpaceChart();
     
-    // Masa principal
-    const masaGradient = ctx.createRadialGradient(masaX - 6, masaY - 6, 0, masaX, masaY, masaRadius);
-    masaGradient.addColorStop(0, '#5a6a8a');
-    masaGradient.addColorStop(0.7, '#3d4a66');
-    masaGradient.addColorStop(1, '#2d3748');
+    if (energyChart) {
+        energyChart.data.datasets.forEach(dataset => {
+            dataset.data = [];
+        });
+        energyChart.options.scales.x.min = 0;
+        energyChart.options.scales.x.max = graphData.timeWindow;
+        energyChart.options.scales.y.min = 0;
+        energyChart.options.scales.y.max = calculateInitialEnergy() * 1.1 || 1;
+        energyChart.update('none');
+    }
+}
+
+// =====================
+// Enlace compartible
+// =====================
+
+// Los booleanos se escriben en la URL como 0 y 1
+function encodeUrlValue(value) {
+    return typeof value === 'boolean' ? Number(value) : value;
+}
+
+// Leer el modo y los parámetros de la URL (?mode=pendulum&L=2&theta=8&g=1.62&phi=0.5)
+function readStateFromUrl() {
+    const { mode, values, problems } = parseStateQuery(new URLSearchParams(window.location.search));
+    Object.assign(params, values);
+    showStateNotice(t('del enlace'), problems);
+    return mode;
+}
+
+// Validar un estado escrito con las claves de la URL usando los rangos de los controles.
+// Devuelve el modo, una copia de params con los valores válidos y la lista de valores ignorados.
+function parseStateQuery(query) {
+    const values = { ...params };
+    const problems = [];
     
-    ctx.fillStyle = masaGradient;
-    ctx.beginPath();
-    ctx.arc(masaX, masaY, masaRadius, 0, Math.PI * 2);
-    ctx.fill();
+    let mode = 'spring';
+    if (query.has('mode')) {
+        if (SIMULATION_MODES.includes(query.get('mode'))) {
+            mode = query.get('mode');
+        } else {
+            problems.push(t('{key}={value} (valores posibles: {options})', { key: 'mode', value: query.get('mode'), options: SIMULATION_MODES.join(', ') }));
+        }
+    }
     
-    // Borde
-    ctx.strokeStyle = '#3b82f6';
-    ctx.lineWidth = 2;
-    ctx.stroke();
+    // Primero las opciones: el rango del ángulo depende del modelo no lineal
+    PARAMETER_CHOICES.forEach(({ param, key, values: options }) => {
+        if (!query.has(key)) return;
+        const raw = query.get(key);
+        const value = options.find(option => String(encodeUrlValue(option)) === raw);
+        if (value === undefined) {
+            problems.push(t('{key}={value} (valores posibles: {options})', { key, value: raw, options: options.map(encodeUrlValue).join(', ') }));
+        } else {
+            values[param] = value;
+        }
+    });
     
-    // Etiqueta de masa
-    ctx.font = 'bold 12px JetBrains Mono';
-    ctx.fillStyle = '#e8eaed';
-    ctx.textAlign = 'center';
-    ctx.textBaseline = 'middle';
-    ctx.fillText('m', masaX, masaY);
+    PARAMETER_CONTROLS.forEach(({ param, key, min, max }) => {
+        if (!query.has(key)) return;
+        const raw = query.get(key);
+        // Number y no parseFloat: "2abc" no es un número válido
+        const value = raw.trim() !== '' ? Number(raw) : NaN;
+        const upper = typeof max === 'function' ? max(values) : max;
+        if (!Number.isFinite(value) || value < min || value > upper) {
+            problems.push(t('{key}={value} (debe estar entre {min} y {max})', { key, value: raw, min, max: upper }));
+        } else {
+            values[param] = value;
+        }
+    });
     
-    // Actualizar posición de la masa para detección de arrastre
-    dragState.massPosition.x = masaX;
-    dragState.massPosition.y = masaY;
-    dragState.massRadius = masaRadius;
+    // seed es la semilla de la práctica (la lee initializePractice)
+    const knownKeys = ['mode', 'seed', ...PARAMETER_CHOICES.map(({ key }) => key), ...PARAMETER_CONTROLS.map(({ key }) => key)];
+    [...query.keys()].filter(key => !knownKeys.includes(key)).forEach(key => {
+        problems.push(t('{key} (parámetro desconocido)', { key }));
+    });
     
-    // Indicador de arrastre
-    if (dragState.isDragging) {
-        ctx.strokeStyle = '#ffd93d';
-        ctx.lineWidth = 3;
-        ctx.setLineDash([5, 5]);
-        ctx.beginPath();
-        ctx.arc(masaX, masaY, masaRadius + 8, 0, Math.PI * 2);
-        ctx.stroke();
-        ctx.setLineDash([]);
+    return { mode, values, problems };
+}
+
+// Aviso con los valores ignorados al cargar un enlace o un preset (se oculta si no hay)
+function showStateNotice(source, problems) {
+    const notice = document.getElementById('state-notice');
+    notice.textContent = t('⚠️ Se ignoraron valores {source}: {problems}', { source, problems: problems.join('; ') });
+    notice.classList.toggle('show', problems.length > 0);
+}
+
+// Parámetros que intervienen en un modo, con sus valores actuales
+function getModeParameterValues(mode) {
+    const values = {};
+    MODE_PARAMETERS[mode].forEach(param => {
+        values[param] = params[param];
+    });
+    return values;
+}
+
+// Estado { modo, parámetros } escrito con las claves de la URL. Los parámetros sin
+// clave conocida se escriben con su nombre y parseStateQuery los informa como desconocidos
+function stateToQuery(mode, values) {
+    const query = new URLSearchParams({ mode });
+    Object.entries(values).forEach(([param, value]) => {
+        const control = PARAMETER_CONTROLS.find(entry => entry.param === param);
+        const choice = PARAMETER_CHOICES.find(entry => entry.param === param);
+        if (control && typeof value === 'number') {
+            query.set(control.key, Number(value.toPrecision(6)));
+        } else {
+            query.set((control || choice || { key: param }).key, encodeUrlValue(value));
+        }
+    });
+    return query;
+}
+
+// URL con el modo actual y sus parámetros
+function buildShareUrl() {
+    const query = stateToQuery(simulationMode, getModeParameterValues(simulationMode));
+    return `${window.location.origin}${window.location.pathname}?${query}`;
+}
+
+// Escribir el estado actual en la barra de direcciones y copiarlo al portapapeles
+function copyShareLink() {
+    const url = buildShareUrl();
+    history.replaceState(null, '', url);
+    
+    const button = document.getElementById('copy-link-btn');
+    const showFeedback = (text) => {
+        button.textContent = text;
+        setTimeout(() => {
+            button.textContent = t('🔗 Copiar enlace');
+        }, 2000);
+    };
+    if (!navigator.clipboard) {
+        showFeedback(t('Copia el enlace de la barra de direcciones'));
+        return;
+    }
+    navigator.clipboard.writeText(url).then(
+        () => showFeedback(t('✓ Enlace copiado')),
+        () => showFeedback(t('Copia el enlace de la barra de direcciones'))
+    );
+}
+
+// =====================
+// Presets
+// =====================
+
+// Presets guardados en localStorage (lista vacía si no hay o están dañados)
+function loadPresets() {
+    try {
+        const presets = JSON.parse(localStorage.getItem(PRESETS_STORAGE_KEY));
+        return Array.isArray(presets) ? presets.filter(isValidPreset) : [];
+    } catch (error) {
+        console.warn(t('No se pudieron leer los presets guardados:'), error);
+        return [];
+    }
+}
+
+function storePresets(presets) {
+    try {
+        localStorage.setItem(PRESETS_STORAGE_KEY, JSON.stringify(presets));
+        showPresetError(null);
+    } catch (error) {
+        showPresetError(t('No se pudieron guardar los presets en el navegador'));
+    }
+    renderPresetList();
+}
+
+// Estructura mínima de un preset; los valores se validan al cargarlo
+function isValidPreset(preset) {
+    return preset !== null && typeof preset === 'object' &&
+        typeof preset.name === 'string' && preset.name.trim() !== '' &&
+        SIMULATION_MODES.includes(preset.mode) &&
+        preset.params !== null && typeof preset.params === 'object';
+}
+
+function showPresetError(message) {
+    const error = document.getElementById('preset-error');
+    error.textContent = message || '';
+    error.classList.toggle('show', Boolean(message));
+}
+
+// Agregar los presets a la lista; los que tienen el mismo nombre se reemplazan
+function mergePresets(presets, additions) {
+    const merged = presets.slice();
+    additions.forEach(preset => {
+        const index = merged.findIndex(existing => existing.name === preset.name);
+        if (index === -1) {
+            merged.push(preset);
+        } else {
+            merged[index] = preset;
+        }
+    });
+    return merged;
+}
+
+// Guardar el modo actual y sus parámetros con un nombre
+function savePreset(name) {
+    const trimmed = name.trim();
+    if (trimmed === '') {
+        showPresetError(t('Escribe un nombre para el preset'));
+        return;
     }
+    const preset = { name: trimmed, mode: simulationMode, params: getModeParameterValues(simulationMode) };
+    storePresets(mergePresets(loadPresets(), [preset]));
+    document.getElementById('preset-name').value = '';
+}
+
+// Cargar un preset con la misma validación que los enlaces; switchMode actualiza controles, unidades y gráficos
+function applyPreset(preset) {
+    const { mode, values, problems } = parseStateQuery(stateToQuery(preset.mode, preset.params));
+    Object.assign(params, values);
+    initializeInputValues();
+    updatePendulumWarning();
+    switchMode(mode);
+    showStateNotice(t('del preset "{name}"', { name: preset.name }), problems);
+}
+
+function renamePreset(index) {
+    const presets = loadPresets();
+    const name = prompt(t('Nuevo nombre del preset:'), presets[index].name);
+    if (name === null || name.trim() === '' || name.trim() === presets[index].name) return;
     
-    // Dibujar arco del ángulo
-    if (Math.abs(angle) > 0.02) {
-        const arcRadius = 40;
-        const startAngle = Math.PI / 2;
-        const endAngle = Math.PI / 2 - angle;
+    // Si el nuevo nombre ya existe, el preset renombrado reemplaza al anterior
+    const renamed = { ...presets[index], name: name.trim() };
+    presets[index] = renamed;
+    storePresets(presets.filter((preset, i) => i === index || preset.name !== renamed.name));
+}
+
+function deletePreset(index) {
+    const presets = loadPresets();
+    if (!confirm(t('¿Eliminar el preset "{name}"?', { name: presets[index].name }))) return;
+    storePresets(presets.filter((_, i) => i !== index));
+}
+
+// Lista de presets con sus acciones. Los nombres se insertan como texto, nunca como HTML
+function renderPresetList() {
+    const presets = loadPresets();
+    const list = document.getElementById('preset-list');
+    list.innerHTML = '';
+    
+    presets.forEach((preset, index) => {
+        const item = document.createElement('li');
+        item.className = 'preset-item';
         
-        ctx.strokeStyle = angle > 0 ? '#ff6b6b' : '#3b82f6';
-        ctx.lineWidth = 2;
-        ctx.beginPath();
-        ctx.arc(pivotX, pivotY, arcRadius, Math.min(startAngle, endAngle), Math.max(startAngle, endAngle));
-        ctx.stroke();
+        const label = document.createElement('span');
+        label.className = 'preset-label';
+        label.textContent = preset.name;
+        const mode = document.createElement('span');
+        mode.className = 'preset-mode';
+        mode.textContent = t(MODE_NAMES[preset.mode]);
+        label.appendChild(mode);
+        item.appendChild(label);
         
-        // Etiqueta del ángulo
-        const labelAngle = (startAngle + endAngle) / 2;
-        const labelX = pivotX + (arcRadius + 15) * Math.cos(labelAngle);
-        const labelY = pivotY + (arcRadius + 15) * Math.sin(labelAngle);
-        ctx.font = '11px JetBrains Mono';
-        ctx.fillStyle = angle > 0 ? '#ff6b6b' : '#3b82f6';
-        ctx.fillText('θ', labelX, labelY);
-    }
+        [
+            { text: t('Cargar'), action: () => applyPreset(preset) },
+            { text: t('Renombrar'), action: () => renamePreset(index) },
+            { text: t('Eliminar'), action: () => deletePreset(index) }
+        ].forEach(({ text, action }) => {
+            const button = document.createElement('button');
+            button.className = 'btn btn-secondary';
+            button.textContent = text;
+            button.addEventListener('click', action);
+            item.appendChild(button);
+        });
+        list.appendChild(item);
+    });
     
-    // Etiqueta de longitud
-    const midX = (pivotX + masaX) / 2 - 15;
-    const midY = (pivotY + masaY) / 2;
-    ctx.font = '10px JetBrains Mono';
-    ctx.fillStyle = '#6b7280';
-    ctx.fillText('L', midX, midY);
+    document.getElementById('preset-empty').style.display = presets.length === 0 ? 'block' : 'none';
+    document.getElementById('export-presets-btn').disabled = presets.length === 0;
+}
+
+// Descargar todos los presets para repartirlos (p. ej. los escenarios de una clase)
+function exportPresets() {
+    const content = JSON.stringify({
+        simulador: 'Simulador de Movimiento Armónico Simple',
+        presets: loadPresets()
+    }, null, 2);
+    downloadFile(content, 'mas-presets.json', 'application/json');
+}
+
+// Importar presets desde un archivo exportado (o una lista de presets)
+function importPresets(file) {
+    file.text().then(text => {
+        const data = JSON.parse(text);
+        const entries = Array.isArray(data) ? data : data && data.presets;
+        if (!Array.isArray(entries)) {
+            throw new Error(t('El archivo no contiene una lista de presets'));
+        }
+        const valid = entries.filter(isValidPreset).map(({ name, mode, params: values }) => ({ name: name.trim(), mode, params: values }));
+        storePresets(mergePresets(loadPresets(), valid));
+        const skipped = entries.length - valid.length;
+        if (skipped > 0) {
+            showPresetError(t('Se importaron {valid} presets; se descartaron {skipped} con formato inválido', { valid: valid.length, skipped }));
+        }
+    }).catch(error => {
+        console.warn(t('No se pudieron importar los presets:'), error);
+        showPresetError(t('No se pudo importar el archivo: {message}', { message: error.message }));
+    });
 }
 
 // =====================
-// Dibujo de gráficos con Chart.js
+// Registro y exportación de datos
 // =====================
-// Constantes para rangos fijos del eje Y
-const MAX_AMPLITUDE_SPRING = 0.50;  // Amplitud máxima del resorte (metros)
-const MAX_AMPLITUDE_PENDULUM = 15 * Math.PI / 180;  // Ángulo máximo del péndulo (radianes)
 
-function drawAllGraphs() {
-    const omega = calculateOmega();
+// Vaciar el registro; la próxima muestra es la de t = 0
+function clearRecording() {
+    recording.nextTime = 0;
+    recording.columns = [];
+    recording.parameters = null;
+    recording.samples = [];
+    updateRecordingStatus();
+}
+
+// Magnitudes registradas en el instante t: tiempo, posición, velocidad, aceleración y energías
+function measureRecordingSample(t) {
+    const column = (name, unit, value) => ({ name, unit, value });
+    const time = column('t', 's', t);
     
-    // Seleccionar amplitud máxima según el modo
-    const maxAmp = simulationMode === 'spring' ? MAX_AMPLITUDE_SPRING : MAX_AMPLITUDE_PENDULUM;
+    if (simulationMode === 'coupled') {
+        const state = calculateCoupledState(t);
+        const energies = calculateCoupledEnergies(state);
+        return [
+            time,
+            column('x1', 'm', state.position[0]),
+            column('x2', 'm', state.position[1]),
+            column('v1', 'm/s', state.velocity[0]),
+            column('v2', 'm/s', state.velocity[1]),
+            column('a1', 'm/s²', state.acceleration[0]),
+            column('a2', 'm/s²', state.acceleration[1]),
+            column('Ec', 'J', energies.kinetic),
+            column('Ep', 'J', energies.potential),
+            column('E', 'J', energies.total)
+        ];
+    }
     
-    // Rangos del eje Y
-    // Para péndulo, posición en grados; velocidad y aceleración en rad/s y rad/s²
-    let maxPosition;
-    if (simulationMode === 'pendulum') {
-        maxPosition = (maxAmp * 180 / Math.PI) * 1.1; // Convertir a grados
-    } else {
-        maxPosition = maxAmp * 1.1;
+    if (simulationMode === 'superposition') {
+        // Sin masa asociada no hay energía
+        const component = (index, order) => evaluateComponent(index, order, t);
+        if (isLissajous()) {
+            return [
+                time,
+                column('x', 'm', component(1, 0)),
+                column('y', 'm', component(2, 0)),
+                column('vx', 'm/s', component(1, 1)),
+                column('vy', 'm/s', component(2, 1)),
+                column('ax', 'm/s²', component(1, 2)),
+                column('ay', 'm/s²', component(2, 2))
+            ];
+        }
+        return [
+            time,
+            column('x', 'm', calculatePosition(t)),
+            column('x1', 'm', component(1, 0)),
+            column('x2', 'm', component(2, 0)),
+            column('v', 'm/s', calculateVelocity(t)),
+            column('a', 'm/s²', calculateAcceleration(t))
+        ];
     }
-    const maxVelocity = maxAmp * omega * 1.1;
-    const maxAcceleration = maxAmp * omega * omega * 1.1;
     
-    // Actualizar datos de cada gráfico
-    updateChart(positionChart, graphData.position, maxPosition, 'position');
-    updateChart(velocityChart, graphData.velocity, maxVelocity, 'velocity');
-    updateChart(accelerationChart, graphData.acceleration, maxAcceleration, 'acceleration');
+    // Resorte (x, v, a) o péndulo (θ, θ', θ'' en radianes)
+    const isPendulum = simulationMode === 'pendulum';
+    const position = calculatePosition(t);
+    const velocity = calculateVelocity(t);
+    const energies = calculateEnergies(position, velocity);
+    const sample = [
+        time,
+        column(isPendulum ? 'theta' : 'x', isPendulum ? 'rad' : 'm', position),
+        column(isPendulum ? 'omega' : 'v', isPendulum ? 'rad/s' : 'm/s', velocity),
+        column(isPendulum ? 'alpha' : 'a', isPendulum ? 'rad/s²' : 'm/s²', calculateAcceleration(t)),
+        column('Ec', 'J', energies.kinetic),
+        column('Ep', 'J', energies.potential),
+        column('E', 'J', energies.total)
+    ];
+    if (energies.elastic !== undefined) {
+        sample.push(column('Ee', 'J', energies.elastic), column('Eg', 'J', energies.gravitational));
+    }
+    return sample;
 }
 
-function updateChart(chart, data, maxYValue, type) {
-    // Copiar datos al gráfico
-    chart.data.datasets[0].data = data.map(point => ({
-        x: point.x,
-        y: point.y
-    }));
+// Registrar las muestras pendientes hasta el instante time (cada recording.interval segundos)
+function recordSamples(time) {
+    const isFull = () => recording.maxSamples > 0 && recording.samples.length >= recording.maxSamples;
     
-    // Calcular ventana de tiempo basada en el tiempo actual de simulación
-    const currentTime = simulation.time;
-    let minTime, maxTime;
+    while (recording.nextTime <= time && !isFull()) {
+        const sample = measureRecordingSample(recording.nextTime);
+        if (recording.samples.length === 0) {
+            // Columnas y parámetros con los que empieza el registro
+            recording.columns = sample.map(({ name, unit }) => ({ name, unit }));
+            recording.parameters = { ...params };
+        }
+        recording.samples.push(sample.map(({ value }) => value));
+        recording.nextTime += recording.interval;
+    }
+    updateRecordingStatus();
+}
+
+// Intervalo de muestreo con el separador decimal del idioma
+function updateRecordingIntervalInput() {
+    document.getElementById('recording-interval').value = formatControlValue(recording.interval, 3);
+    showError('recording-interval', 'recording-interval-error', false);
+}
+
+function updateRecordingStatus() {
+    const count = recording.samples.length;
+    document.getElementById('recording-count').textContent = count;
+    document.getElementById('recording-full').style.display =
+        recording.maxSamples > 0 && count >= recording.maxSamples ? 'inline' : 'none';
+    document.getElementById('export-btn').disabled = count === 0;
+    // Un único intervalo por registro: el encabezado de la exportación solo indica uno
+    document.getElementById('recording-interval').disabled = count > 0;
+}
+
+// Parámetros del modo actual con su unidad, tal como estaban al iniciar el registro
+function getExportParameters() {
+    const source = recording.parameters || params;
+    return MODE_PARAMETERS[simulationMode].map(key => ({
+        name: key,
+        value: source[key],
+        unit: PARAMETER_UNITS[key] || ''
+    }));
+}
+
+function buildCsvExport() {
+    const header = [
+        'Simulador de Movimiento Armónico Simple',
+        `Modo: ${MODE_NAMES[simulationMode]}`,
+        `Exportado: ${new Date().toISOString()}`,
+        `Intervalo de muestreo: ${recording.interval} s`,
+        `Muestras: ${recording.samples.length}`,
+        'Parámetros al iniciar el registro:',
+        ...getExportParameters().map(({ name, value, unit }) => `  ${name} = ${value}${unit ? ' ' + unit : ''}`)
+    ].map(line => `# ${line}`);
+    const columns = recording.columns.map(({ name, unit }) => `${name} (${unit})`).join(',');
+    const rows = recording.samples.map(values => values.map(value => value.toFixed(6)).join(','));
+    return [...header, columns, ...rows].join('\n') + '\n';
+}
+
+function buildJsonExport() {
+    const parameters = {};
+    getExportParameters().forEach(({ name, value, unit }) => {
+        parameters[name] = unit ? { valor: value, unidad: unit } : { valor: value };
+    });
+    return JSON.stringify({
+        simulador: 'Simulador de Movimiento Armónico Simple',
+        modo: simulationMode,
+        nombreModo: MODE_NAMES[simulationMode],
+        exportado: new Date().toISOString(),
+        intervaloMuestreo: { valor: recording.interval, unidad: 's' },
+        parametros: parameters,
+        columnas: recording.columns.map(({ name, unit }) => ({ nombre: name, unidad: unit })),
+        datos: recording.samples.map(values => {
+            const row = {};
+            recording.columns.forEach(({ name }, i) => {
+                row[name] = values[i];
+            });
+            return row;
+        })
+    }, null, 2);
+}
+
+// Descargar el registro completo como CSV o JSON
+function exportRecording(format) {
+    if (recording.samples.length === 0) return;
     
-    if (currentTime <= graphData.timeWindow) {
-        minTime = 0;
-        maxTime = graphData.timeWindow;
-    } else {
-        minTime = currentTime - graphData.timeWindow;
-        maxTime = currentTime;
+    const isJson = format === 'json';
+    const content = isJson ? buildJsonExport() : buildCsvExport();
+    const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+    downloadFile(content, `mas-${simulationMode}-${stamp}.${format}`, isJson ? 'application/json' : 'text/csv');
+}
+
+// content es texto o un Blob ya armado (video, GIF)
+function downloadFile(content, filename, mimeType) {
+    const blob = content instanceof Blob ? content : new Blob([content], { type: `${mimeType};charset=utf-8` });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Liberar la URL cuando el navegador ya tomó la descarga
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// =====================
+// Grabación de video y GIF
+// =====================
+
+// WebM requiere WebCodecs (VideoEncoder); si el navegador no lo tiene solo queda el GIF
+function updateVideoControls() {
+    const webmButton = document.getElementById('video-format-webm');
+    if (!('VideoEncoder' in window)) {
+        webmButton.disabled = true;
+        webmButton.title = t('Este navegador no permite codificar video; usa GIF');
+        videoRecording.format = 'gif';
     }
+    ['webm', 'gif'].forEach(format => {
+        document.getElementById(`video-format-${format}`).classList.toggle('active', format === videoRecording.format);
+    });
+}
+
+function setVideoStatus(text) {
+    document.getElementById('video-status').textContent = text;
+}
+
+function showVideoError(message) {
+    const error = document.getElementById('video-error');
+    error.textContent = message || '';
+    error.classList.toggle('show', Boolean(message));
+}
+
+// Grabar videoRecording.duration segundos: cada cuadro avanza la simulación exactamente
+// 1/VIDEO_FPS s, así el resultado no depende de la velocidad de la máquina
+async function recordVideo() {
+    pauseSimulation();
+    showVideoError(null);
     
-    chart.options.scales.x.min = minTime;
-    chart.options.scales.x.max = maxTime;
+    // Mismo criterio que al iniciar la simulación
+    const hasErrors = Object.values(validationState).some(isValid => !isValid);
+    if (hasErrors) {
+        showVideoError(t('Corrige los errores en los parámetros antes de grabar'));
+        return;
+    }
     
-    // Calcular y agregar puntos clave
-    const keyPoints = calculateKeyPoints(minTime, maxTime, type);
-    chart.data.datasets[1].data = keyPoints.maximos;
-    chart.data.datasets[2].data = keyPoints.minimos;
-    chart.data.datasets[3].data = keyPoints.ceros;
+    const { format, includeCharts } = videoRecording;
+    const frameCanvas = createVideoFrameCanvas(includeCharts);
+    const totalFrames = Math.round(videoRecording.duration * VIDEO_FPS);
+    const button = document.getElementById('video-record-btn');
     
-    // Configurar eje Y simétrico alrededor de 0
-    chart.options.scales.y.min = -maxYValue;
-    chart.options.scales.y.max = maxYValue;
+    videoRecording.isActive = true;
+    videoRecording.cancelled = false;
+    button.textContent = t('⏹ Cancelar');
+    lockControlPanel(true);
     
-    // Actualizar el gráfico sin animación
-    chart.update('none');
+    try {
+        const encoder = format === 'gif'
+            ? createGifEncoder(frameCanvas.width, frameCanvas.height)
+            : createWebmEncoder(frameCanvas.width, frameCanvas.height);
+        
+        for (let frame = 0; frame < totalFrames && !videoRecording.cancelled; frame++) {
+            stepSimulation(1 / VIDEO_FPS);
+            composeVideoFrame(frameCanvas, includeCharts);
+            await encoder.addFrame(frameCanvas, frame);
+            setVideoStatus(t('Grabando… {percent}%', { percent: Math.round((frame + 1) / totalFrames * 100) }));
+            // Ceder el hilo para que la página se actualice
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+        
+        if (videoRecording.cancelled) {
+            encoder.cancel();
+            setVideoStatus(t('Grabación cancelada'));
+        } else {
+            setVideoStatus(t('Codificando…'));
+            const blob = await encoder.finish();
+            const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+            downloadFile(blob, `mas-${simulationMode}-${stamp}.${format}`, blob.type);
+            setVideoStatus(t('Listo: {frames} cuadros, {size} kB', { frames: totalFrames, size: (blob.size / 1024).toFixed(0) }));
+        }
+    } catch (error) {
+        console.warn(t('No se pudo grabar:'), error);
+        showVideoError(t('No se pudo grabar: {message}', { message: error.message }));
+        setVideoStatus('');
+    } finally {
+        videoRecording.isActive = false;
+        button.textContent = t('⏺ Grabar');
+        lockControlPanel(false);
+    }
 }
 
-// Calcular puntos clave (máximos, mínimos, ceros) para un rango de tiempo
-function calculateKeyPoints(minTime, maxTime, type) {
-    const omega = calculateOmega();
-    const period = calculatePeriod();
-    const maximos = [];
-    const minimos = [];
-    const ceros = [];
-    
-    // Para posición x(t) = A·cos(ωt + φ):
-    // - Máximos: ωt + φ = 2πn → t = (2πn - φ)/ω
-    // - Mínimos: ωt + φ = π + 2πn → t = ((2n+1)π - φ)/ω
-    // - Ceros: ωt + φ = π/2 + πn → t = (π/2 + πn - φ)/ω
+// Mientras se graba, el modo, los parámetros, los botones de control, los presets y las
+// lecciones quedan deshabilitados: cambiarlos alteraría el movimiento a mitad del video.
+// Al terminar solo se rehabilitan los que estaban habilitados al empezar
+function lockControlPanel(locked) {
+    if (locked) {
+        videoRecording.lockedControls = [...document.querySelectorAll('.control-panel button, .control-panel input, .control-panel select')]
+            .filter(control => !control.disabled);
+        videoRecording.lockedControls.forEach(control => {
+            control.disabled = true;
+        });
+    } else {
+        videoRecording.lockedControls.forEach(control => {
+            control.disabled = false;
+        });
+        videoRecording.lockedControls = [];
+    }
+}
+
+// Lienzo del cuadro: el canvas de la simulación y, opcionalmente, una columna con los tres
+// gráficos. Las dimensiones son pares, como pide el codificador de video
+function createVideoFrameCanvas(includeCharts) {
+    const canvas = document.createElement('canvas');
+    const width = springCanvas.width + (includeCharts ? VIDEO_CHART_WIDTH : 0);
+    canvas.width = width + (width % 2);
+    canvas.height = springCanvas.height + (springCanvas.height % 2);
+    return canvas;
+}
+
+function composeVideoFrame(frameCanvas, includeCharts) {
+    const ctx = frameCanvas.getContext('2d', { willReadFrequently: true });
+    ctx.fillStyle = '#111318';
+    ctx.fillRect(0, 0, frameCanvas.width, frameCanvas.height);
+    ctx.drawImage(springCanvas, 0, 0);
+    if (!includeCharts) return;
     
-    // Para velocidad v(t) = -Aω·sin(ωt + φ):
-    // - Máximos: ωt + φ = 3π/2 + 2πn
-    // - Mínimos: ωt + φ = π/2 + 2πn
-    // - Ceros: ωt + φ = πn
+    // Cada gráfico se escala sin deformarse dentro de su tercio de la columna
+    const cellHeight = springCanvas.height / 3;
+    [positionChart, velocityChart, accelerationChart].forEach((chart, i) => {
+        const source = chart.canvas;
+        const scale = Math.min(VIDEO_CHART_WIDTH / source.width, cellHeight / source.height);
+        const width = source.width * scale;
+        const height = source.height * scale;
+        ctx.drawImage(
+            source,
+            springCanvas.width + (VIDEO_CHART_WIDTH - width) / 2,
+            i * cellHeight + (cellHeight - height) / 2,
+            width,
+            height
+        );
+    });
+}
+
+// Codificador WebM: VP8 con WebCodecs y marcas de tiempo fijas (cuadro·1/VIDEO_FPS)
+function createWebmEncoder(width, height) {
+    const frames = [];
+    let failure = null;
+    const encoder = new VideoEncoder({
+        output: (chunk) => {
+            const data = new Uint8Array(chunk.byteLength);
+            chunk.copyTo(data);
+            frames.push({ data, timestamp: chunk.timestamp, key: chunk.type === 'key' });
+        },
+        error: (error) => {
+            failure = error;
+        }
+    });
+    encoder.configure({ codec: 'vp8', width, height, bitrate: 4000000, framerate: VIDEO_FPS });
+    const frameDuration = 1000000 / VIDEO_FPS; // microsegundos
     
-    // Para aceleración a(t) = -Aω²·cos(ωt + φ):
-    // - Máximos: ωt + φ = π + 2πn
-    // - Mínimos: ωt + φ = 2πn
-    // - Ceros: ωt + φ = π/2 + πn
+    return {
+        async addFrame(canvas, index) {
+            if (failure) throw failure;
+            const frame = new VideoFrame(canvas, { timestamp: Math.round(index * frameDuration), duration: Math.round(frameDuration) });
+            encoder.encode(frame, { keyFrame: index % VIDEO_KEYFRAME_INTERVAL === 0 });
+            frame.close();
+            // No acumular demasiados cuadros sin codificar
+            while (encoder.encodeQueueSize > 8) {
+                await new Promise(resolve => setTimeout(resolve, 5));
+            }
+        },
+        async finish() {
+            await encoder.flush();
+            encoder.close();
+            if (failure) throw failure;
+            const durationMs = frames.length * 1000 / VIDEO_FPS;
+            return new Blob([muxWebm(frames, width, height, durationMs)], { type: 'video/webm' });
+        },
+        cancel() {
+            if (encoder.state !== 'closed') encoder.close();
+        }
+    };
+}
+
+// Elemento EBML: id, tamaño (siempre en 8 bytes) y contenido
+function ebmlElement(id, payload) {
+    const idBytes = [];
+    for (let value = id; value > 0; value = Math.floor(value / 256)) {
+        idBytes.unshift(value & 0xff);
+    }
+    const data = Array.isArray(payload) ? concatBytes(payload) : payload;
+    const size = [0x01];
+    for (let i = 6; i >= 0; i--) {
+        size.push(Math.floor(data.length / Math.pow(256, i)) & 0xff);
+    }
+    return concatBytes([new Uint8Array(idBytes), new Uint8Array(size), data]);
+}
+
+function ebmlUint(value) {
+    const bytes = [];
+    do {
+        bytes.unshift(value & 0xff);
+        value = Math.floor(value / 256);
+    } while (value > 0);
+    return new Uint8Array(bytes);
+}
+
+function ebmlFloat(value) {
+    const bytes = new Uint8Array(8);
+    new DataView(bytes.buffer).setFloat64(0, value);
+    return bytes;
+}
+
+function textBytes(text) {
+    return new TextEncoder().encode(text);
+}
+
+function concatBytes(parts) {
+    const result = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+    let offset = 0;
+    parts.forEach(part => {
+        result.set(part, offset);
+        offset += part.length;
+    });
+    return result;
+}
+
+// Contenedor WebM mínimo con una pista de video VP8. Cada cuadro clave abre un cluster,
+// así los tiempos relativos de los bloques (16 bits, en ms) nunca se desbordan
+function muxWebm(frames, width, height, durationMs) {
+    const clusters = [];
+    let cluster = null;
+    frames.forEach(frame => {
+        const timeMs = Math.round(frame.timestamp / 1000);
+        if (frame.key || !cluster || timeMs - cluster.time > 30000) {
+            cluster = { time: timeMs, blocks: [] };
+            clusters.push(cluster);
+        }
+        const relative = timeMs - cluster.time;
+        // SimpleBlock: pista 1, tiempo relativo al cluster y marca de cuadro clave
+        const header = new Uint8Array([0x81, (relative >> 8) & 0xff, relative & 0xff, frame.key ? 0x80 : 0x00]);
+        cluster.blocks.push(ebmlElement(0xA3, [header, frame.data]));
+    });
     
-    const phi = params.phase;
-    const A = getAmplitude(); // Usa la amplitud correcta según el modo
+    const header = ebmlElement(0x1A45DFA3, [
+        ebmlElement(0x4286, ebmlUint(1)),       // EBMLVersion
+        ebmlElement(0x42F7, ebmlUint(1)),       // EBMLReadVersion
+        ebmlElement(0x42F2, ebmlUint(4)),       // EBMLMaxIDLength
+        ebmlElement(0x42F3, ebmlUint(8)),       // EBMLMaxSizeLength
+        ebmlElement(0x4282, textBytes('webm')), // DocType
+        ebmlElement(0x4287, ebmlUint(2)),       // DocTypeVersion
+        ebmlElement(0x4285, ebmlUint(2))        // DocTypeReadVersion
+    ]);
+    const info = ebmlElement(0x1549A966, [
+        ebmlElement(0x2AD7B1, ebmlUint(1000000)), // TimecodeScale: 1 ms
+        ebmlElement(0x4489, ebmlFloat(durationMs)),
+        ebmlElement(0x4D80, textBytes('Simulador MAS')), // MuxingApp
+        ebmlElement(0x5741, textBytes('Simulador MAS'))  // WritingApp
+    ]);
+    const tracks = ebmlElement(0x1654AE6B, [
+        ebmlElement(0xAE, [                        // TrackEntry
+            ebmlElement(0xD7, ebmlUint(1)),        // TrackNumber
+            ebmlElement(0x73C5, ebmlUint(1)),      // TrackUID
+            ebmlElement(0x83, ebmlUint(1)),        // TrackType: video
+            ebmlElement(0x86, textBytes('V_VP8')), // CodecID
+            ebmlElement(0xE0, [                    // Video
+                ebmlElement(0xB0, ebmlUint(width)),
+                ebmlElement(0xBA, ebmlUint(height))
+            ])
+        ])
+    ]);
+    const clusterElements = clusters.map(({ time, blocks }) =>
+        ebmlElement(0x1F43B675, [ebmlElement(0xE7, ebmlUint(time)), ...blocks])
+    );
+    return concatBytes([header, ebmlElement(0x18538067, [info, tracks, ...clusterElements])]);
+}
+
+// Codificador GIF animado (GIF89a) con paleta fija y compresión LZW, cuadro por cuadro
+function createGifEncoder(width, height) {
+    const parts = [];
+    const delay = Math.round(100 / VIDEO_FPS); // centésimas de segundo
+    const palette = createGifPalette();
     
-    // Calcular cuántos períodos caben en el rango visible (con margen)
-    const startN = Math.floor((minTime * omega + phi) / (2 * Math.PI)) - 1;
-    const endN = Math.ceil((maxTime * omega + phi) / (2 * Math.PI)) + 1;
+    parts.push(concatBytes([
+        textBytes('GIF89a'),
+        new Uint8Array([width & 0xff, width >> 8, height & 0xff, height >> 8, 0xF7, 0, 0]), // Tabla global de 256 colores
+        palette,
+        // Repetir indefinidamente (extensión NETSCAPE2.0)
+        new Uint8Array([0x21, 0xFF, 0x0B]), textBytes('NETSCAPE2.0'), new Uint8Array([0x03, 0x01, 0x00, 0x00, 0x00])
+    ]));
     
-    for (let n = startN; n <= endN; n++) {
-        let tMax, tMin, tZero1, tZero2;
-        let yMax, yMin;
-        
-        if (type === 'position') {
-            // Posición: x(t) = A·cos(ωt + φ)
-            tMax = (2 * Math.PI * n - phi) / omega;
-            tMin = ((2 * n + 1) * Math.PI - phi) / omega;
-            tZero1 = (Math.PI / 2 + 2 * Math.PI * n - phi) / omega;
-            tZero2 = (3 * Math.PI / 2 + 2 * Math.PI * n - phi) / omega;
-            // Para péndulo, convertir a grados
-            if (simulationMode === 'pendulum') {
-                yMax = A * 180 / Math.PI;
-                yMin = -A * 180 / Math.PI;
-            } else {
-                yMax = A;
-                yMin = -A;
+    return {
+        async addFrame(canvas) {
+            const pixels = canvas.getContext('2d', { willReadFrequently: true }).getImageData(0, 0, width, height).data;
+            parts.push(concatBytes([
+                new Uint8Array([0x21, 0xF9, 0x04, 0x04, delay & 0xff, delay >> 8, 0x00, 0x00]), // Control gráfico
+                new Uint8Array([0x2C, 0, 0, 0, 0, width & 0xff, width >> 8, height & 0xff, height >> 8, 0x00]),
+                new Uint8Array([8]), // Tamaño mínimo de código LZW
+                lzwEncode(quantizeToGifPalette(pixels))
+            ]));
+        },
+        async finish() {
+            parts.push(new Uint8Array([0x3B]));
+            return new Blob(parts, { type: 'image/gif' });
+        },
+        cancel() {}
+    };
+}
+
+// Paleta fija de 6×7×6 niveles de rojo, verde y azul (252 colores; el resto queda en negro).
+// Es rápida y suficiente para los colores planos de la interfaz
+function createGifPalette() {
+    const palette = new Uint8Array(256 * 3);
+    let index = 0;
+    for (let r = 0; r < 6; r++) {
+        for (let g = 0; g < 7; g++) {
+            for (let b = 0; b < 6; b++) {
+                palette[index++] = Math.round(r * 255 / 5);
+                palette[index++] = Math.round(g * 255 / 6);
+                palette[index++] = Math.round(b * 255 / 5);
             }
-        } else if (type === 'velocity') {
-            // Velocidad: v(t) = -Aω·sin(ωt + φ)
-            tMax = (3 * Math.PI / 2 + 2 * Math.PI * n - phi) / omega;
-            tMin = (Math.PI / 2 + 2 * Math.PI * n - phi) / omega;
-            tZero1 = (2 * Math.PI * n - phi) / omega;
-            tZero2 = (Math.PI + 2 * Math.PI * n - phi) / omega;
-            yMax = A * omega;
-            yMin = -A * omega;
-        } else if (type === 'acceleration') {
-            // Aceleración: a(t) = -Aω²·cos(ωt + φ)
-            tMax = ((2 * n + 1) * Math.PI - phi) / omega;
-            tMin = (2 * Math.PI * n - phi) / omega;
-            tZero1 = (Math.PI / 2 + 2 * Math.PI * n - phi) / omega;
-            tZero2 = (3 * Math.PI / 2 + 2 * Math.PI * n - phi) / omega;
-            yMax = A * omega * omega;
-            yMin = -A * omega * omega;
-        }
-        
-        // Agregar puntos si están en el rango visible y ya han ocurrido
-        if (tMax >= minTime && tMax <= maxTime && tMax <= simulation.time) {
-            maximos.push({ x: tMax, y: yMax });
         }
-        if (tMin >= minTime && tMin <= maxTime && tMin <= simulation.time) {
-            minimos.push({ x: tMin, y: yMin });
+    }
+    return palette;
+}
+
+function quantizeToGifPalette(pixels) {
+    const indices = new Uint8Array(pixels.length / 4);
+    for (let i = 0; i < indices.length; i++) {
+        const r = Math.round(pixels[4 * i] * 5 / 255);
+        const g = Math.round(pixels[4 * i + 1] * 6 / 255);
+        const b = Math.round(pixels[4 * i + 2] * 5 / 255);
+        indices[i] = (r * 7 + g) * 6 + b;
+    }
+    return indices;
+}
+
+// Compresión LZW de GIF con códigos de 9 a 12 bits, empaquetada en sub-bloques de hasta 255 bytes
+function lzwEncode(indices) {
+    const clearCode = 256;
+    const endCode = 257;
+    const bytes = [];
+    let buffer = 0;
+    let bufferBits = 0;
+    let codeSize = 9;
+    let nextCode = 258;
+    let table = new Map();
+    
+    const emit = (code) => {
+        buffer |= code << bufferBits;
+        bufferBits += codeSize;
+        while (bufferBits >= 8) {
+            bytes.push(buffer & 0xff);
+            buffer >>= 8;
+            bufferBits -= 8;
         }
-        if (tZero1 >= minTime && tZero1 <= maxTime && tZero1 <= simulation.time) {
-            ceros.push({ x: tZero1, y: 0 });
+    };
+    
+    emit(clearCode);
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+        const symbol = indices[i];
+        const key = prefix * 256 + symbol;
+        const code = table.get(key);
+        if (code !== undefined) {
+            prefix = code;
+            continue;
         }
-        if (tZero2 >= minTime && tZero2 <= maxTime && tZero2 <= simulation.time) {
-            ceros.push({ x: tZero2, y: 0 });
+        emit(prefix);
+        if (nextCode === 4096) {
+            // Tabla llena: reiniciar el diccionario
+            emit(clearCode);
+            table = new Map();
+            codeSize = 9;
+            nextCode = 258;
+        } else {
+            if (nextCode >= (1 << codeSize)) codeSize++;
+            table.set(key, nextCode++);
         }
+        prefix = symbol;
     }
+    emit(prefix);
+    emit(endCode);
+    if (bufferBits > 0) bytes.push(buffer & 0xff);
     
-    return { maximos, minimos, ceros };
+    // Sub-bloques y terminador
+    const blocks = [];
+    for (let i = 0; i < bytes.length; i += 255) {
+        const block = bytes.slice(i, i + 255);
+        blocks.push(block.length, ...block);
+    }
+    blocks.push(0);
+    return new Uint8Array(blocks);
 }
 
-function resetCharts() {
-    // Usar rangos basados en amplitud máxima y omega actual
-    const omega = calculateOmega();
-    const maxAmp = simulationMode === 'spring' ? MAX_AMPLITUDE_SPRING : MAX_AMPLITUDE_PENDULUM;
+// =====================
+// Idioma
+// =====================
+
+// Idioma guardado; si no hay, el del navegador cuando está traducido, o español
+function getInitialLanguage() {
+    const browserLanguage = (navigator.language || '').slice(0, 2);
+    const fallback = browserLanguage in LANGUAGES ? browserLanguage : 'es';
+    let stored = null;
+    try {
+        stored = localStorage.getItem(LANGUAGE_STORAGE_KEY);
+    } catch (error) {
+        // Todavía no hay idioma actual: el aviso sale en el que se va a usar
+        console.warn(translateTo(fallback, 'No se pudo leer el idioma guardado:'), error);
+    }
+    return stored in LANGUAGES ? stored : fallback;
+}
+
+function getDecimalSeparator(locale) {
+    return new Intl.NumberFormat(locale).formatToParts(1.5).find(part => part.type === 'decimal').value;
+}
+
+// Texto en el idioma actual; {nombre} se reemplaza por values.nombre. Sin traducción queda el español
+function t(text, values = {}) {
+    return translateTo(language, text, values);
+}
+
+// Lo mismo en un idioma dado; sirve antes de que exista el idioma actual
+function translateTo(code, text, values = {}) {
+    const catalog = TRANSLATIONS[code] || {};
+    const translated = catalog[text] || text;
+    return translated.replace(/\{(\w+)\}/g, (match, name) => name in values ? values[name] : match);
+}
+
+// Número con decimales fijos y el separador decimal del idioma (0,25 o 0.25)
+function formatNumber(value, decimals) {
+    return value.toFixed(decimals).replace('.', decimalSeparator);
+}
+
+// Número escrito con coma o con punto decimal, en cualquier idioma (NaN si no es un número)
+function parseLocaleNumber(text) {
+    const normalized = String(text).trim().replace(',', '.');
+    return normalized === '' ? NaN : Number(normalized);
+}
+
+// Aplicar el idioma guardado a los textos fijos antes de que se dibuje el resto de la interfaz
+function initializeLanguage() {
+    applyLanguage('es');
+    Object.keys(LANGUAGES).forEach(code => {
+        document.getElementById(`language-${code}`).addEventListener('click', () => setLanguage(code));
+    });
+}
+
+function setLanguage(code) {
+    if (code === language) return;
+    const previous = language;
+    language = code;
+    decimalSeparator = getDecimalSeparator(LANGUAGES[code].locale);
+    try {
+        localStorage.setItem(LANGUAGE_STORAGE_KEY, code);
+    } catch (error) {
+        console.warn(t('No se pudo guardar el idioma:'), error);
+    }
+    applyLanguage(previous);
     
-    // Para péndulo, posición en grados
-    let maxPosition;
-    if (simulationMode === 'pendulum') {
-        maxPosition = (maxAmp * 180 / Math.PI) * 1.1; // Convertir a grados
-    } else {
-        maxPosition = maxAmp * 1.1;
+    // Textos con valores insertados: se vuelven a generar en el idioma nuevo
+    initializeInputValues();
+    updateSpringNetworkControls();
+    updateSimulationSubtitle();
+    updateChartAxisLabels();
+    updateCalculatedValues();
+    updateLabPanel();
+    updateSweepControls();
+    updateRecordingIntervalInput();
+    SWEEP_OUTPUTS.forEach(({ symbol }, i) => {
+        sweepChart.data.datasets[2 * i + 1].label = t('{symbol} actual', { symbol });
+    });
+    sweepChart.update('none');
+    renderLessonIndex();
+    if (lesson.current) {
+        updateLessonTexts();
     }
-    const maxVelocity = maxAmp * omega * 1.1;
-    const maxAcceleration = maxAmp * omega * omega * 1.1;
+    updateTimeline();
+    updateCurrentValues(calculatePosition(simulation.time), calculateVelocity(simulation.time),
+        calculateAcceleration(simulation.time), simulation.time);
+    showPracticeProblem();
+}
+
+// Traducir los textos que ya se muestran en el idioma anterior: cada uno se busca en el
+// catálogo de ese idioma para recuperar el original en español
+function applyLanguage(previous) {
+    const sources = new Map(Object.entries(TRANSLATIONS[previous] || {}).map(([source, text]) => [text, source]));
+    const translate = (text) => t(sources.get(text) || text);
     
-    const resetSingleChart = (chart, maxY) => {
-        if (chart) {
-            // Limpiar todos los datasets
+    document.documentElement.lang = language;
+    document.title = translate(document.title);
+    Object.keys(LANGUAGES).forEach(code => {
+        document.getElementById(`language-${code}`).classList.toggle('active', code === language);
+    });
+    
+    // Textos de index.html, conservando los espacios que los rodean
+    const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT);
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+        const [, before, text, after] = node.nodeValue.match(/^(\s*)([\s\S]*?)(\s*)$/);
+        if (text === '' || node.parentNode.nodeName === 'SCRIPT') continue;
+        const normalized = text.replace(/\s+/g, ' ');
+        const translated = translate(normalized);
+        if (translated !== normalized) node.nodeValue = before + translated + after;
+    }
+    ['title', 'placeholder', 'aria-label', 'alt'].forEach(attribute => {
+        document.querySelectorAll(`[${attribute}]`).forEach(element => {
+            element.setAttribute(attribute, translate(element.getAttribute(attribute)));
+        });
+    });
+    
+    // Series y títulos de los gráficos; los números de los ejes usan el formato del idioma
+    Chart.defaults.locale = LANGUAGES[language].locale;
+    [positionChart, velocityChart, accelerationChart, energyChart, phaseSpaceChart, resonanceChart, labChart, sweepChart]
+        .filter(Boolean)
+        .forEach(chart => {
+            chart.options.locale = LANGUAGES[language].locale;
             chart.data.datasets.forEach(dataset => {
-                dataset.data = [];
+                if (dataset.label) dataset.label = translate(dataset.label);
+            });
+            const titles = [chart.options.plugins.title, ...Object.values(chart.options.scales).map(scale => scale.title)];
+            titles.filter(title => title && title.text).forEach(title => {
+                title.text = translate(title.text);
             });
-            chart.options.scales.x.min = 0;
-            chart.options.scales.x.max = graphData.timeWindow;
-            chart.options.scales.y.min = -maxY;
-            chart.options.scales.y.max = maxY;
             chart.update('none');
-        }
-    };
-    
-    resetSingleChart(positionChart, maxPosition);
-    resetSingleChart(velocityChart, maxVelocity);
-    resetSingleChart(accelerationChart, maxAcceleration);
+        });
 }
 
 // =====================
@@ -1612,5 +7237,10 @@ function lerp(a, b, t) {
     return a + (b - a) * t;
 }
 
-console.log('Simulador de Movimiento Armónico Simple cargado correctamente.');
+function hexToRgba(hex, alpha) {
+    const value = parseInt(hex.slice(1), 16);
+    return `rgba(${(value >> 16) & 255}, ${(value >> 8) & 255}, ${value & 255}, ${alpha})`;
+}
+
+console.log(t('Simulador de Movimiento Armónico Simple cargado correctamente.'));
 
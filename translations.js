@@ -0,0 +1,770 @@
+// ===========================================
+// Traducciones de la interfaz
+// ===========================================
+
+// Las claves son los textos en español tal como aparecen en index.html y en script.js;
+// {nombre} marca un valor que se inserta al traducir (ver t() en script.js). Un texto que
+// no está en el catálogo se muestra en español
+const TRANSLATIONS = {
+    en: {
+        // Encabezado y modos
+        'Simulador de Movimiento Armónico Simple': 'Simple Harmonic Motion Simulator',
+        'Simulador de Movimiento Armónico Simple cargado correctamente.': 'Simple Harmonic Motion Simulator loaded successfully.',
+        'Movimiento Armónico Simple': 'Simple Harmonic Motion',
+        'Simulación de un sistema masa-resorte': 'Simulation of a mass-spring system',
+        'Simulación de un péndulo simple': 'Simulation of a simple pendulum',
+        'Simulación de dos osciladores acoplados': 'Simulation of two coupled oscillators',
+        'Superposición de dos movimientos armónicos simples': 'Superposition of two simple harmonic motions',
+        'Física I': 'Physics I',
+        'Física I — Universidad Nacional de Tres de Febrero': 'Physics I — Universidad Nacional de Tres de Febrero',
+        'UNTREF Logo': 'UNTREF logo',
+        'Parámetros': 'Parameters',
+        'Resorte': 'Spring',
+        'Péndulo': 'Pendulum',
+        'Acoplados': 'Coupled',
+        'Superposición': 'Superposition',
+        'Osciladores acoplados': 'Coupled oscillators',
+        'Superposición de MAS': 'Superposition of SHM',
+        'MAS': 'SHM',
+
+        // Controles del resorte
+        'Masa (m)': 'Mass (m)',
+        'Valor debe estar entre 0,5 y 5 kg': 'Value must be between 0.5 and 5 kg',
+        'Constante del resorte (k)': 'Spring constant (k)',
+        'Constante del resorte 1 (k₁)': 'Spring constant 1 (k₁)',
+        'Constante del resorte 2 (k₂)': 'Spring constant 2 (k₂)',
+        'Constante del resorte 3 (k₃)': 'Spring constant 3 (k₃)',
+        'Constante del resorte 4 (k₄)': 'Spring constant 4 (k₄)',
+        'Valor debe estar entre 10 y 100 N/m': 'Value must be between 10 and 100 N/m',
+        'Red de resortes': 'Spring network',
+        'Serie': 'Series',
+        'Paralelo': 'Parallel',
+        'La masa cuelga de una red de resortes que se reduce a un único resorte equivalente k_eq': 'The mass hangs from a network of springs that reduces to a single equivalent spring k_eq',
+        'Amplitud (A)': 'Amplitude (A)',
+        'Valor debe estar entre 0,01 y 0,50 m': 'Value must be between 0.01 and 0.50 m',
+        'Fuerza externa (F₀)': 'External force (F₀)',
+        'Valor debe estar entre 0 y 5 N': 'Value must be between 0 and 5 N',
+        'Frecuencia de excitación (ω_d)': 'Driving frequency (ω_d)',
+        'Valor debe estar entre 0,1 y 20 rad/s': 'Value must be between 0.1 and 20 rad/s',
+        'Orientación': 'Orientation',
+        'Vertical con gravedad (equilibrio desplazado mg/k)': 'Vertical with gravity (equilibrium shifted by mg/k)',
+        'Desde el equilibrio': 'From equilibrium',
+        'Desde la longitud natural': 'From natural length',
+        'Referencia del gráfico de posición: x desde el equilibrio o y = x + mg/k desde la longitud natural': 'Position chart reference: x from equilibrium or y = x + mg/k from the natural length',
+
+        // Controles del péndulo
+        'Tipo de péndulo': 'Pendulum type',
+        'Simple': 'Simple',
+        'Físico': 'Physical',
+        'El péndulo físico es un cuerpo rígido que gira alrededor de un pivote a distancia d de su centro de masa': 'The physical pendulum is a rigid body rotating about a pivot at distance d from its center of mass',
+        'Longitud (L)': 'Length (L)',
+        'Valor debe estar entre 0,5 y 3 m': 'Value must be between 0.5 and 3 m',
+        'Ángulo inicial (θ₀)': 'Initial angle (θ₀)',
+        'Valor debe estar entre 1 y 15 grados': 'Value must be between 1 and 15 degrees',
+        'Valor debe estar entre 1 y {max} grados': 'Value must be between 1 and {max} degrees',
+        '⚠️ Advertencia: Para ángulos mayores a 10°, el péndulo deja de comportarse como un MAS (Movimiento Armónico Simple). La aproximación sin(θ) ≈ θ solo es válida para ángulos pequeños. Activa el modelo no lineal para ver cómo se aparta del MAS.': '⚠️ Warning: For angles greater than 10°, the pendulum no longer behaves as SHM (Simple Harmonic Motion). The approximation sin(θ) ≈ θ is only valid for small angles. Turn on the nonlinear model to see how it departs from SHM.',
+        'Valor debe estar entre 0,1 y 5 kg': 'Value must be between 0.1 and 5 kg',
+        'Cuerpo': 'Body',
+        'Varilla': 'Rod',
+        'Disco': 'Disc',
+        'Aro': 'Ring',
+        'Largo de la varilla (ℓ)': 'Rod length (ℓ)',
+        'Valor debe estar entre 0,2 y 2 m': 'Value must be between 0.2 and 2 m',
+        'Radio (R)': 'Radius (R)',
+        'Valor debe estar entre 0,05 y 1 m': 'Value must be between 0.05 and 1 m',
+        'Momento de inercia (I_cm)': 'Moment of inertia (I_cm)',
+        'Valor debe estar entre 0,01 y 5 kg·m²': 'Value must be between 0.01 and 5 kg·m²',
+        'Distancia al pivote (d)': 'Pivot distance (d)',
+        'Valor debe estar entre 0,05 y 2 m': 'Value must be between 0.05 and 2 m',
+        'Superponer el péndulo simple equivalente (L_eq)': 'Overlay the equivalent simple pendulum (L_eq)',
+        'Gravedad (g)': 'Gravity (g)',
+        'Valor debe estar entre 1 y 20 m/s²': 'Value must be between 1 and 20 m/s²',
+        'Modelo': 'Model',
+        'No lineal: θ\'\' = −(g/L)·sin θ (hasta 179°)': 'Nonlinear: θ\'\' = −(g/L)·sin θ (up to 179°)',
+        'Se integra la ecuación exacta y se superpone la predicción del MAS en línea punteada': 'The exact equation is integrated and the SHM prediction is overlaid as a dotted line',
+
+        // Controles de los osciladores acoplados y de la superposición
+        'Constante de acoplamiento (k_c)': 'Coupling constant (k_c)',
+        'Valor debe estar entre 1 y 50 N/m': 'Value must be between 1 and 50 N/m',
+        'Desplazamiento inicial masa 1 (x₁)': 'Initial displacement of mass 1 (x₁)',
+        'Desplazamiento inicial masa 2 (x₂)': 'Initial displacement of mass 2 (x₂)',
+        'Valor debe estar entre -0,20 y 0,20 m': 'Value must be between -0.20 and 0.20 m',
+        'Modos normales': 'Normal modes',
+        '⇉ Simétrico': '⇉ Symmetric',
+        '⇄ Antisimétrico': '⇄ Antisymmetric',
+        'Inician el sistema en un modo normal puro (x₂ = x₁ o x₂ = −x₁). Con una sola masa desplazada se observan batidos': 'Start the system in a pure normal mode (x₂ = x₁ or x₂ = −x₁). With only one mass displaced, beats appear',
+        'Ejes de oscilación': 'Oscillation axes',
+        'Mismo eje': 'Same axis',
+        'Perpendiculares': 'Perpendicular',
+        'En el mismo eje se suman los desplazamientos y aparecen batidos; en ejes perpendiculares el punto (x, y) traza una figura de Lissajous': 'On the same axis the displacements add up and beats appear; on perpendicular axes the point (x, y) traces a Lissajous figure',
+        'Amplitud 1 (A₁)': 'Amplitude 1 (A₁)',
+        'Amplitud 2 (A₂)': 'Amplitude 2 (A₂)',
+        'Valor debe estar entre 0,01 y 0,20 m': 'Value must be between 0.01 and 0.20 m',
+        'Frecuencia angular 1 (ω₁)': 'Angular frequency 1 (ω₁)',
+        'Frecuencia angular 2 (ω₂)': 'Angular frequency 2 (ω₂)',
+        'Valor debe estar entre 1 y 20 rad/s': 'Value must be between 1 and 20 rad/s',
+        'Fase inicial 1 (φ₁)': 'Initial phase 1 (φ₁)',
+        'Fase inicial 2 (φ₂)': 'Initial phase 2 (φ₂)',
+        'Fase inicial (φ)': 'Initial phase (φ)',
+        'Valor debe estar entre 0 y 6,28 rad': 'Value must be between 0 and 6.28 rad',
+        'Valor debe estar entre 0 y 2π rad': 'Value must be between 0 and 2π rad',
+        'Amortiguamiento (b)': 'Damping (b)',
+        'Valor debe estar entre 0 y 50 kg/s': 'Value must be between 0 and 50 kg/s',
+
+        // Control de la simulación, enlace y presets
+        '▶ Iniciar': '▶ Start',
+        '⏸ Pausar': '⏸ Pause',
+        '↺ Reiniciar': '↺ Reset',
+        'Corrige los errores en los parámetros antes de iniciar': 'Fix the parameter errors before starting',
+        'No se puede iniciar la simulación: hay errores en los parámetros': 'The simulation cannot start: there are parameter errors',
+        '🔗 Copiar enlace': '🔗 Copy link',
+        'Copia el enlace de la barra de direcciones': 'Copy the link from the address bar',
+        '✓ Enlace copiado': '✓ Link copied',
+        'del enlace': 'from the link',
+        '⚠️ Se ignoraron valores {source}: {problems}': '⚠️ Some values {source} were ignored: {problems}',
+        '⚠️ Estado inicial ajustado: {adjustments}': '⚠️ Initial state adjusted: {adjustments}',
+        'velocidad limitada para no superar la amplitud máxima de {max}': 'velocity limited so the amplitude does not exceed the maximum of {max}',
+        'amplitud elevada al mínimo de {min}': 'amplitude raised to the minimum of {min}',
+        '{key}={value} (valores posibles: {options})': '{key}={value} (possible values: {options})',
+        '{key}={value} (debe estar entre {min} y {max})': '{key}={value} (must be between {min} and {max})',
+        '{key} (parámetro desconocido)': '{key} (unknown parameter)',
+        'Presets': 'Presets',
+        'Nombre del preset': 'Preset name',
+        '💾 Guardar': '💾 Save',
+        'Guarda el modo y sus parámetros. Si el nombre ya existe, el preset se reemplaza': 'Saves the mode and its parameters. If the name already exists, the preset is replaced',
+        'No hay presets guardados': 'No saved presets',
+        '⭳ Exportar JSON': '⭳ Export JSON',
+        '⭱ Importar JSON': '⭱ Import JSON',
+        'Cargar': 'Load',
+        'Renombrar': 'Rename',
+        'Eliminar': 'Delete',
+        'Escribe un nombre para el preset': 'Enter a name for the preset',
+        'Nuevo nombre del preset:': 'New preset name:',
+        '¿Eliminar el preset "{name}"?': 'Delete the preset "{name}"?',
+        'del preset "{name}"': 'from the preset "{name}"',
+        'No se pudieron leer los presets guardados:': 'Could not read the saved presets:',
+        'No se pudieron guardar los presets en el navegador': 'Could not save the presets in the browser',
+        'El archivo no contiene una lista de presets': 'The file does not contain a list of presets',
+        'Se importaron {valid} presets; se descartaron {skipped} con formato inválido': '{valid} presets were imported; {skipped} with an invalid format were discarded',
+        'No se pudieron importar los presets:': 'Could not import the presets:',
+        'No se pudo importar el archivo: {message}': 'Could not import the file: {message}',
+        'No se pudo leer el idioma guardado:': 'Could not read the saved language:',
+        'No se pudo guardar el idioma:': 'Could not save the language:',
+
+        // Práctica
+        'Práctica': 'Practice',
+        'Semilla (opcional)': 'Seed (optional)',
+        'Usar semilla': 'Use seed',
+        'Con la misma semilla todo el grupo recibe los mismos problemas, en el mismo orden. También se puede indicar en el enlace con ?seed=': 'With the same seed the whole group gets the same problems, in the same order. It can also be set in the link with ?seed=',
+        '🎲 Nuevo problema': '🎲 New problem',
+        'Comprobar': 'Check',
+        'Aciertos:': 'Correct:',
+        '· Semilla:': '· Seed:',
+        'Un bloque de m = {mass} kg unido a un resorte de k = {k} N/m oscila sin rozamiento según x(t) = A·cos(ωt + φ), con A = {amplitude} m y φ = {phase} rad.': 'A block of m = {mass} kg attached to a spring with k = {k} N/m oscillates without friction according to x(t) = A·cos(ωt + φ), with A = {amplitude} m and φ = {phase} rad.',
+        'Un péndulo simple de L = {length} m, en un lugar con g = {g} m/s², oscila según θ(t) = θ₀·cos(ωt + φ), con θ₀ = {angle}° y φ = {phase} rad (ángulos pequeños).': 'A simple pendulum with L = {length} m, at a place where g = {g} m/s², oscillates according to θ(t) = θ₀·cos(ωt + φ), with θ₀ = {angle}° and φ = {phase} rad (small angles).',
+        '¿Cuál es el período T?': 'What is the period T?',
+        '¿Cuál es la rapidez máxima?': 'What is the maximum speed?',
+        '¿Cuál es la velocidad angular máxima?': 'What is the maximum angular velocity?',
+        '¿Cuál es la posición x en t = {time} s?': 'What is the position x at t = {time} s?',
+        '¿Cuál es el ángulo θ en t = {time} s?': 'What is the angle θ at t = {time} s?',
+        '¿En qué instante pasa por primera vez por el equilibrio (t > 0)?': 'At what instant does it first pass through equilibrium (t > 0)?',
+        'Escribe un número': 'Enter a number',
+        '¡Correcto! Valor del simulador: {expected}': 'Correct! Simulator value: {expected}',
+        'Incorrecto. Valor del simulador: {expected}': 'Incorrect. Simulator value: {expected}',
+
+        // Lecciones
+        'Lecciones': 'Lessons',
+        'Recorridos paso a paso: cada paso resalta un control o un gráfico y detiene la simulación en el momento justo': 'Step-by-step tours: each step highlights a control or a chart and stops the simulation at the right moment',
+        'Comenzar': 'Start',
+        '◀ Anterior': '◀ Previous',
+        'Siguiente ▶': 'Next ▶',
+        'Terminar ✓': 'Finish ✓',
+        'Salir': 'Exit',
+        '⏳ Observa la simulación…': '⏳ Watch the simulation…',
+        '✓ Listo': '✓ Done',
+        'de la lección "{title}"': 'from the lesson "{title}"',
+        'No se pudieron cargar las lecciones:': 'Could not load the lessons:',
+        'No se pudieron cargar las lecciones. Abre la página desde un servidor web': 'Could not load the lessons. Open the page from a web server',
+        'el archivo no tiene el formato de una lección': 'the file does not have the format of a lesson',
+        'No se pudo cargar la lección:': 'Could not load the lesson:',
+        'No se pudo cargar la lección: {message}': 'Could not load the lesson: {message}',
+        'Selector inválido en la lección: {selector}': 'Invalid selector in the lesson: {selector}',
+
+        // Simulación, tiempo y grabación
+        'Simulación': 'Simulation',
+        'Arrastra la masa y suéltala (o lánzala) para fijar las condiciones iniciales': 'Drag the mass and release it (or throw it) to set the initial conditions',
+        'Con el teclado: selecciona la simulación y mueve la masa con las flechas (Shift: pasos más grandes; 1 y 2 eligen la masa acoplada). Espacio inicia o pausa y R reinicia': 'With the keyboard: focus the simulation and move the mass with the arrow keys (Shift: larger steps; 1 and 2 choose the coupled mass). Space starts or pauses and R resets',
+        'Masa {index} seleccionada': 'Mass {index} selected',
+        'x = 0 (equilibrio)': 'x = 0 (equilibrium)',
+        ', fuera de escala': ', not to scale',
+        'Fasores': 'Phasors',
+        'ω₁/ω₂ sin razón simple: la curva no se cierra': 'ω₁/ω₂ has no simple ratio: the curve does not close',
+        'Posición:': 'Position:',
+        'Velocidad:': 'Velocity:',
+        'Aceleración:': 'Acceleration:',
+        'Tiempo:': 'Time:',
+        'Tiempo': 'Time',
+        'Retroceder un cuadro': 'Step back one frame',
+        'Avanzar un cuadro': 'Step forward one frame',
+        'Línea de tiempo': 'Timeline',
+        'Arrastra la línea de tiempo para volver a cualquier instante simulado con los parámetros actuales; cada cuadro avanza 1/60 s multiplicado por la velocidad': 'Drag the timeline to go back to any instant simulated with the current parameters; each frame advances 1/60 s times the speed',
+        'Grabación': 'Recording',
+        'Se graba desde el instante actual con un paso fijo de simulación; pulsa Reiniciar para empezar en t = 0': 'Recording starts at the current instant with a fixed simulation step; press Reset to start at t = 0',
+        'Duración': 'Duration',
+        'Incluir gráficos x, v, a': 'Include x, v, a charts',
+        '⏺ Grabar': '⏺ Record',
+        '⏹ Cancelar': '⏹ Cancel',
+        'Valor debe estar entre 1 y 30 s': 'Value must be between 1 and 30 s',
+        'Este navegador no permite codificar video; usa GIF': 'This browser cannot encode video; use GIF',
+        'Grabando… {percent}%': 'Recording… {percent}%',
+        'Grabación cancelada': 'Recording cancelled',
+        'Codificando…': 'Encoding…',
+        'Listo: {frames} cuadros, {size} kB': 'Done: {frames} frames, {size} kB',
+        'No se pudo grabar:': 'Could not record:',
+        'No se pudo grabar: {message}': 'Could not record: {message}',
+        'Corrige los errores en los parámetros antes de grabar': 'Fix the parameter errors before recording',
+
+        // Gráficos y cursores
+        'Gráficos': 'Charts',
+        'Pasa el mouse sobre los gráficos para ver valores exactos. Rueda: acercar el eje de tiempo (con Shift, el eje vertical); arrastrar: desplazarse': 'Hover over the charts to see exact values. Wheel: zoom the time axis (with Shift, the vertical axis); drag: pan',
+        'Ventana': 'Window',
+        'Congelar gráficos': 'Freeze charts',
+        '⟲ Restablecer zoom': '⟲ Reset zoom',
+        'Valor debe estar entre 1 y 60 s': 'Value must be between 1 and 60 s',
+        'Cursores de medición': 'Measurement cursors',
+        '⟷ Medir período': '⟷ Measure period',
+        'Quitar cursores': 'Remove cursors',
+        'Con los cursores activos, haz clic en el gráfico de x, v o a para colocar A y B, y arrástralos para moverlos': 'With the cursors on, click the x, v or a chart to place A and B, and drag them to move them',
+        'Gráfico': 'Chart',
+        'Ver los datos en una tabla': 'Show the data as a table',
+        '↻ Actualizar': '↻ Refresh',
+        'Valor': 'Value',
+        'Sin datos todavía': 'No data yet',
+        'Se necesitan al menos dos máximos visibles en el gráfico': 'At least two visible maxima are needed on the chart',
+        'T medido = {value} s': 'Measured T = {value} s',
+        ' · T teórico = {value} s ({difference} %)': ' · theoretical T = {value} s ({difference} %)',
+        ' · sin período teórico único en este modo': ' · no single theoretical period in this mode',
+        ' · T de la fuerza = {value} s': ' · T of the force = {value} s',
+        'Tiempo (s)': 'Time (s)',
+        'Máximos': 'Maxima',
+        'Mínimos': 'Minima',
+        'Ceros': 'Zeros',
+        'MAS (lineal)': 'SHM (linear)',
+        'Masa 1': 'Mass 1',
+        'Masa 2': 'Mass 2',
+        'Posición': 'Position',
+        'Velocidad': 'Velocity',
+        'Aceleración': 'Acceleration',
+        'Envolvente': 'Envelope',
+        'Posición x(t)': 'Position x(t)',
+        'Velocidad v(t)': 'Velocity v(t)',
+        'Aceleración a(t)': 'Acceleration a(t)',
+        'Energía E(t)': 'Energy E(t)',
+        'Cinética': 'Kinetic',
+        'Potencial': 'Potential',
+        'Total': 'Total',
+        'Elástica': 'Elastic',
+        'Gravitatoria': 'Gravitational',
+        'Espacio de fase v(x)': 'Phase space v(x)',
+        'Trayectoria': 'Trajectory',
+        'Elipse MAS': 'SHM ellipse',
+        'Estado inicial (φ)': 'Initial state (φ)',
+        'Estado actual': 'Current state',
+        'Resonancia X(ω_d), δ(ω_d)': 'Resonance X(ω_d), δ(ω_d)',
+        'Amplitud X': 'Amplitude X',
+        'Desfase δ': 'Phase lag δ',
+        'ω_d actual': 'current ω_d',
+        'δ actual': 'current δ',
+        'ω natural': 'natural ω',
+        '{symbol} actual': 'current {symbol}',
+
+        // Registro de datos
+        'Registro de datos': 'Data logging',
+        'Se registra todo el recorrido desde t = 0 con un muestreo fijo, independiente de la animación y de la ventana de los gráficos. El intervalo solo se puede cambiar con el registro vacío (tras Reiniciar)': 'The whole run is logged from t = 0 at a fixed sampling rate, independent of the animation and of the chart window. The interval can only be changed while the log is empty (after Reset)',
+        'Intervalo': 'Interval',
+        'Máx. muestras': 'Max. samples',
+        '⭳ Exportar': '⭳ Export',
+        'Valor debe estar entre 0,001 y 1 s': 'Value must be between 0.001 and 1 s',
+        'Valor debe ser un entero mayor o igual a 0 (0 = sin límite)': 'Value must be an integer greater than or equal to 0 (0 = no limit)',
+        'muestras registradas': 'samples logged',
+        '· límite alcanzado': '· limit reached',
+
+        // Laboratorio virtual
+        'Experimento': 'Experiment',
+        'Cambia la masa, cronometra N oscilaciones y repite. El cronómetro simula el tiempo de reacción de una persona al iniciarlo y al detenerlo': 'Change the mass, time N oscillations and repeat. The stopwatch simulates a person\'s reaction time when starting and stopping it',
+        'Cambia la longitud, cronometra N oscilaciones y repite. El cronómetro simula el tiempo de reacción de una persona al iniciarlo y al detenerlo': 'Change the length, time N oscillations and repeat. The stopwatch simulates a person\'s reaction time when starting and stopping it',
+        '⏱ Cronometrar': '⏱ Time it',
+        '0,00 s': '0.00 s',
+        '＋ Fila': '＋ Row',
+        'Vaciar tabla': 'Clear table',
+        'Valor debe ser un entero entre 1 y 50': 'Value must be an integer between 1 and 50',
+        'Sin mediciones todavía': 'No measurements yet',
+        'Eliminar medición': 'Delete measurement',
+        'Mediciones': 'Measurements',
+        'Ajuste lineal': 'Linear fit',
+        'El experimento usa la longitud del péndulo simple': 'The experiment uses the length of the simple pendulum',
+        'No hay oscilaciones que cronometrar con este amortiguamiento': 'There are no oscillations to time with this damping',
+        'No se pudo iniciar la simulación para cronometrar': 'Could not start the simulation for timing',
+        'Medición interrumpida: cambiaron los parámetros': 'Measurement interrupted: the parameters changed',
+        'Se necesitan al menos dos valores distintos de {symbol} para ajustar una recta': 'At least two different values of {symbol} are needed to fit a line',
+        'La pendiente debe ser positiva para obtener un resultado': 'The slope must be positive to obtain a result',
+        '{constant} = 4π²/pendiente = {value} {unit} · valor de la simulación: {reference} {unit}': '{constant} = 4π²/slope = {value} {unit} · simulation value: {reference} {unit}',
+        ' · con tres mediciones o más se estima la incertidumbre': ' · with three or more measurements the uncertainty is estimated',
+
+        // Barrido de parámetro
+        'Barrido de parámetro': 'Parameter sweep',
+        'Calcula las magnitudes derivadas para cada valor del parámetro sin animar; los marcadores indican el valor actual': 'Computes the derived quantities for each parameter value without animating; the markers show the current value',
+        'Desde': 'From',
+        'Hasta': 'To',
+        'Pasos': 'Steps',
+        'Calcular': 'Compute',
+        'Valor debe ser un entero entre 2 y 500': 'Value must be an integer between 2 and 500',
+        'El rango debe cumplir {min} ≤ desde < hasta ≤ {max} {unit}': 'The range must satisfy {min} ≤ from < to ≤ {max} {unit}',
+
+        // Fórmulas
+        'Fórmulas del MAS': 'SHM formulas',
+        'Donde A es la amplitud, ω la frecuencia angular y φ la fase inicial': 'Where A is the amplitude, ω the angular frequency and φ the initial phase',
+        'Derivada de la posición respecto al tiempo': 'Derivative of the position with respect to time',
+        'Derivada de la velocidad respecto al tiempo': 'Derivative of the velocity with respect to time',
+        'Frecuencia Angular': 'Angular Frequency',
+        'Depende de la constante del resorte (k) y la masa (m)': 'Depends on the spring constant (k) and the mass (m)',
+        'Depende de la gravedad (g) y la longitud (L)': 'Depends on gravity (g) and the length (L)',
+        'Frecuencias de los modos normales simétrico (ω_s) y antisimétrico (ω_a); el resorte central solo se estira en el antisimétrico': 'Frequencies of the symmetric (ω_s) and antisymmetric (ω_a) normal modes; the central spring only stretches in the antisymmetric one',
+        'ω₁ y ω₂ independientes': 'Independent ω₁ and ω₂',
+        'Cada componente conserva su propia frecuencia angular; la suma solo es periódica si ω₁/ω₂ es racional': 'Each component keeps its own angular frequency; the sum is only periodic if ω₁/ω₂ is rational',
+        'En el mismo eje, con frecuencias próximas la suma oscila a (ω₁ + ω₂)/2 con una amplitud que late con período T_b = 2π/|ω₁ − ω₂|. En ejes perpendiculares la curva se cierra (figura de Lissajous) cuando ω₁/ω₂ = p/q es racional': 'On the same axis, with close frequencies the sum oscillates at (ω₁ + ω₂)/2 with an amplitude that beats with period T_b = 2π/|ω₁ − ω₂|. On perpendicular axes the curve closes (Lissajous figure) when ω₁/ω₂ = p/q is rational',
+        'Osciladores Acoplados': 'Coupled Oscillators',
+        'q_s = (x₁ + x₂)/2 y q_a = (x₁ − x₂)/2 oscilan de forma independiente con ω_s y ω_a. Su superposición produce batidos: la energía pasa de una masa a la otra con período T_b': 'q_s = (x₁ + x₂)/2 and q_a = (x₁ − x₂)/2 oscillate independently with ω_s and ω_a. Their superposition produces beats: the energy passes from one mass to the other with period T_b',
+        'Amortiguamiento': 'Damping',
+        'Con γ = b/(2m) y razón de amortiguamiento ζ = γ/ω. Si ζ < 1 el sistema es subamortiguado y oscila dentro de la envolvente A·e^(−γt); si ζ = 1 es crítico y si ζ > 1 es sobreamortiguado': 'With γ = b/(2m) and damping ratio ζ = γ/ω. If ζ < 1 the system is underdamped and oscillates within the envelope A·e^(−γt); if ζ = 1 it is critical and if ζ > 1 it is overdamped',
+        'Cada modo normal se amortigua con γ = b/(2m); ζ se calcula respecto del modo simétrico ω_s': 'Each normal mode is damped with γ = b/(2m); ζ is computed with respect to the symmetric mode ω_s',
+        'Con γ = b/(2m) y razón de amortiguamiento ζ = γ/ω. Si ζ < 1 el péndulo oscila dentro de la envolvente θ₀·e^(−γt); si ζ = 1 es crítico y si ζ > 1 es sobreamortiguado': 'With γ = b/(2m) and damping ratio ζ = γ/ω. If ζ < 1 the pendulum oscillates within the envelope θ₀·e^(−γt); if ζ = 1 it is critical and if ζ > 1 it is overdamped',
+        'Red de Resortes': 'Spring Network',
+        'En serie todos los resortes soportan la misma fuerza y se suman los estiramientos; en paralelo se estiran lo mismo y se suman las fuerzas. La masa oscila con ω = √(k_eq/m)': 'In series all springs carry the same force and the stretches add up; in parallel they stretch the same and the forces add up. The mass oscillates with ω = √(k_eq/m)',
+        'Resorte Vertical': 'Vertical Spring',
+        'Con gravedad la masa oscila igual que en el resorte horizontal, pero alrededor de un equilibrio situado Δ por debajo de la longitud natural. La energía gravitatoria se mide desde el equilibrio, con x positivo hacia abajo': 'With gravity the mass oscillates just as on the horizontal spring, but about an equilibrium located Δ below the natural length. The gravitational energy is measured from equilibrium, with x positive downwards',
+        'Oscilador Forzado': 'Driven Oscillator',
+        'En régimen estacionario x(t) = X·cos(ω_d·t − δ), con tan δ = 2γω_d/(ω² − ω_d²). La amplitud es máxima cerca de ω_d = ω (resonancia)': 'In the steady state x(t) = X·cos(ω_d·t − δ), with tan δ = 2γω_d/(ω² − ω_d²). The amplitude is maximum near ω_d = ω (resonance)',
+        'Péndulo Físico': 'Physical Pendulum',
+        'Varilla: I_cm = mℓ²/12. Disco: I_cm = mR²/2. Aro: I_cm = mR². El péndulo simple de longitud L_eq oscila con el mismo período; su masa marca el centro de oscilación': 'Rod: I_cm = mℓ²/12. Disc: I_cm = mR²/2. Ring: I_cm = mR². The simple pendulum of length L_eq oscillates with the same period; its mass marks the center of oscillation',
+        'Péndulo No Lineal': 'Nonlinear Pendulum',
+        'K es la integral elíptica completa de primera especie. Para ángulos pequeños T ≈ 2π√(L/g)·(1 + θ₀²/16), por eso el período crece con la amplitud': 'K is the complete elliptic integral of the first kind. For small angles T ≈ 2π√(L/g)·(1 + θ₀²/16), which is why the period grows with the amplitude',
+        'Período': 'Period',
+        'Tiempo para completar un ciclo completo': 'Time to complete a full cycle',
+        'Frecuencia': 'Frequency',
+        'Número de oscilaciones por segundo (Hz)': 'Number of oscillations per second (Hz)',
+        'Energía Cinética': 'Kinetic Energy',
+        'Energía asociada al movimiento de la masa': 'Energy associated with the motion of the mass',
+        'Energía Potencial': 'Potential Energy',
+        'Energía almacenada en el resorte': 'Energy stored in the spring',
+        'Energía gravitatoria respecto del punto más bajo. El modelo lineal usa la aproximación ½mgLθ²': 'Gravitational energy relative to the lowest point. The linear model uses the approximation ½mgLθ²',
+        'Energía almacenada en los tres resortes. En el gráfico de energía, a cada masa se le asigna su resorte exterior y la mitad del resorte central': 'Energy stored in the three springs. In the energy chart, each mass is assigned its outer spring and half of the central spring',
+
+        // Valores calculados
+        'Valores Calculados': 'Calculated Values',
+        'Constante efectiva (k_eq):': 'Effective constant (k_eq):',
+        'Estiramiento estático (mg/k):': 'Static stretch (mg/k):',
+        'Frecuencia angular (ω):': 'Angular frequency (ω):',
+        'Período (T):': 'Period (T):',
+        'Momento de inercia (I):': 'Moment of inertia (I):',
+        'Longitud equivalente (L_eq):': 'Equivalent length (L_eq):',
+        'Período lineal 2π√(L/g):': 'Linear period 2π√(L/g):',
+        'Frecuencia (f):': 'Frequency (f):',
+        'Velocidad máxima:': 'Maximum velocity:',
+        'Aceleración máxima:': 'Maximum acceleration:',
+        'Modo simétrico (ω_s):': 'Symmetric mode (ω_s):',
+        'Modo antisimétrico (ω_a):': 'Antisymmetric mode (ω_a):',
+        'Período de batido (T_b):': 'Beat period (T_b):',
+        'Razón de amortiguamiento (ζ):': 'Damping ratio (ζ):',
+        'Régimen:': 'Regime:',
+        'Sin amortiguamiento': 'Undamped',
+        'Subamortiguado': 'Underdamped',
+        'Crítico': 'Critical',
+        'Sobreamortiguado': 'Overdamped',
+        'Amplitud estacionaria (X):': 'Steady-state amplitude (X):',
+        'Desfase (δ):': 'Phase lag (δ):',
+        'Frecuencias (ω₁ / ω₂):': 'Frequencies (ω₁ / ω₂):',
+        'Razón ω₁ : ω₂:': 'Ratio ω₁ : ω₂:',
+        'Energía Total:': 'Total Energy:'
+    },
+    pt: {
+        // Encabezado y modos
+        'Simulador de Movimiento Armónico Simple': 'Simulador de Movimento Harmônico Simples',
+        'Simulador de Movimiento Armónico Simple cargado correctamente.': 'Simulador de Movimento Harmônico Simples carregado corretamente.',
+        'Movimiento Armónico Simple': 'Movimento Harmônico Simples',
+        'Simulación de un sistema masa-resorte': 'Simulação de um sistema massa-mola',
+        'Simulación de un péndulo simple': 'Simulação de um pêndulo simples',
+        'Simulación de dos osciladores acoplados': 'Simulação de dois osciladores acoplados',
+        'Superposición de dos movimientos armónicos simples': 'Superposição de dois movimentos harmônicos simples',
+        'Física I': 'Física I',
+        'Física I — Universidad Nacional de Tres de Febrero': 'Física I — Universidad Nacional de Tres de Febrero',
+        'UNTREF Logo': 'Logotipo da UNTREF',
+        'Parámetros': 'Parâmetros',
+        'Resorte': 'Mola',
+        'Péndulo': 'Pêndulo',
+        'Acoplados': 'Acoplados',
+        'Superposición': 'Superposição',
+        'Osciladores acoplados': 'Osciladores acoplados',
+        'Superposición de MAS': 'Superposição de MHS',
+        'MAS': 'MHS',
+
+        // Controles del resorte
+        'Masa (m)': 'Massa (m)',
+        'Valor debe estar entre 0,5 y 5 kg': 'O valor deve estar entre 0,5 e 5 kg',
+        'Constante del resorte (k)': 'Constante da mola (k)',
+        'Constante del resorte 1 (k₁)': 'Constante da mola 1 (k₁)',
+        'Constante del resorte 2 (k₂)': 'Constante da mola 2 (k₂)',
+        'Constante del resorte 3 (k₃)': 'Constante da mola 3 (k₃)',
+        'Constante del resorte 4 (k₄)': 'Constante da mola 4 (k₄)',
+        'Valor debe estar entre 10 y 100 N/m': 'O valor deve estar entre 10 e 100 N/m',
+        'Red de resortes': 'Associação de molas',
+        'Serie': 'Série',
+        'Paralelo': 'Paralelo',
+        'La masa cuelga de una red de resortes que se reduce a un único resorte equivalente k_eq': 'A massa pende de uma associação de molas que se reduz a uma única mola equivalente k_eq',
+        'Amplitud (A)': 'Amplitude (A)',
+        'Valor debe estar entre 0,01 y 0,50 m': 'O valor deve estar entre 0,01 e 0,50 m',
+        'Fuerza externa (F₀)': 'Força externa (F₀)',
+        'Valor debe estar entre 0 y 5 N': 'O valor deve estar entre 0 e 5 N',
+        'Frecuencia de excitación (ω_d)': 'Frequência de excitação (ω_d)',
+        'Valor debe estar entre 0,1 y 20 rad/s': 'O valor deve estar entre 0,1 e 20 rad/s',
+        'Orientación': 'Orientação',
+        'Vertical con gravedad (equilibrio desplazado mg/k)': 'Vertical com gravidade (equilíbrio deslocado mg/k)',
+        'Desde el equilibrio': 'A partir do equilíbrio',
+        'Desde la longitud natural': 'A partir do comprimento natural',
+        'Referencia del gráfico de posición: x desde el equilibrio o y = x + mg/k desde la longitud natural': 'Referência do gráfico de posição: x a partir do equilíbrio ou y = x + mg/k a partir do comprimento natural',
+
+        // Controles del péndulo
+        'Tipo de péndulo': 'Tipo de pêndulo',
+        'Simple': 'Simples',
+        'Físico': 'Físico',
+        'El péndulo físico es un cuerpo rígido que gira alrededor de un pivote a distancia d de su centro de masa': 'O pêndulo físico é um corpo rígido que gira em torno de um pivô a uma distância d do seu centro de massa',
+        'Longitud (L)': 'Comprimento (L)',
+        'Valor debe estar entre 0,5 y 3 m': 'O valor deve estar entre 0,5 e 3 m',
+        'Ángulo inicial (θ₀)': 'Ângulo inicial (θ₀)',
+        'Valor debe estar entre 1 y 15 grados': 'O valor deve estar entre 1 e 15 graus',
+        'Valor debe estar entre 1 y {max} grados': 'O valor deve estar entre 1 e {max} graus',
+        '⚠️ Advertencia: Para ángulos mayores a 10°, el péndulo deja de comportarse como un MAS (Movimiento Armónico Simple). La aproximación sin(θ) ≈ θ solo es válida para ángulos pequeños. Activa el modelo no lineal para ver cómo se aparta del MAS.': '⚠️ Atenção: Para ângulos maiores que 10°, o pêndulo deixa de se comportar como um MHS (Movimento Harmônico Simples). A aproximação sen(θ) ≈ θ só é válida para ângulos pequenos. Ative o modelo não linear para ver como ele se afasta do MHS.',
+        'Valor debe estar entre 0,1 y 5 kg': 'O valor deve estar entre 0,1 e 5 kg',
+        'Cuerpo': 'Corpo',
+        'Varilla': 'Barra',
+        'Disco': 'Disco',
+        'Aro': 'Aro',
+        'Largo de la varilla (ℓ)': 'Comprimento da barra (ℓ)',
+        'Valor debe estar entre 0,2 y 2 m': 'O valor deve estar entre 0,2 e 2 m',
+        'Radio (R)': 'Raio (R)',
+        'Valor debe estar entre 0,05 y 1 m': 'O valor deve estar entre 0,05 e 1 m',
+        'Momento de inercia (I_cm)': 'Momento de inércia (I_cm)',
+        'Valor debe estar entre 0,01 y 5 kg·m²': 'O valor deve estar entre 0,01 e 5 kg·m²',
+        'Distancia al pivote (d)': 'Distância ao pivô (d)',
+        'Valor debe estar entre 0,05 y 2 m': 'O valor deve estar entre 0,05 e 2 m',
+        'Superponer el péndulo simple equivalente (L_eq)': 'Sobrepor o pêndulo simples equivalente (L_eq)',
+        'Gravedad (g)': 'Gravidade (g)',
+        'Valor debe estar entre 1 y 20 m/s²': 'O valor deve estar entre 1 e 20 m/s²',
+        'Modelo': 'Modelo',
+        'No lineal: θ\'\' = −(g/L)·sin θ (hasta 179°)': 'Não linear: θ\'\' = −(g/L)·sen θ (até 179°)',
+        'Se integra la ecuación exacta y se superpone la predicción del MAS en línea punteada': 'A equação exata é integrada e a previsão do MHS é sobreposta em linha pontilhada',
+
+        // Controles de los osciladores acoplados y de la superposición
+        'Constante de acoplamiento (k_c)': 'Constante de acoplamento (k_c)',
+        'Valor debe estar entre 1 y 50 N/m': 'O valor deve estar entre 1 e 50 N/m',
+        'Desplazamiento inicial masa 1 (x₁)': 'Deslocamento inicial da massa 1 (x₁)',
+        'Desplazamiento inicial masa 2 (x₂)': 'Deslocamento inicial da massa 2 (x₂)',
+        'Valor debe estar entre -0,20 y 0,20 m': 'O valor deve estar entre -0,20 e 0,20 m',
+        'Modos normales': 'Modos normais',
+        '⇉ Simétrico': '⇉ Simétrico',
+        '⇄ Antisimétrico': '⇄ Antissimétrico',
+        'Inician el sistema en un modo normal puro (x₂ = x₁ o x₂ = −x₁). Con una sola masa desplazada se observan batidos': 'Iniciam o sistema em um modo normal puro (x₂ = x₁ ou x₂ = −x₁). Com apenas uma massa deslocada observam-se batimentos',
+        'Ejes de oscilación': 'Eixos de oscilação',
+        'Mismo eje': 'Mesmo eixo',
+        'Perpendiculares': 'Perpendiculares',
+        'En el mismo eje se suman los desplazamientos y aparecen batidos; en ejes perpendiculares el punto (x, y) traza una figura de Lissajous': 'No mesmo eixo os deslocamentos se somam e aparecem batimentos; em eixos perpendiculares o ponto (x, y) traça uma figura de Lissajous',
+        'Amplitud 1 (A₁)': 'Amplitude 1 (A₁)',
+        'Amplitud 2 (A₂)': 'Amplitude 2 (A₂)',
+        'Valor debe estar entre 0,01 y 0,20 m': 'O valor deve estar entre 0,01 e 0,20 m',
+        'Frecuencia angular 1 (ω₁)': 'Frequência angular 1 (ω₁)',
+        'Frecuencia angular 2 (ω₂)': 'Frequência angular 2 (ω₂)',
+        'Valor debe estar entre 1 y 20 rad/s': 'O valor deve estar entre 1 e 20 rad/s',
+        'Fase inicial 1 (φ₁)': 'Fase inicial 1 (φ₁)',
+        'Fase inicial 2 (φ₂)': 'Fase inicial 2 (φ₂)',
+        'Fase inicial (φ)': 'Fase inicial (φ)',
+        'Valor debe estar entre 0 y 6,28 rad': 'O valor deve estar entre 0 e 6,28 rad',
+        'Valor debe estar entre 0 y 2π rad': 'O valor deve estar entre 0 e 2π rad',
+        'Amortiguamiento (b)': 'Amortecimento (b)',
+        'Valor debe estar entre 0 y 50 kg/s': 'O valor deve estar entre 0 e 50 kg/s',
+
+        // Control de la simulación, enlace y presets
+        '▶ Iniciar': '▶ Iniciar',
+        '⏸ Pausar': '⏸ Pausar',
+        '↺ Reiniciar': '↺ Reiniciar',
+        'Corrige los errores en los parámetros antes de iniciar': 'Corrija os erros nos parâmetros antes de iniciar',
+        'No se puede iniciar la simulación: hay errores en los parámetros': 'Não é possível iniciar a simulação: há erros nos parâmetros',
+        '🔗 Copiar enlace': '🔗 Copiar link',
+        'Copia el enlace de la barra de direcciones': 'Copie o link da barra de endereços',
+        '✓ Enlace copiado': '✓ Link copiado',
+        'del enlace': 'do link',
+        '⚠️ Se ignoraron valores {source}: {problems}': '⚠️ Valores {source} foram ignorados: {problems}',
+        '⚠️ Estado inicial ajustado: {adjustments}': '⚠️ Estado inicial ajustado: {adjustments}',
+        'velocidad limitada para no superar la amplitud máxima de {max}': 'velocidade limitada para não ultrapassar a amplitude máxima de {max}',
+        'amplitud elevada al mínimo de {min}': 'amplitude elevada ao mínimo de {min}',
+        '{key}={value} (valores posibles: {options})': '{key}={value} (valores possíveis: {options})',
+        '{key}={value} (debe estar entre {min} y {max})': '{key}={value} (deve estar entre {min} e {max})',
+        '{key} (parámetro desconocido)': '{key} (parâmetro desconhecido)',
+        'Presets': 'Predefinições',
+        'Nombre del preset': 'Nome da predefinição',
+        '💾 Guardar': '💾 Salvar',
+        'Guarda el modo y sus parámetros. Si el nombre ya existe, el preset se reemplaza': 'Salva o modo e seus parâmetros. Se o nome já existir, a predefinição é substituída',
+        'No hay presets guardados': 'Não há predefinições salvas',
+        '⭳ Exportar JSON': '⭳ Exportar JSON',
+        '⭱ Importar JSON': '⭱ Importar JSON',
+        'Cargar': 'Carregar',
+        'Renombrar': 'Renomear',
+        'Eliminar': 'Excluir',
+        'Escribe un nombre para el preset': 'Digite um nome para a predefinição',
+        'Nuevo nombre del preset:': 'Novo nome da predefinição:',
+        '¿Eliminar el preset "{name}"?': 'Excluir a predefinição "{name}"?',
+        'del preset "{name}"': 'da predefinição "{name}"',
+        'No se pudieron leer los presets guardados:': 'Não foi possível ler as predefinições salvas:',
+        'No se pudieron guardar los presets en el navegador': 'Não foi possível salvar as predefinições no navegador',
+        'El archivo no contiene una lista de presets': 'O arquivo não contém uma lista de predefinições',
+        'Se importaron {valid} presets; se descartaron {skipped} con formato inválido': '{valid} predefinições foram importadas; {skipped} com formato inválido foram descartadas',
+        'No se pudieron importar los presets:': 'Não foi possível importar as predefinições:',
+        'No se pudo importar el archivo: {message}': 'Não foi possível importar o arquivo: {message}',
+        'No se pudo leer el idioma guardado:': 'Não foi possível ler o idioma salvo:',
+        'No se pudo guardar el idioma:': 'Não foi possível salvar o idioma:',
+
+        // Práctica
+        'Práctica': 'Prática',
+        'Semilla (opcional)': 'Semente (opcional)',
+        'Usar semilla': 'Usar semente',
+        'Con la misma semilla todo el grupo recibe los mismos problemas, en el mismo orden. También se puede indicar en el enlace con ?seed=': 'Com a mesma semente toda a turma recebe os mesmos problemas, na mesma ordem. Também pode ser indicada no link com ?seed=',
+        '🎲 Nuevo problema': '🎲 Novo problema',
+        'Comprobar': 'Verificar',
+        'Aciertos:': 'Acertos:',
+        '· Semilla:': '· Semente:',
+        'Un bloque de m = {mass} kg unido a un resorte de k = {k} N/m oscila sin rozamiento según x(t) = A·cos(ωt + φ), con A = {amplitude} m y φ = {phase} rad.': 'Um bloco de m = {mass} kg preso a uma mola de k = {k} N/m oscila sem atrito segundo x(t) = A·cos(ωt + φ), com A = {amplitude} m e φ = {phase} rad.',
+        'Un péndulo simple de L = {length} m, en un lugar con g = {g} m/s², oscila según θ(t) = θ₀·cos(ωt + φ), con θ₀ = {angle}° y φ = {phase} rad (ángulos pequeños).': 'Um pêndulo simples de L = {length} m, em um local com g = {g} m/s², oscila segundo θ(t) = θ₀·cos(ωt + φ), com θ₀ = {angle}° e φ = {phase} rad (ângulos pequenos).',
+        '¿Cuál es el período T?': 'Qual é o período T?',
+        '¿Cuál es la rapidez máxima?': 'Qual é a rapidez máxima?',
+        '¿Cuál es la velocidad angular máxima?': 'Qual é a velocidade angular máxima?',
+        '¿Cuál es la posición x en t = {time} s?': 'Qual é a posição x em t = {time} s?',
+        '¿Cuál es el ángulo θ en t = {time} s?': 'Qual é o ângulo θ em t = {time} s?',
+        '¿En qué instante pasa por primera vez por el equilibrio (t > 0)?': 'Em que instante passa pela primeira vez pelo equilíbrio (t > 0)?',
+        'Escribe un número': 'Digite um número',
+        '¡Correcto! Valor del simulador: {expected}': 'Correto! Valor do simulador: {expected}',
+        'Incorrecto. Valor del simulador: {expected}': 'Incorreto. Valor do simulador: {expected}',
+
+        // Lecciones
+        'Lecciones': 'Lições',
+        'Recorridos paso a paso: cada paso resalta un control o un gráfico y detiene la simulación en el momento justo': 'Roteiros passo a passo: cada passo destaca um controle ou um gráfico e para a simulação no momento certo',
+        'Comenzar': 'Começar',
+        '◀ Anterior': '◀ Anterior',
+        'Siguiente ▶': 'Próximo ▶',
+        'Terminar ✓': 'Concluir ✓',
+        'Salir': 'Sair',
+        '⏳ Observa la simulación…': '⏳ Observe a simulação…',
+        '✓ Listo': '✓ Pronto',
+        'de la lección "{title}"': 'da lição "{title}"',
+        'No se pudieron cargar las lecciones:': 'Não foi possível carregar as lições:',
+        'No se pudieron cargar las lecciones. Abre la página desde un servidor web': 'Não foi possível carregar as lições. Abra a página a partir de um servidor web',
+        'el archivo no tiene el formato de una lección': 'o arquivo não tem o formato de uma lição',
+        'No se pudo cargar la lección:': 'Não foi possível carregar a lição:',
+        'No se pudo cargar la lección: {message}': 'Não foi possível carregar a lição: {message}',
+        'Selector inválido en la lección: {selector}': 'Seletor inválido na lição: {selector}',
+
+        // Simulación, tiempo y grabación
+        'Simulación': 'Simulação',
+        'Arrastra la masa y suéltala (o lánzala) para fijar las condiciones iniciales': 'Arraste a massa e solte-a (ou lance-a) para definir as condições iniciais',
+        'Con el teclado: selecciona la simulación y mueve la masa con las flechas (Shift: pasos más grandes; 1 y 2 eligen la masa acoplada). Espacio inicia o pausa y R reinicia': 'Com o teclado: selecione a simulação e mova a massa com as setas (Shift: passos maiores; 1 e 2 escolhem a massa acoplada). Espaço inicia ou pausa e R reinicia',
+        'Masa {index} seleccionada': 'Massa {index} selecionada',
+        'x = 0 (equilibrio)': 'x = 0 (equilíbrio)',
+        ', fuera de escala': ', fora de escala',
+        'Fasores': 'Fasores',
+        'ω₁/ω₂ sin razón simple: la curva no se cierra': 'ω₁/ω₂ sem razão simples: a curva não se fecha',
+        'Posición:': 'Posição:',
+        'Velocidad:': 'Velocidade:',
+        'Aceleración:': 'Aceleração:',
+        'Tiempo:': 'Tempo:',
+        'Tiempo': 'Tempo',
+        'Retroceder un cuadro': 'Voltar um quadro',
+        'Avanzar un cuadro': 'Avançar um quadro',
+        'Línea de tiempo': 'Linha do tempo',
+        'Arrastra la línea de tiempo para volver a cualquier instante simulado con los parámetros actuales; cada cuadro avanza 1/60 s multiplicado por la velocidad': 'Arraste a linha do tempo para voltar a qualquer instante simulado com os parâmetros atuais; cada quadro avança 1/60 s multiplicado pela velocidade',
+        'Grabación': 'Gravação',
+        'Se graba desde el instante actual con un paso fijo de simulación; pulsa Reiniciar para empezar en t = 0': 'A gravação começa no instante atual com um passo fixo de simulação; clique em Reiniciar para começar em t = 0',
+        'Duración': 'Duração',
+        'Incluir gráficos x, v, a': 'Incluir gráficos x, v, a',
+        '⏺ Grabar': '⏺ Gravar',
+        '⏹ Cancelar': '⏹ Cancelar',
+        'Valor debe estar entre 1 y 30 s': 'O valor deve estar entre 1 e 30 s',
+        'Este navegador no permite codificar video; usa GIF': 'Este navegador não permite codificar vídeo; use GIF',
+        'Grabando… {percent}%': 'Gravando… {percent}%',
+        'Grabación cancelada': 'Gravação cancelada',
+        'Codificando…': 'Codificando…',
+        'Listo: {frames} cuadros, {size} kB': 'Pronto: {frames} quadros, {size} kB',
+        'No se pudo grabar:': 'Não foi possível gravar:',
+        'No se pudo grabar: {message}': 'Não foi possível gravar: {message}',
+        'Corrige los errores en los parámetros antes de grabar': 'Corrija os erros nos parâmetros antes de gravar',
+
+        // Gráficos y cursores
+        'Gráficos': 'Gráficos',
+        'Pasa el mouse sobre los gráficos para ver valores exactos. Rueda: acercar el eje de tiempo (con Shift, el eje vertical); arrastrar: desplazarse': 'Passe o mouse sobre os gráficos para ver os valores exatos. Roda: aproximar o eixo do tempo (com Shift, o eixo vertical); arrastar: deslocar',
+        'Ventana': 'Janela',
+        'Congelar gráficos': 'Congelar gráficos',
+        '⟲ Restablecer zoom': '⟲ Redefinir zoom',
+        'Valor debe estar entre 1 y 60 s': 'O valor deve estar entre 1 e 60 s',
+        'Cursores de medición': 'Cursores de medição',
+        '⟷ Medir período': '⟷ Medir período',
+        'Quitar cursores': 'Remover cursores',
+        'Con los cursores activos, haz clic en el gráfico de x, v o a para colocar A y B, y arrástralos para moverlos': 'Com os cursores ativos, clique no gráfico de x, v ou a para posicionar A e B, e arraste-os para movê-los',
+        'Gráfico': 'Gráfico',
+        'Ver los datos en una tabla': 'Ver os dados em uma tabela',
+        '↻ Actualizar': '↻ Atualizar',
+        'Valor': 'Valor',
+        'Sin datos todavía': 'Ainda não há dados',
+        'Se necesitan al menos dos máximos visibles en el gráfico': 'São necessários pelo menos dois máximos visíveis no gráfico',
+        'T medido = {value} s': 'T medido = {value} s',
+        ' · T teórico = {value} s ({difference} %)': ' · T teórico = {value} s ({difference} %)',
+        ' · sin período teórico único en este modo': ' · sem período teórico único neste modo',
+        ' · T de la fuerza = {value} s': ' · T da força = {value} s',
+        'Tiempo (s)': 'Tempo (s)',
+        'Máximos': 'Máximos',
+        'Mínimos': 'Mínimos',
+        'Ceros': 'Zeros',
+        'MAS (lineal)': 'MHS (linear)',
+        'Masa 1': 'Massa 1',
+        'Masa 2': 'Massa 2',
+        'Posición': 'Posição',
+        'Velocidad': 'Velocidade',
+        'Aceleración': 'Aceleração',
+        'Envolvente': 'Envoltória',
+        'Posición x(t)': 'Posição x(t)',
+        'Velocidad v(t)': 'Velocidade v(t)',
+        'Aceleración a(t)': 'Aceleração a(t)',
+        'Energía E(t)': 'Energia E(t)',
+        'Cinética': 'Cinética',
+        'Potencial': 'Potencial',
+        'Total': 'Total',
+        'Elástica': 'Elástica',
+        'Gravitatoria': 'Gravitacional',
+        'Espacio de fase v(x)': 'Espaço de fase v(x)',
+        'Trayectoria': 'Trajetória',
+        'Elipse MAS': 'Elipse MHS',
+        'Estado inicial (φ)': 'Estado inicial (φ)',
+        'Estado actual': 'Estado atual',
+        'Resonancia X(ω_d), δ(ω_d)': 'Ressonância X(ω_d), δ(ω_d)',
+        'Amplitud X': 'Amplitude X',
+        'Desfase δ': 'Defasagem δ',
+        'ω_d actual': 'ω_d atual',
+        'δ actual': 'δ atual',
+        'ω natural': 'ω natural',
+        '{symbol} actual': '{symbol} atual',
+
+        // Registro de datos
+        'Registro de datos': 'Registro de dados',
+        'Se registra todo el recorrido desde t = 0 con un muestreo fijo, independiente de la animación y de la ventana de los gráficos. El intervalo solo se puede cambiar con el registro vacío (tras Reiniciar)': 'Todo o percurso é registrado desde t = 0 com uma amostragem fixa, independente da animação e da janela dos gráficos. O intervalo só pode ser alterado com o registro vazio (após Reiniciar)',
+        'Intervalo': 'Intervalo',
+        'Máx. muestras': 'Máx. amostras',
+        '⭳ Exportar': '⭳ Exportar',
+        'Valor debe estar entre 0,001 y 1 s': 'O valor deve estar entre 0,001 e 1 s',
+        'Valor debe ser un entero mayor o igual a 0 (0 = sin límite)': 'O valor deve ser um inteiro maior ou igual a 0 (0 = sem limite)',
+        'muestras registradas': 'amostras registradas',
+        '· límite alcanzado': '· limite atingido',
+
+        // Laboratorio virtual
+        'Experimento': 'Experimento',
+        'Cambia la masa, cronometra N oscilaciones y repite. El cronómetro simula el tiempo de reacción de una persona al iniciarlo y al detenerlo': 'Altere a massa, cronometre N oscilações e repita. O cronômetro simula o tempo de reação de uma pessoa ao iniciá-lo e ao pará-lo',
+        'Cambia la longitud, cronometra N oscilaciones y repite. El cronómetro simula el tiempo de reacción de una persona al iniciarlo y al detenerlo': 'Altere o comprimento, cronometre N oscilações e repita. O cronômetro simula o tempo de reação de uma pessoa ao iniciá-lo e ao pará-lo',
+        '⏱ Cronometrar': '⏱ Cronometrar',
+        '＋ Fila': '＋ Linha',
+        'Vaciar tabla': 'Esvaziar tabela',
+        'Valor debe ser un entero entre 1 y 50': 'O valor deve ser um inteiro entre 1 e 50',
+        'Sin mediciones todavía': 'Ainda não há medições',
+        'Eliminar medición': 'Excluir medição',
+        'Mediciones': 'Medições',
+        'Ajuste lineal': 'Ajuste linear',
+        'El experimento usa la longitud del péndulo simple': 'O experimento usa o comprimento do pêndulo simples',
+        'No hay oscilaciones que cronometrar con este amortiguamiento': 'Não há oscilações para cronometrar com este amortecimento',
+        'No se pudo iniciar la simulación para cronometrar': 'Não foi possível iniciar a simulação para cronometrar',
+        'Medición interrumpida: cambiaron los parámetros': 'Medição interrompida: os parâmetros mudaram',
+        'Se necesitan al menos dos valores distintos de {symbol} para ajustar una recta': 'São necessários pelo menos dois valores diferentes de {symbol} para ajustar uma reta',
+        'La pendiente debe ser positiva para obtener un resultado': 'A inclinação deve ser positiva para obter um resultado',
+        '{constant} = 4π²/pendiente = {value} {unit} · valor de la simulación: {reference} {unit}': '{constant} = 4π²/inclinação = {value} {unit} · valor da simulação: {reference} {unit}',
+        ' · con tres mediciones o más se estima la incertidumbre': ' · com três medições ou mais a incerteza é estimada',
+
+        // Barrido de parámetro
+        'Barrido de parámetro': 'Varredura de parâmetro',
+        'Calcula las magnitudes derivadas para cada valor del parámetro sin animar; los marcadores indican el valor actual': 'Calcula as grandezas derivadas para cada valor do parâmetro sem animar; os marcadores indicam o valor atual',
+        'Desde': 'De',
+        'Hasta': 'Até',
+        'Pasos': 'Passos',
+        'Calcular': 'Calcular',
+        'Valor debe ser un entero entre 2 y 500': 'O valor deve ser um inteiro entre 2 e 500',
+        'El rango debe cumplir {min} ≤ desde < hasta ≤ {max} {unit}': 'O intervalo deve cumprir {min} ≤ de < até ≤ {max} {unit}',
+
+        // Fórmulas
+        'Fórmulas del MAS': 'Fórmulas do MHS',
+        'Donde A es la amplitud, ω la frecuencia angular y φ la fase inicial': 'Onde A é a amplitude, ω a frequência angular e φ a fase inicial',
+        'Derivada de la posición respecto al tiempo': 'Derivada da posição em relação ao tempo',
+        'Derivada de la velocidad respecto al tiempo': 'Derivada da velocidade em relação ao tempo',
+        'Frecuencia Angular': 'Frequência Angular',
+        'Depende de la constante del resorte (k) y la masa (m)': 'Depende da constante da mola (k) e da massa (m)',
+        'Depende de la gravedad (g) y la longitud (L)': 'Depende da gravidade (g) e do comprimento (L)',
+        'Frecuencias de los modos normales simétrico (ω_s) y antisimétrico (ω_a); el resorte central solo se estira en el antisimétrico': 'Frequências dos modos normais simétrico (ω_s) e antissimétrico (ω_a); a mola central só se estica no antissimétrico',
+        'ω₁ y ω₂ independientes': 'ω₁ e ω₂ independentes',
+        'Cada componente conserva su propia frecuencia angular; la suma solo es periódica si ω₁/ω₂ es racional': 'Cada componente conserva sua própria frequência angular; a soma só é periódica se ω₁/ω₂ for racional',
+        'En el mismo eje, con frecuencias próximas la suma oscila a (ω₁ + ω₂)/2 con una amplitud que late con período T_b = 2π/|ω₁ − ω₂|. En ejes perpendiculares la curva se cierra (figura de Lissajous) cuando ω₁/ω₂ = p/q es racional': 'No mesmo eixo, com frequências próximas a soma oscila a (ω₁ + ω₂)/2 com uma amplitude que pulsa com período T_b = 2π/|ω₁ − ω₂|. Em eixos perpendiculares a curva se fecha (figura de Lissajous) quando ω₁/ω₂ = p/q é racional',
+        'Osciladores Acoplados': 'Osciladores Acoplados',
+        'q_s = (x₁ + x₂)/2 y q_a = (x₁ − x₂)/2 oscilan de forma independiente con ω_s y ω_a. Su superposición produce batidos: la energía pasa de una masa a la otra con período T_b': 'q_s = (x₁ + x₂)/2 e q_a = (x₁ − x₂)/2 oscilam de forma independente com ω_s e ω_a. Sua superposição produz batimentos: a energia passa de uma massa para a outra com período T_b',
+        'Amortiguamiento': 'Amortecimento',
+        'Con γ = b/(2m) y razón de amortiguamiento ζ = γ/ω. Si ζ < 1 el sistema es subamortiguado y oscila dentro de la envolvente A·e^(−γt); si ζ = 1 es crítico y si ζ > 1 es sobreamortiguado': 'Com γ = b/(2m) e razão de amortecimento ζ = γ/ω. Se ζ < 1 o sistema é subamortecido e oscila dentro da envoltória A·e^(−γt); se ζ = 1 é crítico e se ζ > 1 é superamortecido',
+        'Cada modo normal se amortigua con γ = b/(2m); ζ se calcula respecto del modo simétrico ω_s': 'Cada modo normal é amortecido com γ = b/(2m); ζ é calculado em relação ao modo simétrico ω_s',
+        'Con γ = b/(2m) y razón de amortiguamiento ζ = γ/ω. Si ζ < 1 el péndulo oscila dentro de la envolvente θ₀·e^(−γt); si ζ = 1 es crítico y si ζ > 1 es sobreamortiguado': 'Com γ = b/(2m) e razão de amortecimento ζ = γ/ω. Se ζ < 1 o pêndulo oscila dentro da envoltória θ₀·e^(−γt); se ζ = 1 é crítico e se ζ > 1 é superamortecido',
+        'Red de Resortes': 'Associação de Molas',
+        'En serie todos los resortes soportan la misma fuerza y se suman los estiramientos; en paralelo se estiran lo mismo y se suman las fuerzas. La masa oscila con ω = √(k_eq/m)': 'Em série todas as molas suportam a mesma força e as elongações se somam; em paralelo se esticam o mesmo e as forças se somam. A massa oscila com ω = √(k_eq/m)',
+        'Resorte Vertical': 'Mola Vertical',
+        'Con gravedad la masa oscila igual que en el resorte horizontal, pero alrededor de un equilibrio situado Δ por debajo de la longitud natural. La energía gravitatoria se mide desde el equilibrio, con x positivo hacia abajo': 'Com gravidade a massa oscila igual à mola horizontal, mas em torno de um equilíbrio situado Δ abaixo do comprimento natural. A energia gravitacional é medida a partir do equilíbrio, com x positivo para baixo',
+        'Oscilador Forzado': 'Oscilador Forçado',
+        'En régimen estacionario x(t) = X·cos(ω_d·t − δ), con tan δ = 2γω_d/(ω² − ω_d²). La amplitud es máxima cerca de ω_d = ω (resonancia)': 'Em regime estacionário x(t) = X·cos(ω_d·t − δ), com tg δ = 2γω_d/(ω² − ω_d²). A amplitude é máxima perto de ω_d = ω (ressonância)',
+        'Péndulo Físico': 'Pêndulo Físico',
+        'Varilla: I_cm = mℓ²/12. Disco: I_cm = mR²/2. Aro: I_cm = mR². El péndulo simple de longitud L_eq oscila con el mismo período; su masa marca el centro de oscilación': 'Barra: I_cm = mℓ²/12. Disco: I_cm = mR²/2. Aro: I_cm = mR². O pêndulo simples de comprimento L_eq oscila com o mesmo período; sua massa marca o centro de oscilação',
+        'Péndulo No Lineal': 'Pêndulo Não Linear',
+        'K es la integral elíptica completa de primera especie. Para ángulos pequeños T ≈ 2π√(L/g)·(1 + θ₀²/16), por eso el período crece con la amplitud': 'K é a integral elíptica completa de primeira espécie. Para ângulos pequenos T ≈ 2π√(L/g)·(1 + θ₀²/16), por isso o período cresce com a amplitude',
+        'Período': 'Período',
+        'Tiempo para completar un ciclo completo': 'Tempo para completar um ciclo completo',
+        'Frecuencia': 'Frequência',
+        'Número de oscilaciones por segundo (Hz)': 'Número de oscilações por segundo (Hz)',
+        'Energía Cinética': 'Energia Cinética',
+        'Energía asociada al movimiento de la masa': 'Energia associada ao movimento da massa',
+        'Energía Potencial': 'Energia Potencial',
+        'Energía almacenada en el resorte': 'Energia armazenada na mola',
+        'Energía gravitatoria respecto del punto más bajo. El modelo lineal usa la aproximación ½mgLθ²': 'Energia gravitacional em relação ao ponto mais baixo. O modelo linear usa a aproximação ½mgLθ²',
+        'Energía almacenada en los tres resortes. En el gráfico de energía, a cada masa se le asigna su resorte exterior y la mitad del resorte central': 'Energia armazenada nas três molas. No gráfico de energia, a cada massa se atribui sua mola externa e metade da mola central',
+
+        // Valores calculados
+        'Valores Calculados': 'Valores Calculados',
+        'Constante efectiva (k_eq):': 'Constante efetiva (k_eq):',
+        'Estiramiento estático (mg/k):': 'Elongação estática (mg/k):',
+        'Frecuencia angular (ω):': 'Frequência angular (ω):',
+        'Período (T):': 'Período (T):',
+        'Momento de inercia (I):': 'Momento de inércia (I):',
+        'Longitud equivalente (L_eq):': 'Comprimento equivalente (L_eq):',
+        'Período lineal 2π√(L/g):': 'Período linear 2π√(L/g):',
+        'Frecuencia (f):': 'Frequência (f):',
+        'Velocidad máxima:': 'Velocidade máxima:',
+        'Aceleración máxima:': 'Aceleração máxima:',
+        'Modo simétrico (ω_s):': 'Modo simétrico (ω_s):',
+        'Modo antisimétrico (ω_a):': 'Modo antissimétrico (ω_a):',
+        'Período de batido (T_b):': 'Período de batimento (T_b):',
+        'Razón de amortiguamiento (ζ):': 'Razão de amortecimento (ζ):',
+        'Régimen:': 'Regime:',
+        'Sin amortiguamiento': 'Sem amortecimento',
+        'Subamortiguado': 'Subamortecido',
+        'Crítico': 'Crítico',
+        'Sobreamortiguado': 'Superamortecido',
+        'Amplitud estacionaria (X):': 'Amplitude estacionária (X):',
+        'Desfase (δ):': 'Defasagem (δ):',
+        'Frecuencias (ω₁ / ω₂):': 'Frequências (ω₁ / ω₂):',
+        'Razón ω₁ : ω₂:': 'Razão ω₁ : ω₂:',
+        'Energía Total:': 'Energia Total:'
+    }
+};